@@ -0,0 +1,215 @@
+// controllers/authController.js - Admin sign-in and user management
+const userRepository = require('../repositories/userRepository');
+const { ROLES, TOKEN_TTL_SECONDS, signToken, hashPassword, verifyPassword } = require('../utils/authService');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+class AuthController {
+
+  // ✅ Exchange username (or email) and password for a signed token
+  async login(req, res) {
+    try {
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username and password are required'
+        });
+      }
+
+      await userRepository.ensureBootstrapAdmin();
+      const user = await userRepository.findByLogin(username);
+      const valid = user && user.active && await verifyPassword(password, user.passwordHash);
+
+      if (!valid) {
+        console.warn('⚠️ Failed admin login for:', username);
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid username or password'
+        });
+      }
+
+      await userRepository.update(user.id, { lastLoginAt: new Date().toISOString() });
+      console.log('🔐 Admin login:', user.username, `(${user.role})`);
+
+      res.json({
+        success: true,
+        message: 'Signed in successfully',
+        data: {
+          token: signToken(user),
+          tokenType: 'Bearer',
+          expiresIn: TOKEN_TTL_SECONDS,
+          user: userRepository.toPublic(user)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error signing in:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sign in',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Current user
+  async me(req, res) {
+    res.json({
+      success: true,
+      data: req.user
+    });
+  }
+
+  // ✅ List Users (Admin)
+  async getUsers(req, res) {
+    try {
+      const users = await userRepository.findAll();
+
+      res.json({
+        success: true,
+        data: users.map(user => userRepository.toPublic(user))
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching users:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch users',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Create User (Admin)
+  async createUser(req, res) {
+    try {
+      const { username, password, name, email, role = 'viewer' } = req.body;
+      const errors = [];
+
+      if (!username || !/^[a-z0-9._-]{3,40}$/i.test(username)) {
+        errors.push('username must be 3-40 letters, digits, dots, dashes or underscores');
+      }
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      if (!ROLES.includes(role)) {
+        errors.push(`role must be one of ${ROLES.join(', ')}`);
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user',
+          errors
+        });
+      }
+
+      const passwordHash = await hashPassword(String(password));
+      const normalizedUsername = username.trim().toLowerCase();
+
+      const user = await userRepository.transaction(tx => {
+        if (tx.all().some(u => u.username === normalizedUsername)) return null;
+        return tx.insert({
+          id: `USR-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+          username: normalizedUsername,
+          name: name || username,
+          email: email || null,
+          role,
+          active: true,
+          passwordHash,
+          createdAt: new Date().toISOString(),
+          createdBy: req.user.id
+        });
+      });
+
+      if (!user) {
+        return res.status(409).json({
+          success: false,
+          message: 'Username is already taken'
+        });
+      }
+
+      console.log('👤 Admin user created:', user.username, `(${user.role}) by`, req.user.username);
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: userRepository.toPublic(user)
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create user',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Update User role, details, password or active flag (Admin)
+  async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, email, role, active, password } = req.body;
+
+      if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid role',
+          validRoles: ROLES
+        });
+      }
+      if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        });
+      }
+      if (id === req.user.id && (active === false || (role && role !== 'admin'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot disable or demote your own account'
+        });
+      }
+
+      const passwordHash = password !== undefined ? await hashPassword(String(password)) : undefined;
+
+      const user = await userRepository.update(id, existing => ({
+        ...existing,
+        name: name ?? existing.name,
+        email: email ?? existing.email,
+        role: role ?? existing.role,
+        active: active === undefined ? existing.active : !!active,
+        passwordHash: passwordHash || existing.passwordHash,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.id
+      }));
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'User updated successfully',
+        data: userRepository.toPublic(user)
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,161 @@
+// controllers/candidateController.js - Candidates grouping a person's bookings, conversations and applications
+const candidateRepository = require('../repositories/candidateRepository');
+const consultationRepository = require('../repositories/consultationRepository');
+const conversationRepository = require('../repositories/conversationRepository');
+const { linkRecords, collectEntries, mergeCandidates } = require('../utils/candidateService');
+const { parsePagination, paginate } = require('../utils/pagination');
+
+const MAX_PAGE_SIZE = 100;
+
+class CandidateController {
+
+  // ✅ List Candidates (Admin) - ?search, ?includeMerged=true, ?page, ?limit
+  async getCandidates(req, res) {
+    try {
+      const paging = parsePagination(req.query, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+      const candidates = await candidateRepository.findFiltered(req.query);
+      const { items, pagination } = paginate(candidates, paging);
+
+      res.json({
+        success: true,
+        data: {
+          candidates: items.map(candidate => ({
+            ...candidate,
+            counts: {
+              consultations: candidate.consultations.length,
+              conversations: candidate.conversations.length,
+              germanApplications: candidate.germanApplications.length
+            }
+          })),
+          pagination
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching candidates:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to fetch candidates',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Candidate with their bookings and conversations (Admin); a merged candidate points at the one it joined
+  async getCandidate(req, res) {
+    try {
+      const candidate = await candidateRepository.findById(req.params.id);
+
+      if (!candidate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Candidate not found'
+        });
+      }
+
+      const [consultations, conversations] = await Promise.all([
+        consultationRepository.findAll(c => candidate.consultations.includes(c.id)),
+        conversationRepository.findAll(c => candidate.conversations.includes(c.id))
+      ]);
+
+      res.json({
+        success: true,
+        ...(candidate.mergedInto ? { message: `Candidate was merged into ${candidate.mergedInto}` } : {}),
+        data: {
+          ...candidate,
+          consultations: consultations
+            .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+            .map(c => ({
+              id: c.id,
+              fullName: c.fullName,
+              email: c.email,
+              phone: c.phone,
+              interestedService: c.interestedService,
+              status: c.status,
+              submittedAt: c.submittedAt,
+              assignedCounsellor: c.assignedCounsellor || null,
+              duplicate: c.duplicate || null,
+              repeatSubmissions: (c.repeatSubmissions || []).length
+            })),
+          conversations: conversations
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(c => ({
+              id: c.id,
+              flowId: c.flowId,
+              status: c.status,
+              createdAt: c.createdAt,
+              completedAt: c.completedAt || null
+            }))
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching candidate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch candidate',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Merge Candidates (Admin) - body: { candidateIds: [...] } are merged into :id
+  async mergeCandidates(req, res) {
+    try {
+      const candidate = await mergeCandidates(req.params.id, req.body.candidateIds, req.user);
+
+      console.log(`🔗 Candidates ${req.body.candidateIds.join(', ')} merged into ${candidate.id} by ${req.user.username}`);
+
+      res.json({
+        success: true,
+        message: 'Candidates merged successfully',
+        data: candidate
+      });
+
+    } catch (error) {
+      console.error('❌ Error merging candidates:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to merge candidates',
+        ...(error.mergedInto ? { mergedInto: error.mergedInto } : {}),
+        ...(error.missing ? { missing: error.missing } : {}),
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Link stored bookings and conversations recorded before candidates existed (Admin); safe to repeat
+  async rebuildCandidates(req, res) {
+    try {
+      const [consultations, conversations] = await Promise.all([
+        consultationRepository.findAll(),
+        conversationRepository.findAll()
+      ]);
+      const before = (await candidateRepository.findAll()).length;
+      const linked = await linkRecords(collectEntries(consultations, conversations));
+      const after = (await candidateRepository.findAll()).length;
+
+      console.log(`🔗 Candidates rebuilt by ${req.user.username}: ${after - before} new`);
+
+      res.json({
+        success: true,
+        message: 'Candidates rebuilt',
+        data: {
+          linkedRecords: linked.length,
+          candidatesCreated: after - before,
+          candidates: after
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error rebuilding candidates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rebuild candidates',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CandidateController();
@@ -1,43 +1,62 @@
 // controllers/chatbotController.js - Chatbot Business Logic
-const fs = require('fs').promises;
-const path = require('path');
-const emailService = require('../utils/emailService');
+const emailService = require('../utils/mail');
+const meetingService = require('../utils/meetingService');
+const flowRegistry = require('../utils/flowRegistry');
+const flowEngine = require('../utils/flowEngine');
+const conversationRepository = require('../repositories/conversationRepository');
+const feedbackRepository = require('../repositories/feedbackRepository');
+const { computeAnalytics } = require('../utils/chatbotAnalytics');
+const { summarizeFeedback } = require('../utils/feedbackReport');
+const { resolveLocale, localizeFlow, t } = require('../utils/i18n');
+const { validationRules } = require('../middleware/validation');
+const { recordForCandidate } = require('../utils/candidateService');
+const { parsePagination, paginate } = require('../utils/pagination');
+
+const FEEDBACK_MAX_LENGTH = 2000;
+const MAX_PAGE_SIZE = 100;
+const FEEDBACK_ALERT_THRESHOLD = parseInt(process.env.FEEDBACK_ALERT_THRESHOLD) || 2;
 
 class ChatbotController {
   
-  // ✅ Get Chatbot Flow
+  // ✅ Get Chatbot Flow (legacy single-flow endpoint)
   async getChatbotFlow(req, res) {
     try {
-      const flowPath = path.join(__dirname, '..', 'flows', 'chatbot_flow.json');
-      console.log('📂 Loading chatbot flow from:', flowPath);
+      const flowId = req.query.flowId || flowRegistry.DEFAULT_FLOW_ID;
+      const range = req.query.version || flowRegistry.LEGACY_FLOW_RANGE;
+      console.log('📂 Loading chatbot flow:', flowId, range);
       
-      // Check if file exists
-      const fs_sync = require('fs');
-      if (!fs_sync.existsSync(flowPath)) {
-        console.error('❌ Flow file does not exist at:', flowPath);
+      const resolved = await flowRegistry.resolveFlow(flowId, range);
+      if (!resolved) {
+        console.error('❌ No published flow matches:', flowId, range);
         return res.status(404).json({ 
           success: false, 
-          error: 'Chatbot flow file not found',
-          path: flowPath
+          error: 'Chatbot flow not found',
+          flowId,
+          version: range
         });
       }
       
-      const flowData = await fs.readFile(flowPath, 'utf8');
-      console.log('✅ Flow file loaded successfully, size:', flowData.length);
+      console.log('✅ Flow loaded successfully, steps:', resolved.flow.flow?.length || 0);
       
-      const flow = JSON.parse(flowData);
-      console.log('✅ Flow parsed successfully, steps:', flow.flow?.length || 0);
+      const locale = resolveLocale(req);
+      const { flow, features } = flowEngine.annotateFlow(localizeFlow(resolved.flow, locale));
       
+      res.set('Content-Language', locale);
+      res.vary('Accept-Language');
       res.json({
         success: true,
         data: flow,
         timestamp: new Date().toISOString(),
-        version: flow.metadata?.version || '1.0'
+        flowId: resolved.id,
+        version: resolved.version,
+        locale,
+        availableLocales: resolved.flow.metadata?.locales || ['en'],
+        features
       });
       
     } catch (error) {
       console.error('❌ Error loading chatbot flow:', error);
-      res.status(500).json({ 
+      res.status(error.status || 500).json({ 
         success: false, 
         error: 'Failed to load chatbot flow',
         message: error.message
@@ -45,6 +64,71 @@ class ChatbotController {
     }
   }
 
+  // ✅ List Available Flows
+  async getChatbotFlows(req, res) {
+    try {
+      const flows = await flowRegistry.listFlows({ includeDrafts: req.query.includeDrafts === 'true' });
+      
+      res.json({
+        success: true,
+        data: flows,
+        defaultFlowId: flowRegistry.DEFAULT_FLOW_ID,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error listing chatbot flows:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list chatbot flows',
+        message: error.message
+      });
+    }
+  }
+
+  // ✅ Get a Specific Flow Version (?version= accepts an exact version or a semver range)
+  async getChatbotFlowById(req, res) {
+    try {
+      const { flowId } = req.params;
+      const { version, includeDrafts } = req.query;
+      
+      const resolved = await flowRegistry.resolveFlow(flowId, version, { includeDrafts: includeDrafts === 'true' });
+      if (!resolved) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chatbot flow not found',
+          flowId,
+          version: version || 'latest'
+        });
+      }
+      
+      const locale = resolveLocale(req);
+      const { flow, features } = flowEngine.annotateFlow(localizeFlow(resolved.flow, locale));
+      
+      res.set('Content-Language', locale);
+      res.vary('Accept-Language');
+      res.json({
+        success: true,
+        data: flow,
+        timestamp: new Date().toISOString(),
+        flowId: resolved.id,
+        version: resolved.version,
+        status: resolved.status,
+        locale,
+        availableLocales: resolved.flow.metadata?.locales || ['en'],
+        features
+      });
+      
+    } catch (error) {
+      console.error('❌ Error loading chatbot flow version:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: 'Failed to load chatbot flow',
+        message: error.message
+      });
+    }
+  }
+
   // ✅ Validate User Input
   async validateUserInput(req, res) {
     try {
@@ -84,22 +168,48 @@ class ChatbotController {
       }
 
       // Send email using email service
-      const emailResult = await emailService.sendGermanProgramEmail(emailData);
+      const emailResult = await emailService.sendGermanProgramEmail({ ...emailData, locale: resolveLocale(req) });
       
       if (emailResult.success) {
-        console.log('✅ German Program email sent successfully');
+        console.log('✅ German Program email queued:', emailResult.outboxId);
+        
+        await recordForCandidate({
+          contact: { name: emailData.name, email: emailData.email, phone: emailData.phone },
+          conversations: [emailData.conversationId],
+          germanApplications: [{
+            email: emailData.email,
+            purpose: emailData.purpose,
+            outboxId: emailResult.outboxId,
+            conversationId: emailData.conversationId || null,
+            submittedAt: new Date().toISOString()
+          }]
+        });
+
+        if (emailData.conversationId) {
+          try {
+            const linked = await conversationRepository.addLink(emailData.conversationId, 'emails', {
+              type: 'german-program',
+              recipient: emailData.email,
+              outboxId: emailResult.outboxId
+            });
+            if (!linked) console.warn('⚠️ German Program email references unknown conversation:', emailData.conversationId);
+          } catch (linkError) {
+            console.warn('⚠️ Failed to link email to conversation:', linkError.message);
+          }
+        }
         res.json({
           success: true,
-          message: 'German Program email sent successfully',
+          message: 'German Program email queued for delivery',
           data: {
             timestamp: new Date().toISOString(),
             recipient: emailData.email,
             name: emailData.name,
-            messageId: emailResult.messageId
+            outboxId: emailResult.outboxId,
+            conversationId: emailData.conversationId || null
           }
         });
       } else {
-        console.error('❌ Failed to send German Program email:', emailResult.error);
+        console.error('❌ Failed to queue German Program email:', emailResult.error);
         res.status(500).json({
           success: false,
           message: 'Failed to send email',
@@ -117,7 +227,7 @@ class ChatbotController {
     }
   }
 
-  // ✅ Schedule Google Meeting
+  // ✅ Schedule Meeting in a free slot (double-booking is rejected with 409)
   async scheduleGoogleMeeting(req, res) {
     try {
       const meetingData = req.body;
@@ -135,33 +245,35 @@ class ChatbotController {
         });
       }
 
-      // For development - simulate successful scheduling
-      if (process.env.NODE_ENV !== 'production') {
-        console.log('📅 Meeting scheduled (DEV MODE):', meetingData);
-        return res.json({
-          success: true,
-          message: 'Meeting scheduled successfully (DEV MODE)',
-          data: {
-            ...meetingData,
-            meetingLink: `https://meet.google.com/dev-${Date.now()}`,
-            timestamp: new Date().toISOString(),
-            meetingId: `DEV-${Date.now()}`
-          }
+      // ✅ Same name/email rules as the booking form; these values end up in emails and the invite
+      const locale = resolveLocale(req);
+      const errors = ['name', 'email']
+        .map(field => ({ field, result: validationRules[field](meetingData[field], locale) }))
+        .filter(({ result }) => !result.valid)
+        .map(({ field, result }) => `${field}: ${result.message}`);
+      ['date', 'time', 'conversationId'].forEach(field => {
+        if (meetingData[field] !== undefined && typeof meetingData[field] !== 'string') {
+          errors.push(t('validation.form.notText', locale, { field }));
+        }
+      });
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: t('validation.form.failed', locale),
+          errors
         });
       }
-      
-      // TODO: Integrate with Google Calendar API in production
-      // const meetingResult = await googleCalendarService.createMeeting(meetingData);
-      
-      res.json({
-        success: true,
-        message: 'Meeting scheduled successfully',
-        data: {
-          ...meetingData,
-          meetingLink: 'https://meet.google.com/your-production-link',
-          timestamp: new Date().toISOString()
-        }
+
+      const meetingResult = await meetingService.scheduleMeeting({
+        name: meetingData.name.trim(),
+        email: meetingData.email.trim(),
+        date: meetingData.date,
+        time: meetingData.time,
+        conversationId: meetingData.conversationId || null,
+        locale
       });
+      res.status(meetingResult.success ? 200 : meetingResult.status || 500).json(meetingResult);
       
     } catch (error) {
       console.error('❌ Error scheduling meeting:', error);
@@ -173,37 +285,116 @@ class ChatbotController {
     }
   }
 
-  // ✅ Save Conversation Data
+  // ✅ Save Conversation Data (creates a conversation, or updates it when conversationId is sent)
   async saveConversation(req, res) {
     try {
       const conversationData = req.body;
+      const conversationId = conversationData.conversationId;
+      const now = new Date().toISOString();
       
-      // Create log entry
-      const logEntry = {
-        id: Date.now(),
-        timestamp: new Date().toISOString(),
-        ...conversationData,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      };
-      
-      // For now, just log to console (later: save to database)
-      console.log('💾 Conversation completed:', {
-        id: logEntry.id,
-        name: conversationData.responses?.name,
-        email: conversationData.responses?.email,
-        completed: conversationData.completed
+      if (conversationData.responses !== undefined &&
+          (typeof conversationData.responses !== 'object' || Array.isArray(conversationData.responses))) {
+        return res.status(400).json({
+          success: false,
+          message: 'responses must be an object of field values'
+        });
+      }
+      
+      const responses = conversationData.responses || {};
+      const status = conversationData.completed ? 'completed' : 'partial';
+      const submittedSteps = Array.isArray(conversationData.steps) ? conversationData.steps : conversationData.history;
+
+      if (Array.isArray(submittedSteps) && !submittedSteps.every(step => step && typeof step === 'object' && !Array.isArray(step))) {
+        return res.status(400).json({
+          success: false,
+          message: `${Array.isArray(conversationData.steps) ? 'steps' : 'history'} must be a list of step objects`
+        });
+      }
+      
+      // Per-step answers; older clients only send responses, so fall back to one entry per field
+      const toSteps = (allResponses, previous = []) => (Array.isArray(submittedSteps)
+        ? submittedSteps.map(step => ({
+          stepId: step.stepId ?? step.id ?? null,
+          field: step.field || null,
+          value: step.value ?? step.answer ?? null,
+          answeredAt: step.answeredAt || step.timestamp || now
+        }))
+        : Object.entries(allResponses).map(([field, value]) => {
+          const earlier = previous.find(step => step.field === field && step.value === value);
+          return { stepId: earlier?.stepId ?? null, field, value, answeredAt: earlier?.answeredAt || now };
+        }));
+      
+      const flowVersion = conversationData.flowVersion || conversationData.version;
+      // The step the visitor was looking at when the conversation was saved
+      const currentStepId = conversationData.currentStepId ?? conversationData.currentStep;
+      
+      let conversation;
+      if (conversationId) {
+        // Updates only overwrite what the client sent
+        conversation = await conversationRepository.update(conversationId, existing => {
+          const merged = { ...existing.responses, ...responses };
+          return {
+            ...existing,
+            flowId: conversationData.flowId || existing.flowId,
+            flowVersion: flowVersion || existing.flowVersion,
+            locale: resolveLocale(req),
+            status: existing.status === 'completed' ? 'completed' : status,
+            responses: merged,
+            steps: toSteps(merged, existing.steps),
+            currentStepId: status === 'completed' ? null : currentStepId ?? existing.currentStepId,
+            completedAt: existing.completedAt || (status === 'completed' ? now : null),
+            updatedAt: now
+          };
+        });
+        
+        if (!conversation) {
+          return res.status(404).json({
+            success: false,
+            message: 'Conversation not found',
+            conversationId
+          });
+        }
+      } else {
+        conversation = await conversationRepository.create({
+          id: conversationRepository.generateId(),
+          source: 'client',
+          flowId: conversationData.flowId || flowRegistry.DEFAULT_FLOW_ID,
+          flowVersion: flowVersion || null,
+          locale: resolveLocale(req),
+          status,
+          responses,
+          steps: toSteps(responses),
+          currentStepId: status === 'completed' ? null : currentStepId ?? null,
+          links: { consultations: [], emails: [] },
+          startedAt: conversationData.startedAt || now,
+          completedAt: status === 'completed' ? now : null,
+          createdAt: now,
+          updatedAt: now,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+      }
+      
+      await recordForCandidate({
+        contact: { name: conversation.responses?.name, email: conversation.responses?.email, phone: conversation.responses?.phone },
+        conversations: [conversation.id]
       });
       
-      // TODO: Save to database
-      // await database.conversations.create(logEntry);
+      console.log('💾 Conversation saved:', {
+        id: conversation.id,
+        name: conversation.responses?.name,
+        email: conversation.responses?.email,
+        flow: `${conversation.flowId}@${conversation.flowVersion || 'unknown'}`,
+        status: conversation.status
+      });
       
       res.json({
         success: true,
         message: 'Conversation data saved successfully',
         data: { 
-          id: logEntry.id,
-          timestamp: logEntry.timestamp
+          id: conversation.id,
+          status: conversation.status,
+          timestamp: conversation.updatedAt
         }
       });
       
@@ -217,52 +408,117 @@ class ChatbotController {
     }
   }
 
-  // ✅ Get Chatbot Analytics (Future feature)
+  // ✅ Get Chatbot Analytics (?from, ?to, ?flowId, ?flowVersion, ?top)
   async getChatbotAnalytics(req, res) {
     try {
-      // TODO: Implement analytics
-      const analytics = {
-        totalConversations: 0,
-        completionRate: 0,
-        averageSteps: 0,
-        topDropOffPoints: [],
-        lastUpdated: new Date().toISOString()
-      };
-
+      const { from, to, flowId, flowVersion } = req.query;
+      const top = Math.min(Math.max(parseInt(req.query.top) || 5, 1), 50);
+      
+      const conversations = await conversationRepository.findFiltered({ from, to, flowId, flowVersion });
+      
+      // Load each flow version the conversations were recorded against, for step labels and choice fields
+      const flows = {};
+      const versions = [...new Set(conversations
+        .filter(c => c.flowId && c.flowVersion)
+        .map(c => `${c.flowId}@${c.flowVersion}`))];
+      
+      for (const key of versions) {
+        const [id, version] = key.split('@');
+        try {
+          const resolved = await flowRegistry.resolveFlow(id, version, { includeDrafts: true });
+          if (resolved && resolved.version === version) flows[key] = resolved.flow;
+        } catch (flowError) {
+          console.warn(`⚠️ Analytics skipped flow ${key}:`, flowError.message);
+        }
+      }
+      
+      const analytics = computeAnalytics(conversations, flows, { top, from, to });
+      
       res.json({
         success: true,
         data: analytics,
-        message: 'Analytics feature coming soon'
+        filters: {
+          from: from || null,
+          to: to || null,
+          flowId: flowId || null,
+          flowVersion: flowVersion || null
+        }
       });
       
     } catch (error) {
       console.error('❌ Error getting analytics:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Failed to get analytics',
+        message: error.status ? error.message : 'Failed to get analytics',
         error: error.message
       });
     }
   }
 
-  // ✅ Save User Feedback (Future feature)
+  // ✅ Save User Feedback (one per conversation)
   async saveFeedback(req, res) {
     try {
       const { rating, feedback, conversationId } = req.body;
+      const score = Number(rating);
+      
+      if (rating === undefined || rating === null || rating === '' || !Number.isInteger(score) || score < 1 || score > 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rating must be a whole number from 1 to 5'
+        });
+      }
+      
+      if (feedback !== undefined && feedback !== null && typeof feedback !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Feedback must be text'
+        });
+      }
+      
+      if (!conversationId) {
+        return res.status(400).json({
+          success: false,
+          message: 'conversationId is required'
+        });
+      }
       
-      const feedbackEntry = {
-        id: Date.now(),
+      const conversation = await conversationRepository.findById(conversationId);
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found',
+          conversationId
+        });
+      }
+      
+      const feedbackEntry = await feedbackRepository.createForConversation({
+        id: `FB-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
         conversationId,
-        rating,
-        feedback,
-        timestamp: new Date().toISOString(),
+        flowId: conversation.flowId,
+        flowVersion: conversation.flowVersion,
+        rating: score,
+        feedback: (feedback || '').trim().slice(0, FEEDBACK_MAX_LENGTH),
+        createdAt: new Date().toISOString(),
         ipAddress: req.ip
-      };
+      });
       
-      console.log('📝 Feedback received:', feedbackEntry);
+      if (!feedbackEntry) {
+        return res.status(409).json({
+          success: false,
+          message: 'Feedback has already been submitted for this conversation',
+          conversationId
+        });
+      }
       
-      // TODO: Save to database
-      // await database.feedback.create(feedbackEntry);
+      console.log('📝 Feedback received:', { id: feedbackEntry.id, conversationId, rating: score });
+      
+      // ✅ Low ratings alert the admin; a failed alert does not fail the submission
+      if (score <= FEEDBACK_ALERT_THRESHOLD) {
+        const alert = await emailService.sendFeedbackAlertEmail(feedbackEntry, conversation);
+        await feedbackRepository.update(feedbackEntry.id, {
+          alert: { success: alert.success, outboxId: alert.outboxId || null, error: alert.error || null, queuedAt: new Date().toISOString() }
+        });
+      }
       
       res.json({
         success: true,
@@ -279,6 +535,54 @@ class ChatbotController {
       });
     }
   }
+
+  // ✅ List Feedback (Admin) - ?flowId, ?rating, ?from, ?to, ?page, ?limit
+  async getFeedback(req, res) {
+    try {
+      const paging = parsePagination(req.query, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+      const entries = await feedbackRepository.findFiltered(req.query);
+      const { items, pagination } = paginate(entries, paging);
+      
+      res.json({
+        success: true,
+        data: {
+          feedback: items,
+          pagination
+        }
+      });
+      
+    } catch (error) {
+      console.error('❌ Error fetching feedback:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to fetch feedback',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ CSAT / NPS-style Feedback Scores per Flow and per Week (Admin)
+  async getFeedbackSummary(req, res) {
+    try {
+      const entries = await feedbackRepository.findFiltered(req.query);
+      
+      res.json({
+        success: true,
+        data: {
+          ...summarizeFeedback(entries),
+          lastUpdated: new Date().toISOString()
+        }
+      });
+      
+    } catch (error) {
+      console.error('❌ Error summarizing feedback:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to summarize feedback',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new ChatbotController();
@@ -1,19 +1,62 @@
 // controllers/consultationController.js - Vercel Compatible
-const fs = require('fs').promises;
-const path = require('path');
-const os = require('os');
-const emailService = require('../utils/emailServiceGuidance');
+const emailService = require('../utils/mail');
+const consultationRepository = require('../repositories/consultationRepository');
+const conversationRepository = require('../repositories/conversationRepository');
+const { resolveLocale, t } = require('../utils/i18n');
+const { isValidDate, toMinutes, toInstant } = require('../utils/availability');
+const { buildUid } = require('../utils/icsGenerator');
+const { CONSULTATION_STATUSES, REQUESTABLE_STATUSES, allowedTransitions, resolveTransition, buildHistoryEntry } = require('../utils/consultationStatus');
+const { hasRole } = require('../utils/authService');
+const userRepository = require('../repositories/userRepository');
+const { DEFAULT_STRATEGY, listCounsellors, pickCounsellor, assignCounsellor, getAssignmentStrategy, getWorkloads, coversBooking } = require('../utils/counsellorService');
+const { noteThread, checkNoteText, appendNote } = require('../utils/consultationNotes');
+const { getDuplicateConfig, findDuplicateBookings, attachSubmission, recordForCandidate } = require('../utils/candidateService');
+const { storeResume, removeResume, isStoredResume, getResumeDownloadUrl } = require('../utils/resumeFiles');
+const { buildResumeProfile } = require('../utils/resumeParser');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { CONSULTATION_FORM_FIELDS } = require('../middleware/validation');
+const { TABLE_FORMATS, CONSULTATION_COLUMNS, selectColumns, sendTable } = require('../utils/tableExport');
+
+const DEFAULT_APPOINTMENT_MINUTES = 60;
+const MAX_REASON_LENGTH = 1000;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_ITEMS = 500;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,39}$/;
+
+// Bulk action -> minimum role (the route itself needs counsellor)
+const BULK_ACTION_ROLES = {
+  'set-status': 'counsellor',
+  'add-tag': 'counsellor',
+  'assign-counsellor': 'admin',
+  delete: 'admin'
+};
+
+const badRequest = (message, details = {}) => {
+  const error = new Error(message);
+  error.status = 400;
+  Object.assign(error, details);
+  return error;
+};
+
+// ✅ The booking form's own fields as text; nested objects (multer turns a[b]=c into { a: { b: c } }) are dropped
+const pickFormFields = (body = {}) => Object.fromEntries(
+  CONSULTATION_FORM_FIELDS
+    .filter(field => typeof body[field] === 'string' || Number.isFinite(body[field]))
+    .map(field => [field, String(body[field])])
+);
 
 class ConsultationController {
 
   async bookConsultation(req, res) {
+    let resume = null;
     try {
       console.log('📞 Processing consultation booking request...');
       console.log('📋 Environment:', process.env.NODE_ENV);
       console.log('📋 Request body keys:', Object.keys(req.body));
       console.log('📋 File uploaded:', !!req.file);
       
-      const formData = req.body;
+      const formData = pickFormFields(req.body);
       const resumeFile = req.file;
       
       console.log('📋 Form data received:', {
@@ -25,41 +68,122 @@ class ConsultationController {
 
       // Generate unique consultation ID
       const consultationId = `CONS-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+      // ✅ Resume goes to durable file storage under a key that keeps its extension
+      if (resumeFile) {
+        resume = await storeResume(resumeFile);
+        // ✅ Extracted profile, cross-checked against the form, so counsellors need not open the file
+        resume.profile = buildResumeProfile(resumeFile, formData);
+        console.log('🧾 Resume profile:', resume.profile.status, resume.profile.mismatches ? `${resume.profile.mismatches.length} mismatch(es)` : '');
+      }
       
       // Prepare consultation data
       const consultationData = {
         id: consultationId,
         ...formData,
-        resume: resumeFile ? {
-          originalName: resumeFile.originalname,
-          filename: resumeFile.filename,
-          path: resumeFile.path,
-          size: resumeFile.size,
-          mimetype: resumeFile.mimetype
-        } : null,
+        resume,
+        notes: [],
         status: 'pending',
+        statusHistory: [buildHistoryEntry({ from: null, to: 'pending', action: 'created' })],
+        locale: resolveLocale(req),
         submittedAt: new Date().toISOString(),
         ipAddress: req.ip,
         userAgent: req.get('User-Agent')
       };
 
-      console.log('💾 Attempting to save consultation...');
+      console.log('💾 Saving consultation...');
       
-      // ✅ FIXED: Try to save but don't fail if it doesn't work (Vercel limitation)
-      try {
-        await this.saveConsultationToFile(consultationData);
-        console.log('💾 Consultation saved to file successfully');
-      } catch (saveError) {
-        console.warn('⚠️ File save failed (continuing anyway):', saveError.message);
-        // Continue without failing - this is expected on serverless platforms
+      // ✅ Persist before notifying anyone - a failed save fails the booking. Duplicate checks and the
+      // counsellor pick run in the same transaction, so concurrent bookings see each other
+      const duplicateConfig = getDuplicateConfig();
+      const strategy = getAssignmentStrategy();
+      const counsellors = strategy ? await listCounsellors() : [];
+      const { consultation, attached } = await consultationRepository.transaction(tx => {
+        const all = tx.all();
+        const duplicates = duplicateConfig.mode === 'off' ? [] : findDuplicateBookings(all, consultationData, duplicateConfig);
+        let booking = consultationData;
+
+        if (duplicates.length) {
+          const [latest] = duplicates;
+          if (duplicateConfig.mode === 'reject') {
+            const error = new Error('You already have a consultation booking in progress. Our team will contact you soon.');
+            error.status = 409;
+            error.code = 'DUPLICATE_BOOKING';
+            error.consultationId = latest.consultation.id;
+            throw error;
+          }
+          if (duplicateConfig.mode === 'attach') {
+            return { consultation: tx.update(latest.consultation.id, attachSubmission(latest.consultation, consultationData)), attached: true };
+          }
+          booking = {
+            ...booking,
+            duplicate: {
+              of: duplicates.map(({ consultation: earlier, matchedOn }) => ({
+                id: earlier.id,
+                submittedAt: earlier.submittedAt,
+                status: earlier.status,
+                matchedOn
+              })),
+              windowHours: duplicateConfig.windowHours,
+              detectedAt: consultationData.submittedAt
+            }
+          };
+        }
+
+        const counsellor = pickCounsellor(counsellors, booking, all, strategy);
+        return { consultation: tx.insert(counsellor ? assignCounsellor(booking, counsellor, { method: strategy }) : booking), attached: false };
+      });
+      const bookingId = consultation.id;
+
+      if (attached) {
+        console.log('🔁 Repeat booking attached to', bookingId);
+      } else {
+        console.log('💾 Consultation saved:', bookingId,
+          consultation.assignedCounsellor ? `(assigned to ${consultation.assignedCounsellor.name})` : '(unassigned)',
+          consultation.duplicate ? `⚠️ possible duplicate of ${consultation.duplicate.of.map(d => d.id).join(', ')}` : '');
+      }
+
+      // ✅ Group the booking with the person's other records
+      await recordForCandidate({
+        contact: { name: formData.fullName, email: formData.email, phone: formData.phone },
+        consultations: [bookingId],
+        conversations: [formData.conversationId]
+      });
+
+      // ✅ Link the booking back to the chatbot conversation it came from
+      if (formData.conversationId) {
+        try {
+          const conversation = await conversationRepository.addLink(formData.conversationId, 'consultations', {
+            id: bookingId
+          });
+          if (!conversation) {
+            console.warn('⚠️ Booking references unknown conversation:', formData.conversationId);
+          }
+        } catch (linkError) {
+          console.warn('⚠️ Failed to link booking to conversation:', linkError.message);
+        }
+      }
+
+      // The earlier booking has been emailed about already; the repeat only updates it
+      if (attached) {
+        return res.status(200).json({
+          success: true,
+          message: 'We already have your consultation booking - your new details were added to it',
+          data: {
+            consultationId: bookingId,
+            submittedAt: consultation.submittedAt,
+            status: consultation.status,
+            attachedToExisting: true
+          }
+        });
       }
 
-      console.log('📧 Attempting to send emails...');
+      console.log('📧 Queueing notification emails...');
       
-      // Send email notifications
-      const emailResult = await emailService.sendConsultationEmails(consultationData);
+      // Queue email notifications - SMTP delivery happens in the background
+      const emailResult = await emailService.sendConsultationEmails(consultation);
       
-      console.log('📧 Email result:', emailResult.success ? 'Success' : 'Failed');
+      console.log('📧 Email result:', emailResult.success ? 'Queued' : 'Failed');
 
       if (emailResult.success) {
         console.log('✅ Consultation booked successfully:', consultationId);
@@ -94,17 +218,18 @@ class ConsultationController {
       console.error('❌ Error booking consultation:', error);
       console.error('❌ Stack trace:', error.stack);
       
-      // Clean up uploaded file if error occurs
-      if (req.file && req.file.path) {
-        try {
-          const fs_sync = require('fs');
-          if (fs_sync.existsSync(req.file.path)) {
-            fs_sync.unlinkSync(req.file.path);
-            console.log('🗑️ Cleaned up uploaded file after error');
-          }
-        } catch (cleanupError) {
-          console.error('❌ Failed to cleanup file:', cleanupError);
-        }
+      // Clean up the stored resume if the booking was not saved
+      if (resume) {
+        await removeResume(resume);
+      }
+
+      if (error.code === 'DUPLICATE_BOOKING') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          consultationId: error.consultationId
+        });
       }
       
       res.status(500).json({
@@ -119,219 +244,770 @@ class ConsultationController {
     }
   }
 
-  // ✅ Get All Consultation Bookings (Admin)
+  // ✅ Get All Consultation Bookings (Admin) - see consultationRepository.buildFilter for the query
   async getConsultationBookings(req, res) {
     try {
-      const { status, page = 1, limit = 10 } = req.query;
-      
-      const consultations = await this.loadConsultationsFromFile();
-      
-      let filteredConsultations = consultations;
-      
-      if (status && status !== 'all') {
-        filteredConsultations = consultations.filter(c => c.status === status);
-      }
-
-      const startIndex = (page - 1) * limit;
-      const endIndex = page * limit;
-      const paginatedConsultations = filteredConsultations.slice(startIndex, endIndex);
+      const paging = parsePagination(req.query, { defaultLimit: 10, maxLimit: MAX_PAGE_SIZE });
+      const consultations = await consultationRepository.findFiltered(req.query);
+      const { items, pagination } = paginate(consultations, paging);
 
       res.status(200).json({
         success: true,
         data: {
-          consultations: paginatedConsultations,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: filteredConsultations.length,
-            pages: Math.ceil(filteredConsultations.length / limit)
-          }
+          consultations: items,
+          pagination
         }
       });
 
     } catch (error) {
       console.error('❌ Error fetching consultations:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Failed to fetch consultations',
+        message: error.status ? error.message : 'Failed to fetch consultations',
         error: error.message
       });
     }
   }
 
+  // ✅ Export Bookings as CSV or XLSX with the listing's filters and sort, ?columns to pick columns (Admin)
+  async exportConsultations(req, res) {
+    try {
+      const format = req.query.format || 'csv';
+
+      if (!TABLE_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid export format',
+          validFormats: Object.keys(TABLE_FORMATS)
+        });
+      }
+
+      const columns = selectColumns(CONSULTATION_COLUMNS, req.query.columns);
+      const consultations = await consultationRepository.findFiltered(req.query);
+
+      console.log(`📤 Exporting ${consultations.length} consultation(s) as ${format}`);
+
+      await sendTable(res, {
+        format,
+        filename: `consultations-${new Date().toISOString().slice(0, 10)}.${format}`,
+        sheetName: 'Consultations',
+        columns,
+        rows: consultations
+      });
+
+    } catch (error) {
+      console.error('❌ Error exporting consultations:', error);
+      // Once rows are streaming the only way to signal failure is to cut the download short
+      if (res.headersSent) return res.destroy(error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to export consultations',
+        error: error.message,
+        validColumns: error.validColumns
+      });
+    }
+  }
+
+  // Validate an appointment from the request body ({ date, time, durationMinutes, location, meetingLink })
+  parseAppointment(input) {
+    if (!input) return { appointment: null };
+
+    const minutes = toMinutes(input.time || '');
+    const duration = input.durationMinutes === undefined ? DEFAULT_APPOINTMENT_MINUTES : Number(input.durationMinutes);
+
+    if (!isValidDate(input.date) || minutes === null) {
+      return { error: 'appointment.date (YYYY-MM-DD) and appointment.time (HH:MM, IST) are required' };
+    }
+    if (!Number.isInteger(duration) || duration < 15 || duration > 240) {
+      return { error: 'appointment.durationMinutes must be between 15 and 240' };
+    }
+
+    const start = toInstant(input.date, minutes);
+    return {
+      appointment: {
+        date: input.date,
+        time: input.time,
+        durationMinutes: duration,
+        start: start.toISOString(),
+        end: new Date(start.getTime() + duration * 60 * 1000).toISOString(),
+        location: input.location || null,
+        meetingLink: input.meetingLink || null
+      }
+    };
+  }
+
+  // Where the consultation happens, from its preferred mode unless given explicitly
+  defaultLocation(consultation, appointment) {
+    if (appointment.location) return appointment.location;
+    if (consultation.preferredMode === 'online') return appointment.meetingLink;
+    if (consultation.preferredMode === 'phone') {
+      return t('email.invite.phoneLocation', consultation.locale, { phone: consultation.phone });
+    }
+    return process.env.OFFICE_ADDRESS || t('email.invite.officeLocation', consultation.locale);
+  }
+
+  /**
+   * Apply a requested status change to a stored consultation and return { consultation, transition }.
+   * Shared by the single and bulk endpoints; throws (409/400) when the state machine rejects the change.
+   */
+  buildStatusUpdate(existing, { status, notes, reason, appointment }, user) {
+    // Invites keep one UID per consultation; every revision bumps SEQUENCE
+    let nextAppointment = existing.appointment || null;
+    const location = appointment ? this.defaultLocation(existing, appointment) : null;
+    const changed = !!appointment && (!nextAppointment || ['start', 'end', 'meetingLink']
+      .some(key => nextAppointment[key] !== appointment[key]) || nextAppointment.location !== location);
+
+    // ✅ Rejects transitions outside the table (409) before anything is written
+    const transition = resolveTransition(existing.status, status, {
+      appointmentChanged: changed,
+      hadAppointment: !!existing.appointment
+    });
+    const nextStatus = transition.status;
+
+    if (changed) {
+      nextAppointment = {
+        ...appointment,
+        location,
+        uid: existing.appointment?.uid || buildUid(existing.id),
+        sequence: existing.appointment ? existing.appointment.sequence + 1 : 0
+      };
+    } else if (nextStatus === 'cancelled' && existing.status !== 'cancelled' && nextAppointment) {
+      nextAppointment = { ...nextAppointment, sequence: nextAppointment.sequence + 1 };
+    }
+
+    const cancellationReason = nextStatus === 'cancelled'
+      ? (reason || existing.cancellationReason || null)
+      : existing.cancellationReason;
+
+    const consultation = {
+      ...existing,
+      status: nextStatus,
+      appointment: nextAppointment,
+      cancellationReason,
+      statusHistory: [...(existing.statusHistory || []), buildHistoryEntry({
+        from: existing.status,
+        to: nextStatus,
+        action: transition.action,
+        actor: user,
+        note: notes,
+        reason: nextStatus === 'cancelled' ? reason : null
+      })],
+      updatedAt: new Date().toISOString(),
+      updatedBy: user.id,
+      updatedByName: user.name || user.username
+    };
+
+    // Notes sent with a status change join the internal thread
+    return { transition, consultation: notes ? appendNote(consultation, notes, user) : consultation };
+  }
+
+  // Candidate email for a transition, or null when the change does not warrant one
+  statusEmailType(transition, consultation) {
+    if (transition.action === 'rescheduled') return 'rescheduled';
+    if (transition.action === 'scheduled') return 'confirmed';
+    if (transition.action === 'status' && ['confirmed', 'cancelled', 'completed'].includes(consultation.status)) {
+      return consultation.status;
+    }
+    return null;
+  }
+
   // ✅ Update Consultation Status (Admin)
   async updateConsultationStatus(req, res) {
     try {
       const { id } = req.params;
-      const { status, notes } = req.body;
-      
-      const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled'];
+      const { status, notes, reason, message } = req.body;
       
-      if (!validStatuses.includes(status)) {
+      if (!REQUESTABLE_STATUSES.includes(status)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid status',
-          validStatuses
+          validStatuses: REQUESTABLE_STATUSES
+        });
+      }
+
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        return res.status(400).json({
+          success: false,
+          message: `reason must be text of at most ${MAX_REASON_LENGTH} characters`
+        });
+      }
+
+      // notes are internal; message is shown to the candidate in the status email
+      if (notes !== undefined && notes !== '') {
+        checkNoteText(notes);
+      }
+      if (message !== undefined && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+        return res.status(400).json({
+          success: false,
+          message: `message must be text of at most ${MAX_MESSAGE_LENGTH} characters`
+        });
+      }
+
+      const { appointment, error: appointmentError } = this.parseAppointment(req.body.appointment);
+      if (appointmentError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid appointment',
+          error: appointmentError
+        });
+      }
+      if (appointment && !['confirmed', 'rescheduled'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'An appointment can only be set when confirming or rescheduling'
         });
       }
 
-      const consultations = await this.loadConsultationsFromFile();
-      const consultationIndex = consultations.findIndex(c => c.id === id);
+      let previous = null;
+      let transition = null;
+      const consultation = await consultationRepository.update(id, existing => {
+        previous = existing;
+        const change = this.buildStatusUpdate(existing, { status, notes, reason, appointment }, req.user);
+        transition = change.transition;
+        return change.consultation;
+      });
       
-      if (consultationIndex === -1) {
+      if (!consultation) {
         return res.status(404).json({
           success: false,
           message: 'Consultation not found'
         });
       }
 
-      consultations[consultationIndex] = {
-        ...consultations[consultationIndex],
-        status,
-        notes: notes || consultations[consultationIndex].notes,
-        updatedAt: new Date().toISOString(),
-        updatedBy: req.user?.id || 'admin'
-      };
-
-      await this.saveConsultationsToFile(consultations);
+      const emailType = this.statusEmailType(transition, consultation);
+      const updated = emailType
+        ? await this.sendStatusEmail(consultation, emailType, req.user, { message })
+        : consultation;
 
-      if (status === 'confirmed') {
-        await emailService.sendConsultationConfirmationEmail(consultations[consultationIndex]);
-      }
+      console.log(`📋 Consultation ${id}: ${previous.status} → ${consultation.status} (${transition.action})`);
 
       res.status(200).json({
         success: true,
         message: 'Consultation status updated successfully',
-        data: consultations[consultationIndex]
+        data: updated
       });
 
     } catch (error) {
       console.error('❌ Error updating consultation status:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to update consultation status',
+        ...(error.allowed ? { allowedTransitions: error.allowed } : {}),
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Status History (Admin)
+  async getConsultationHistory(req, res) {
+    try {
+      const consultation = await consultationRepository.findById(req.params.id);
+
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          id: consultation.id,
+          status: consultation.status,
+          allowedTransitions: allowedTransitions(consultation.status),
+          history: consultation.statusHistory || []
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching consultation history:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update consultation status',
+        message: 'Failed to fetch consultation history',
         error: error.message
       });
     }
   }
 
-  // ✅ Delete Consultation (Admin)
-  async deleteConsultation(req, res) {
+  // Delete the booking's resume and any sent with repeat submissions; resolves to the main file's result
+  async removeResumes(consultation) {
+    const mainKey = consultation.resume && consultation.resume.key;
+    const repeats = (consultation.repeatSubmissions || [])
+      .map(submission => submission.resume)
+      .filter(resume => resume && resume.key !== mainKey);
+    for (const resume of repeats) {
+      await removeResume(resume);
+    }
+    return removeResume(consultation.resume);
+  }
+
+  // Send the candidate email for a status change and record the attempt on the consultation
+  async sendStatusEmail(consultation, type, user, { message } = {}) {
+    let result;
     try {
-      const { id } = req.params;
-      
-      const consultations = await this.loadConsultationsFromFile();
-      const consultationIndex = consultations.findIndex(c => c.id === id);
-      
-      if (consultationIndex === -1) {
+      result = await emailService.sendStatusChangeEmail(consultation, type, {
+        reason: consultation.cancellationReason,
+        message
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      console.warn(`⚠️ ${type} email not sent for ${consultation.id}:`, result.error);
+    }
+
+    const entry = {
+      type,
+      to: consultation.email,
+      success: !!result.success,
+      outboxId: result.outboxId || null,
+      error: result.success ? null : result.error || 'Unknown error',
+      appointmentSequence: consultation.appointment ? consultation.appointment.sequence : null,
+      message: message || null,
+      queuedAt: new Date().toISOString(),
+      queuedBy: user.id
+    };
+
+    const updated = await consultationRepository.update(consultation.id, existing => ({
+      ...existing,
+      statusEmails: [...(existing.statusEmails || []), entry]
+    }));
+
+    return updated || consultation;
+  }
+
+  // ✅ Signed, expiring download link for the candidate's resume (Counsellor)
+  async getResumeDownload(req, res) {
+    try {
+      const consultation = await consultationRepository.findById(req.params.id);
+
+      if (!consultation) {
         return res.status(404).json({
           success: false,
           message: 'Consultation not found'
         });
       }
+      if (!isStoredResume(consultation.resume)) {
+        return res.status(404).json({
+          success: false,
+          message: consultation.resume ? 'Resume was uploaded before file storage and is no longer available' : 'No resume uploaded'
+        });
+      }
 
-      const consultation = consultations[consultationIndex];
-      
-      if (consultation.resume && consultation.resume.path) {
-        try {
-          const fs_sync = require('fs');
-          if (fs_sync.existsSync(consultation.resume.path)) {
-            fs_sync.unlinkSync(consultation.resume.path);
-            console.log('🗑️ Resume file deleted:', consultation.resume.filename);
+      const { url, expiresAt } = getResumeDownloadUrl(consultation.resume);
+      const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          url: `${base.replace(/\/$/, '')}${url}`,
+          expiresAt,
+          originalName: consultation.resume.originalName,
+          size: consultation.resume.size
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating resume download link:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to create resume download link',
+        error: error.message
+      });
+    }
+  }
+
+  // counsellorId from a request -> { id, name } of an active counsellor/admin user, or null to unassign; throws a 400
+  async resolveCounsellor(counsellorId) {
+    if (counsellorId === null) return null;
+    const user = typeof counsellorId === 'string' ? await userRepository.findById(counsellorId) : null;
+    if (!user || !user.active || !hasRole(user.role, 'counsellor')) {
+      throw badRequest('counsellorId must be an active user with the counsellor or admin role');
+    }
+    return { id: user.id, name: user.name || user.username };
+  }
+
+  // Check a bulk request body; resolves to the action's parameters or throws a 400/403
+  async parseBulkRequest(body, user) {
+    const { action, ids, filter, dryRun = false } = body || {};
+
+    if (!BULK_ACTION_ROLES[action]) {
+      throw badRequest('Invalid bulk action', { validActions: Object.keys(BULK_ACTION_ROLES) });
+    }
+    if (!hasRole(user.role, BULK_ACTION_ROLES[action])) {
+      const error = new Error(`The ${action} action requires the ${BULK_ACTION_ROLES[action]} role`);
+      error.status = 403;
+      throw error;
+    }
+    if (typeof dryRun !== 'boolean') {
+      throw badRequest('dryRun must be true or false');
+    }
+
+    // ✅ Targets: an explicit id list or a listing filter, never both, and never "everything" by accident
+    let select;
+    if (ids !== undefined && filter !== undefined) {
+      throw badRequest('Send either ids or filter, not both');
+    }
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+        throw badRequest('ids must be a non-empty array of consultation ids');
+      }
+      const unique = [...new Set(ids)];
+      if (unique.length > MAX_BULK_ITEMS) {
+        throw badRequest(`At most ${MAX_BULK_ITEMS} consultations can be changed at once`);
+      }
+      select = (tx) => unique.map(id => ({ id, existing: tx.get(id) }));
+    } else if (filter && typeof filter === 'object' && !Array.isArray(filter) && Object.keys(filter).length > 0) {
+      const predicate = consultationRepository.buildFilter(filter, { strict: true });
+      select = (tx) => tx.all().filter(predicate).map(existing => ({ id: existing.id, existing }));
+    } else {
+      throw badRequest('Send ids or a filter with at least one condition');
+    }
+
+    const params = { action, dryRun, select };
+
+    if (action === 'set-status') {
+      const { status, notes, reason, message } = body;
+      // Rescheduling needs an appointment per booking, so it stays on the single-booking endpoint
+      if (!CONSULTATION_STATUSES.includes(status)) {
+        throw badRequest('Invalid status', { validStatuses: CONSULTATION_STATUSES });
+      }
+      if (notes !== undefined && notes !== '') {
+        checkNoteText(notes);
+      }
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        throw badRequest(`reason must be text of at most ${MAX_REASON_LENGTH} characters`);
+      }
+      if (message !== undefined && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+        throw badRequest(`message must be text of at most ${MAX_MESSAGE_LENGTH} characters`);
+      }
+      Object.assign(params, { status, notes, reason, message });
+    }
+
+    if (action === 'assign-counsellor') {
+      params.counsellor = await this.resolveCounsellor(body.counsellorId);
+    }
+
+    if (action === 'add-tag') {
+      const tag = typeof body.tag === 'string' ? body.tag.trim().toLowerCase() : '';
+      if (!TAG_PATTERN.test(tag)) {
+        throw badRequest('tag must be 1-40 letters, digits, spaces, "-" or "_"');
+      }
+      params.tag = tag;
+    }
+
+    return params;
+  }
+
+  // One consultation under a bulk action -> { result, next } (next is the document to store, if any)
+  applyBulkAction(existing, params, user) {
+    const audit = { updatedAt: new Date().toISOString(), updatedBy: user.id, updatedByName: user.name || user.username };
+
+    switch (params.action) {
+      case 'set-status': {
+        if (existing.status === params.status && !params.notes) {
+          return { result: { outcome: 'unchanged', status: existing.status } };
+        }
+        const { consultation, transition } = this.buildStatusUpdate(existing, params, user);
+        return {
+          next: consultation,
+          transition,
+          result: { outcome: 'updated', from: existing.status, to: consultation.status, transition: transition.action }
+        };
+      }
+      case 'assign-counsellor': {
+        const current = existing.assignedCounsellor || null;
+        if ((current && current.id) === (params.counsellor && params.counsellor.id)) {
+          return { result: { outcome: 'unchanged', counsellor: current } };
+        }
+        return {
+          next: { ...assignCounsellor(existing, params.counsellor, { actor: user }), ...audit },
+          result: { outcome: 'updated', from: current ? current.id : null, to: params.counsellor ? params.counsellor.id : null }
+        };
+      }
+      case 'add-tag': {
+        const tags = existing.tags || [];
+        if (tags.includes(params.tag)) {
+          return { result: { outcome: 'unchanged', tags } };
+        }
+        return {
+          next: { ...existing, tags: [...tags, params.tag], ...audit },
+          result: { outcome: 'updated', tags: [...tags, params.tag] }
+        };
+      }
+      case 'delete':
+        return { remove: true, result: { outcome: 'deleted' } };
+      default:
+        throw new Error(`Unhandled bulk action ${params.action}`);
+    }
+  }
+
+  /**
+   * ✅ Bulk Action (Counsellor; assign-counsellor and delete need Admin)
+   * Body: { action, ids | filter, dryRun, ...action fields } - all changes are written in one storage transaction,
+   * then status emails are queued and resume files removed. Results come back per id.
+   */
+  async bulkUpdateConsultations(req, res) {
+    try {
+      const params = await this.parseBulkRequest(req.body, req.user);
+
+      const processed = await consultationRepository.transaction(tx => {
+        const targets = params.select(tx);
+        if (targets.length > MAX_BULK_ITEMS) {
+          throw badRequest(`The filter matches ${targets.length} consultations; narrow it to at most ${MAX_BULK_ITEMS}`);
+        }
+
+        return targets.map(({ id, existing }) => {
+          if (!existing) return { result: { id, outcome: 'not-found' } };
+          try {
+            const change = this.applyBulkAction(existing, params, req.user);
+            if (!params.dryRun) {
+              if (change.remove) tx.remove(id);
+              else if (change.next) tx.update(id, change.next);
+            }
+            return { ...change, existing, result: { id, ...change.result } };
+          } catch (error) {
+            if (!error.status) throw error;
+            return {
+              result: { id, outcome: 'failed', error: error.message, ...(error.allowed ? { allowedTransitions: error.allowed } : {}) }
+            };
+          }
+        });
+      });
+
+      // ✅ Side effects only after the transaction is stored; the changes are saved, so a failure is reported per item
+      if (!params.dryRun) {
+        for (const item of processed) {
+          if (item.transition) {
+            const emailType = this.statusEmailType(item.transition, item.next);
+            if (emailType) {
+              try {
+                await this.sendStatusEmail(item.next, emailType, req.user, { message: params.message });
+                item.result.email = emailType;
+              } catch (error) {
+                console.error(`❌ ${emailType} email failed for ${item.result.id}:`, error);
+                item.result.emailError = error.message;
+              }
+            }
+          }
+          if (item.remove) {
+            try {
+              const removal = await this.removeResumes(item.existing);
+              item.result.resumeRemoved = !!removal.removed;
+            } catch (error) {
+              console.error(`❌ Resume removal failed for ${item.result.id}:`, error);
+              item.result.resumeRemoved = false;
+              item.result.resumeError = error.message;
+            }
           }
-        } catch (fileError) {
-          console.warn('⚠️ Failed to delete resume file:', fileError.message);
         }
       }
 
-      consultations.splice(consultationIndex, 1);
-      await this.saveConsultationsToFile(consultations);
+      const results = processed.map(item => item.result);
+      const summary = results.reduce((counts, { outcome }) => ({ ...counts, [outcome]: (counts[outcome] || 0) + 1 }), { total: results.length });
+
+      console.log(`📦 Bulk ${params.action}${params.dryRun ? ' (dry run)' : ''} by ${req.user.username}:`, JSON.stringify(summary));
 
       res.status(200).json({
         success: true,
-        message: 'Consultation deleted successfully',
-        deletedId: id
+        message: params.dryRun
+          ? `Dry run: ${params.action} would affect ${(summary.updated || 0) + (summary.deleted || 0)} consultation(s)`
+          : `Bulk ${params.action} finished`,
+        data: {
+          action: params.action,
+          dryRun: params.dryRun,
+          summary,
+          results
+        }
       });
 
     } catch (error) {
-      console.error('❌ Error deleting consultation:', error);
-      res.status(500).json({
+      console.error('❌ Error running bulk consultation action:', error);
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Failed to delete consultation',
+        message: error.status ? error.message : 'Failed to run bulk action',
+        ...(error.validActions ? { validActions: error.validActions } : {}),
+        ...(error.validStatuses ? { validStatuses: error.validStatuses } : {}),
         error: error.message
       });
     }
   }
 
-  // ✅ UPDATED: Vercel-compatible file operations
-  async saveConsultationToFile(consultationData) {
+  /**
+   * ✅ Reassign Counsellor (Admin)
+   * Body: { counsellorId } (null unassigns) or { auto: true } to let the assignment strategy pick again.
+   * A manual pick outside the counsellor's profile or capacity is allowed and reported in `warnings`.
+   */
+  async reassignCounsellor(req, res) {
     try {
-      // ✅ Use OS temp directory for Vercel
-      const consultationsDir = path.join(os.tmpdir(), 'payana-data');
-      const consultationsFile = path.join(consultationsDir, 'consultations.json');
-      
-      console.log('📁 Saving to directory:', consultationsDir);
-      
-      // Ensure directory exists
-      await fs.mkdir(consultationsDir, { recursive: true });
+      const { id } = req.params;
+      const { counsellorId, auto = false, reason } = req.body;
 
-      let consultations = [];
-      
-      // Load existing consultations if file exists
-      try {
-        const fileContent = await fs.readFile(consultationsFile, 'utf8');
-        consultations = JSON.parse(fileContent);
-      } catch (readError) {
-        // File doesn't exist yet, start with empty array
-        console.log('📁 Creating new consultations file');
-        consultations = [];
+      if (typeof auto !== 'boolean' || (auto && counsellorId !== undefined) || (!auto && counsellorId === undefined)) {
+        throw badRequest('Send either counsellorId (null to unassign) or auto: true');
+      }
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        throw badRequest(`reason must be text of at most ${MAX_REASON_LENGTH} characters`);
       }
 
-      // Add new consultation
-      consultations.push(consultationData);
+      const strategy = getAssignmentStrategy() || DEFAULT_STRATEGY;
+      const counsellors = await listCounsellors({ includeInactive: true });
+      const chosen = auto ? null : await this.resolveCounsellor(counsellorId);
+      const warnings = [];
+
+      const consultation = await consultationRepository.transaction(tx => {
+        const existing = tx.get(id);
+        if (!existing) return null;
+
+        let counsellor = chosen;
+        if (auto) {
+          counsellor = pickCounsellor(counsellors, existing, tx.all(), strategy);
+          if (!counsellor) {
+            const error = new Error('No available counsellor covers this booking with free capacity');
+            error.status = 409;
+            throw error;
+          }
+        } else if (counsellor) {
+          const profile = counsellors.find(c => c.id === counsellor.id);
+          const load = getWorkloads(tx.all().filter(c => c.id !== id)).get(counsellor.id);
+          if (!profile) warnings.push(`${counsellor.name} has no counsellor profile`);
+          else if (!coversBooking(profile, existing)) warnings.push(`${counsellor.name} does not cover this booking's service, mode or language`);
+          if (profile && load && load.active >= profile.capacity) warnings.push(`${counsellor.name} is at capacity (${load.active}/${profile.capacity})`);
+        }
+
+        return tx.update(id, {
+          ...assignCounsellor(existing, counsellor, { actor: req.user, method: auto ? strategy : 'manual', reason }),
+          updatedAt: new Date().toISOString(),
+          updatedBy: req.user.id,
+          updatedByName: req.user.name || req.user.username
+        });
+      });
+
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      const assigned = consultation.assignedCounsellor;
+      console.log(`🧑‍💼 Consultation ${id} ${assigned ? `assigned to ${assigned.name}` : 'unassigned'} by ${req.user.username}`);
+
+      res.status(200).json({
+        success: true,
+        message: assigned ? `Consultation assigned to ${assigned.name}` : 'Consultation unassigned',
+        data: {
+          id,
+          assignedCounsellor: assigned,
+          assignmentHistory: consultation.assignmentHistory,
+          warnings
+        }
+      });
 
-      // Save back to file
-      await fs.writeFile(consultationsFile, JSON.stringify(consultations, null, 2));
-      
-      console.log('💾 Consultation saved to file:', consultationData.id);
-      
     } catch (error) {
-      console.error('❌ Error saving consultation to file:', error);
-      // Re-throw error so calling function can handle it
-      throw error;
+      console.error('❌ Error reassigning consultation:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to reassign consultation',
+        error: error.message
+      });
     }
   }
 
-  // ✅ UPDATED: Load consultations from temp directory
-  async loadConsultationsFromFile() {
+  // ✅ Internal Notes Thread (Viewer)
+  async getConsultationNotes(req, res) {
     try {
-      const consultationsFile = path.join(os.tmpdir(), 'payana-data', 'consultations.json');
-      
-      try {
-        const fileContent = await fs.readFile(consultationsFile, 'utf8');
-        return JSON.parse(fileContent);
-      } catch (readError) {
-        console.log('📁 No consultations file found, returning empty array');
-        return [];
+      const consultation = await consultationRepository.findById(req.params.id);
+
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
       }
-      
+
+      res.status(200).json({
+        success: true,
+        data: {
+          id: consultation.id,
+          notes: noteThread(consultation)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching consultation notes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch consultation notes',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Add Internal Note (Counsellor)
+  async addConsultationNote(req, res) {
+    try {
+      const text = checkNoteText(req.body.text);
+
+      const consultation = await consultationRepository.update(req.params.id, existing => appendNote(existing, text, req.user));
+
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      const note = consultation.notes[consultation.notes.length - 1];
+      console.log(`📝 Note added to ${consultation.id} by ${req.user.username}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Note added',
+        data: note
+      });
+
     } catch (error) {
-      console.error('❌ Error loading consultations from file:', error);
-      return [];
+      console.error('❌ Error adding consultation note:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to add note',
+        error: error.message
+      });
     }
   }
 
-  // ✅ UPDATED: Save consultations to temp directory
-  async saveConsultationsToFile(consultations) {
+  // ✅ Delete Consultation (Admin)
+  async deleteConsultation(req, res) {
     try {
-      const consultationsDir = path.join(os.tmpdir(), 'payana-data');
-      const consultationsFile = path.join(consultationsDir, 'consultations.json');
+      const { id } = req.params;
       
-      await fs.mkdir(consultationsDir, { recursive: true });
-      await fs.writeFile(consultationsFile, JSON.stringify(consultations, null, 2));
+      const consultation = await consultationRepository.delete(id);
+      
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+      
+      await this.removeResumes(consultation);
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultation deleted successfully',
+        deletedId: id
+      });
+
     } catch (error) {
-      console.error('❌ Error saving consultations to file:', error);
-      throw error;
+      console.error('❌ Error deleting consultation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete consultation',
+        error: error.message
+      });
     }
   }
 }
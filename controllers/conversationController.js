@@ -0,0 +1,138 @@
+// controllers/conversationController.js - Stored chatbot conversations (Admin)
+const conversationRepository = require('../repositories/conversationRepository');
+const consultationRepository = require('../repositories/consultationRepository');
+const { TABLE_FORMATS, conversationColumns, selectColumns, sendTable } = require('../utils/tableExport');
+
+const EXPORT_FORMATS = ['json', 'ndjson', ...Object.keys(TABLE_FORMATS)];
+
+class ConversationController {
+
+  // ✅ List Conversations (Admin)
+  async getConversations(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const conversations = await conversationRepository.findFiltered(req.query);
+
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          conversations: conversations.slice(startIndex, endIndex),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: conversations.length,
+            pages: Math.ceil(conversations.length / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching conversations:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to fetch conversations',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Get One Conversation with its linked bookings (Admin)
+  async getConversation(req, res) {
+    try {
+      const conversation = await conversationRepository.findById(req.params.id);
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      const consultationIds = (conversation.links?.consultations || []).map(link => link.id);
+      const consultations = consultationIds.length > 0
+        ? await consultationRepository.findAll(c => consultationIds.includes(c.id))
+        : [];
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...conversation,
+          consultations: consultations.map(c => ({
+            id: c.id,
+            fullName: c.fullName,
+            status: c.status,
+            submittedAt: c.submittedAt
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching conversation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch conversation',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Export Conversations as a download, honouring the list filters (Admin)
+  async exportConversations(req, res) {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid export format',
+          validFormats: EXPORT_FORMATS
+        });
+      }
+
+      const conversations = await conversationRepository.findFiltered(req.query);
+      const filename = `conversations-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      console.log(`📤 Exporting ${conversations.length} conversation(s) as ${format}`);
+
+      // Spreadsheets get one column per answer; ?columns picks and orders them
+      if (TABLE_FORMATS[format]) {
+        await sendTable(res, {
+          format,
+          filename,
+          sheetName: 'Conversations',
+          columns: selectColumns(conversationColumns(conversations), req.query.columns),
+          rows: conversations
+        });
+        return;
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'ndjson') {
+        res.type('application/x-ndjson');
+        return res.send(conversations.map(c => JSON.stringify(c)).join('\n') + (conversations.length ? '\n' : ''));
+      }
+
+      res.type('application/json');
+      res.send(JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        total: conversations.length,
+        conversations
+      }, null, 2));
+
+    } catch (error) {
+      console.error('❌ Error exporting conversations:', error);
+      if (res.headersSent) return res.destroy(error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to export conversations',
+        error: error.message,
+        validColumns: error.validColumns
+      });
+    }
+  }
+}
+
+module.exports = new ConversationController();
@@ -0,0 +1,90 @@
+// controllers/counsellorController.js - Counsellor profiles and their current workload
+const counsellorRepository = require('../repositories/counsellorRepository');
+const consultationRepository = require('../repositories/consultationRepository');
+const userRepository = require('../repositories/userRepository');
+const { hasRole } = require('../utils/authService');
+const { listCounsellors, getWorkloads, getAssignmentStrategy, parseProfile } = require('../utils/counsellorService');
+
+class CounsellorController {
+
+  // ✅ List Counsellors with workload (Viewer) - ?includeInactive=true also lists disabled or paused ones
+  async getCounsellors(req, res) {
+    try {
+      const [counsellors, consultations] = await Promise.all([
+        listCounsellors({ includeInactive: req.query.includeInactive === 'true' }),
+        consultationRepository.findAll()
+      ]);
+      const loads = getWorkloads(consultations);
+
+      res.json({
+        success: true,
+        data: {
+          strategy: getAssignmentStrategy() || 'none',
+          counsellors: counsellors.map(counsellor => {
+            const load = loads.get(counsellor.id) || { active: 0, lastAssignedAt: null };
+            return {
+              ...counsellor,
+              activeBookings: load.active,
+              freeCapacity: Math.max(0, counsellor.capacity - load.active),
+              lastAssignedAt: load.lastAssignedAt
+            };
+          })
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching counsellors:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch counsellors',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Create or Update a Counsellor Profile (Admin) - body: { services, languages, modes, capacity, accepting }
+  async updateCounsellor(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await userRepository.findById(id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      if (!hasRole(user.role, 'counsellor')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only counsellor or admin users can have a counsellor profile'
+        });
+      }
+
+      const existing = await counsellorRepository.findById(id);
+      const profile = await counsellorRepository.upsert(id, {
+        ...parseProfile(req.body, existing || {}),
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.id
+      });
+
+      console.log(`🧑‍💼 Counsellor profile ${existing ? 'updated' : 'created'} for ${user.username} by ${req.user.username}`);
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        message: existing ? 'Counsellor profile updated' : 'Counsellor profile created',
+        data: { ...profile, name: user.name || user.username, active: user.active }
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating counsellor profile:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to update counsellor profile',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CounsellorController();
@@ -0,0 +1,52 @@
+// controllers/fileController.js - Serves stored files behind expiring signed links
+const path = require('path');
+const { getFileStorage } = require('../utils/fileStorage');
+const { verifyDownloadUrl } = require('../utils/fileStorage/signedUrls');
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// attachment; filename="..." with an RFC 5987 UTF-8 variant for non-ASCII names
+const contentDisposition = (name) => {
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+};
+
+class FileController {
+
+  // ✅ Download a stored file - the signature in the query is the only credential
+  async downloadFile(req, res) {
+    try {
+      const { key, name } = verifyDownloadUrl(req.query);
+      const file = await getFileStorage().read(key);
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      res.setHeader('Content-Type', CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream');
+      res.setHeader('Content-Disposition', contentDisposition(name));
+      res.setHeader('Content-Length', file.content.length);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.status(200).end(file.content);
+
+    } catch (error) {
+      console.error('❌ Error downloading file:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to download file',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new FileController();
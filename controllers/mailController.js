@@ -0,0 +1,59 @@
+// controllers/mailController.js - Email template listing and previews with sample data (Admin)
+const mailService = require('../utils/mail');
+
+const PREVIEW_FORMATS = ['html', 'text', 'json'];
+
+class MailController {
+
+  // ✅ List Email Templates (Admin)
+  async getTemplates(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: mailService.listTemplates()
+      });
+
+    } catch (error) {
+      console.error('❌ Error listing email templates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list email templates',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Preview a Template with sample data (Admin) - ?locale, ?format=html|text|json
+  async previewTemplate(req, res) {
+    try {
+      const { locale, format = 'html' } = req.query;
+
+      if (!PREVIEW_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: ${PREVIEW_FORMATS.join(', ')}`
+        });
+      }
+
+      const rendered = mailService.preview(req.params.name, locale);
+
+      if (format === 'html') return res.status(200).type('html').send(rendered.html);
+      if (format === 'text') return res.status(200).type('text').send(`Subject: ${rendered.subject}\n\n${rendered.text}`);
+
+      res.status(200).json({
+        success: true,
+        data: { name: req.params.name, ...rendered }
+      });
+
+    } catch (error) {
+      console.error('❌ Error previewing email template:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to render email template',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MailController();
@@ -0,0 +1,134 @@
+// controllers/mailboxController.js - Captured emails from the in-memory mail transport (development only)
+const { getTransport } = require('../utils/mail/transport');
+
+const MESSAGE_FORMATS = ['json', 'html', 'text', 'eml'];
+
+// The mailbox exists only while MAIL_TRANSPORT=memory
+const getMailbox = () => {
+  const transport = getTransport();
+  return transport.name === 'memory' ? transport : null;
+};
+
+const mailboxUnavailable = (res) => res.status(404).json({
+  success: false,
+  message: 'Mailbox is only available with MAIL_TRANSPORT=memory'
+});
+
+// List view without bodies and raw source
+const toSummary = (message) => ({
+  id: message.id,
+  messageId: message.messageId,
+  capturedAt: message.capturedAt,
+  from: message.from,
+  to: message.to,
+  cc: message.cc,
+  replyTo: message.replyTo,
+  subject: message.subject,
+  attachments: message.attachments.map(attachment => attachment.filename),
+  invite: message.invite ? message.invite.method : null,
+  size: message.size
+});
+
+class MailboxController {
+
+  // ✅ List Captured Emails - ?to, ?subject
+  async getMessages(req, res) {
+    try {
+      const mailbox = getMailbox();
+      if (!mailbox) return mailboxUnavailable(res);
+
+      const to = req.query.to ? String(req.query.to).toLowerCase() : null;
+      const subject = req.query.subject ? String(req.query.subject).toLowerCase() : null;
+      const messages = mailbox.list().filter(message => (
+        (!to || [...message.to, ...message.cc].some(address => address.toLowerCase().includes(to))) &&
+        (!subject || String(message.subject || '').toLowerCase().includes(subject))
+      ));
+
+      res.status(200).json({
+        success: true,
+        data: {
+          messages: messages.map(toSummary),
+          total: messages.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error listing mailbox:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list mailbox',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ View One Captured Email - ?format=json|html|text|eml
+  async getMessage(req, res) {
+    try {
+      const mailbox = getMailbox();
+      if (!mailbox) return mailboxUnavailable(res);
+
+      const { format = 'json' } = req.query;
+      if (!MESSAGE_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: ${MESSAGE_FORMATS.join(', ')}`
+        });
+      }
+
+      const message = mailbox.get(req.params.id);
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Captured email not found'
+        });
+      }
+
+      if (format === 'html') return res.status(200).type('html').send(message.html || '');
+      if (format === 'text') return res.status(200).type('text').send(message.text || '');
+      if (format === 'eml') {
+        res.setHeader('Content-Disposition', `attachment; filename="${message.id}.eml"`);
+        return res.status(200).type('message/rfc822').send(message.raw);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: message
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching captured email:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch captured email',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Empty the Mailbox
+  async clearMessages(req, res) {
+    try {
+      const mailbox = getMailbox();
+      if (!mailbox) return mailboxUnavailable(res);
+
+      const removed = mailbox.clear();
+
+      res.status(200).json({
+        success: true,
+        message: `Removed ${removed} captured email(s)`,
+        data: { removed }
+      });
+
+    } catch (error) {
+      console.error('❌ Error clearing mailbox:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear mailbox',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MailboxController();
@@ -0,0 +1,107 @@
+// controllers/meetingController.js - Meeting slot availability and reservations
+const meetingService = require('../utils/meetingService');
+const meetingRepository = require('../repositories/meetingRepository');
+
+class MeetingController {
+
+  // ✅ Free Slots for a Date (?date=YYYY-MM-DD)
+  async getFreeSlots(req, res) {
+    try {
+      const { date } = req.query;
+
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          message: 'date is required (YYYY-MM-DD)'
+        });
+      }
+
+      const availability = await meetingService.getFreeSlots(date);
+
+      res.json({
+        success: true,
+        data: availability
+      });
+
+    } catch (error) {
+      console.error('❌ Error loading meeting slots:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to load meeting slots',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ List Meetings (Admin) - ?date, ?status
+  async getMeetings(req, res) {
+    try {
+      const { date, status } = req.query;
+
+      const meetings = await meetingRepository.findAll(m => (
+        (!date || m.date === date) && (!status || status === 'all' || m.status === status)
+      ));
+
+      res.json({
+        success: true,
+        data: meetings.sort((a, b) => a.slotStart.localeCompare(b.slotStart))
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching meetings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch meetings',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Reschedule Meeting to another free slot (Admin) - body { date, time }
+  async rescheduleMeeting(req, res) {
+    try {
+      const { date, time } = req.body;
+
+      if (!date || !time) {
+        return res.status(400).json({
+          success: false,
+          message: 'date and time are required'
+        });
+      }
+
+      const result = await meetingService.rescheduleMeeting(req.params.id, { date, time, updatedBy: req.user.id });
+
+      res.status(result.success ? 200 : result.status).json(result);
+
+    } catch (error) {
+      console.error('❌ Error rescheduling meeting:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reschedule meeting',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Cancel Meeting and free its slot (Admin)
+  async cancelMeeting(req, res) {
+    try {
+      const result = await meetingService.cancelMeeting(req.params.id, {
+        reason: req.body?.reason,
+        cancelledBy: req.user.id
+      });
+
+      res.status(result.success ? 200 : result.status).json(result);
+
+    } catch (error) {
+      console.error('❌ Error cancelling meeting:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel meeting',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MeetingController();
@@ -0,0 +1,151 @@
+// controllers/outboxController.js - Email outbox inspection, resend and purge (Admin)
+const outboxRepository = require('../repositories/outboxRepository');
+const { resendEmail, getOutboxConfig } = require('../utils/mail/outbox');
+
+// List view without the rendered body
+const toSummary = (message) => ({
+  id: message.id,
+  status: message.status,
+  category: message.category,
+  reference: message.reference,
+  to: message.mail.to,
+  cc: message.mail.cc || null,
+  subject: message.mail.subject,
+  attempts: message.attempts,
+  maxAttempts: message.maxAttempts,
+  nextAttemptAt: message.nextAttemptAt,
+  lastError: message.lastError,
+  messageId: message.messageId,
+  createdAt: message.createdAt,
+  sentAt: message.sentAt || null,
+  deadAt: message.deadAt || null
+});
+
+class OutboxController {
+
+  // ✅ List Outbox Messages (Admin) - ?status, ?category, ?to, ?from, ?until, ?page, ?limit
+  async getOutbox(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const messages = await outboxRepository.findFiltered(req.query);
+
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          messages: messages.slice(startIndex, endIndex).map(toSummary),
+          counts: await outboxRepository.countByStatus(),
+          config: getOutboxConfig(),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: messages.length,
+            pages: Math.ceil(messages.length / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching email outbox:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to fetch email outbox',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Get One Outbox Message with its body and attempt history (Admin)
+  async getOutboxMessage(req, res) {
+    try {
+      const message = await outboxRepository.findById(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Outbox message not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: message
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching outbox message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch outbox message',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Resend a dead, failed or already sent message (Admin)
+  async resendOutboxMessage(req, res) {
+    try {
+      const message = await resendEmail(req.params.id, req.user.id);
+
+      if (message === null) {
+        return res.status(404).json({
+          success: false,
+          message: 'Outbox message not found'
+        });
+      }
+      if (message === false) {
+        return res.status(409).json({
+          success: false,
+          message: 'Message is being sent right now'
+        });
+      }
+
+      console.log('🔁 Outbox message requeued:', message.id, 'by', req.user.username);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email queued for delivery',
+        data: toSummary(message)
+      });
+
+    } catch (error) {
+      console.error('❌ Error resending outbox message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend email',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Purge sent and/or dead messages (Admin) - ?status=sent|dead, ?before=date
+  async purgeOutbox(req, res) {
+    try {
+      const { status, before } = req.query;
+      const removed = await outboxRepository.purge({
+        statuses: status ? String(status).split(',') : undefined,
+        before
+      });
+
+      console.log(`🗑️ Purged ${removed} outbox message(s) by`, req.user.username);
+
+      res.status(200).json({
+        success: true,
+        message: `Purged ${removed} message(s)`,
+        data: { removed }
+      });
+
+    } catch (error) {
+      console.error('❌ Error purging email outbox:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to purge email outbox',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new OutboxController();
@@ -0,0 +1,359 @@
+// controllers/sessionController.js - Stateful chatbot sessions walked on the server
+const semver = require('semver');
+const flowEngine = require('../utils/flowEngine');
+const flowRegistry = require('../utils/flowRegistry');
+const { resolveLocale, normalizeLocale, localizeFlow } = require('../utils/i18n');
+const emailService = require('../utils/mail');
+const meetingService = require('../utils/meetingService');
+const sessionRepository = require('../repositories/sessionRepository');
+const conversationRepository = require('../repositories/conversationRepository');
+const { recordForCandidate } = require('../utils/candidateService');
+const { storeResume, removeResume, isStoredResume } = require('../utils/resumeFiles');
+
+class SessionController {
+
+  // Load the exact flow version a session was started against, localized for this request
+  async loadSessionFlow(session, locale = session.locale) {
+    const flowId = session.flowId || flowRegistry.DEFAULT_FLOW_ID;
+    const version = semver.valid(session.flowVersion) ? session.flowVersion : flowRegistry.LEGACY_FLOW_RANGE;
+    const resolved = await flowRegistry.resolveFlow(flowId, version, { includeDrafts: true });
+
+    if (!resolved) {
+      throw new Error(`Flow ${flowId}@${version} is no longer available`);
+    }
+    return localizeFlow(resolved.flow, locale);
+  }
+
+  // An explicit `lang` on the request overrides the language the session started in
+  getSessionLocale(req, session) {
+    return normalizeLocale(req.query.lang) || normalizeLocale(req.body?.lang) || session.locale || 'en';
+  }
+
+  // Shape a stored session for the client
+  formatSession(flow, session) {
+    const step = session.currentStepId !== null && session.currentStepId !== undefined
+      ? flowEngine.findStep(flow, session.currentStepId)
+      : null;
+
+    return {
+      sessionId: session.id,
+      conversationId: session.conversationId,
+      status: session.status,
+      flowId: session.flowId,
+      flowVersion: session.flowVersion,
+      locale: session.locale,
+      step: session.status === 'active' && step ? flowEngine.presentStep(step, session.responses) : null,
+      summary: session.status === 'completed' ? flowEngine.buildSummary(flow, session.responses) : null,
+      responses: session.responses,
+      triggers: session.triggers,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  // ✅ Start a new session at the first flow step
+  async startSession(req, res) {
+    try {
+      const flowId = req.body.flowId || flowRegistry.DEFAULT_FLOW_ID;
+      const resolved = await flowRegistry.resolveFlow(flowId, req.body.version);
+
+      if (!resolved) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chatbot flow not found',
+          flowId,
+          version: req.body.version || 'latest'
+        });
+      }
+
+      const locale = resolveLocale(req);
+      const flow = localizeFlow(resolved.flow, locale);
+      const firstStep = flowEngine.getFirstStep(flow);
+
+      if (!firstStep) {
+        return res.status(500).json({
+          success: false,
+          message: 'Chatbot flow has no steps'
+        });
+      }
+
+      const now = new Date().toISOString();
+      const session = await sessionRepository.create({
+        id: `SESS-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+        flowId: resolved.id,
+        flowVersion: resolved.version,
+        conversationId: conversationRepository.generateId(),
+        locale,
+        status: 'active',
+        currentStepId: firstStep.id,
+        responses: {},
+        history: [],
+        triggers: [],
+        createdAt: now,
+        updatedAt: now,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      await conversationRepository.recordSession(session);
+      console.log('🤖 Chatbot session started:', session.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Session started',
+        data: {
+          ...this.formatSession(flow, session),
+          initialMessage: flow.initial_message
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error starting chatbot session:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to start chatbot session',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Resume a session
+  async getSession(req, res) {
+    try {
+      const session = await sessionRepository.findById(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      const locale = this.getSessionLocale(req, session);
+      const flow = await this.loadSessionFlow(session, locale);
+
+      res.json({
+        success: true,
+        data: this.formatSession(flow, { ...session, locale })
+      });
+
+    } catch (error) {
+      console.error('❌ Error loading chatbot session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load chatbot session',
+        error: error.message
+      });
+    }
+  }
+
+  // ✅ Submit an answer for the current step
+  async answerStep(req, res) {
+    const { value, stepId } = req.body;
+    await this.submitAnswer(req, res, { value, stepId });
+  }
+
+  // ✅ Upload the file for the current file_upload step (multipart field "file", optional stepId)
+  async uploadStepFile(req, res) {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    let file = null;
+    try {
+      file = await storeResume(req.file);
+    } catch (error) {
+      console.error('❌ Error storing chatbot upload:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to store the uploaded file',
+        error: error.message
+      });
+    }
+
+    // The session only keeps the file if the answer is accepted
+    const saved = await this.submitAnswer(req, res, { stepId: req.body.stepId, file });
+    if (!saved) await removeResume(file);
+  }
+
+  // Validate and store an answer (a value or an uploaded file), fire the step's triggers and respond;
+  // resolves to whether the answer was saved
+  async submitAnswer(req, res, { value, stepId, file = null }) {
+    let saved = false;
+    try {
+      const { id } = req.params;
+
+      const existing = await sessionRepository.findById(id);
+      if (!existing) {
+        res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+        return false;
+      }
+
+      if (existing.status !== 'active') {
+        res.status(409).json({
+          success: false,
+          message: 'Session is already completed'
+        });
+        return false;
+      }
+
+      // Guard against stale clients answering a step they are no longer on
+      if (stepId !== undefined && String(stepId) !== String(existing.currentStepId)) {
+        res.status(409).json({
+          success: false,
+          message: 'Answer does not match the current step',
+          currentStepId: existing.currentStepId
+        });
+        return false;
+      }
+
+      const locale = this.getSessionLocale(req, existing);
+      const flow = await this.loadSessionFlow(existing, locale);
+      const outcome = flowEngine.advance(flow, { ...existing, locale }, value, { file });
+
+      if (!outcome.valid) {
+        res.status(422).json({
+          success: false,
+          valid: false,
+          message: outcome.message,
+          data: this.formatSession(flow, { ...existing, locale })
+        });
+        return false;
+      }
+
+      const now = new Date().toISOString();
+      let session = await sessionRepository.update(id, current => {
+        if (String(current.currentStepId) !== String(existing.currentStepId)) {
+          const error = new Error('Session changed while the answer was being processed');
+          error.status = 409;
+          throw error;
+        }
+        return {
+          ...current,
+          responses: outcome.responses,
+          files: outcome.file ? { ...(current.files || {}), [outcome.step.field]: outcome.file } : current.files,
+          currentStepId: outcome.nextStepId,
+          status: outcome.completed ? 'completed' : 'active',
+          history: [...(current.history || []), {
+            stepId: outcome.step.id,
+            field: outcome.step.field,
+            value: outcome.value,
+            answeredAt: now
+          }],
+          completedAt: outcome.completed ? now : current.completedAt,
+          updatedAt: now
+        };
+      });
+      saved = true;
+
+      if (outcome.triggers.length > 0) {
+        const results = [];
+        for (const trigger of outcome.triggers) {
+          results.push(await this.fireTrigger(trigger, outcome.step, outcome.value, session, locale));
+        }
+        session = await sessionRepository.update(id, current => ({
+          ...current,
+          triggers: [...(current.triggers || []), ...results]
+        }));
+      }
+
+      // Sessions started before conversations were stored have no conversation to mirror into
+      if (session.conversationId) {
+        await conversationRepository.recordSession(session);
+        await recordForCandidate({
+          contact: { name: session.responses.name, email: session.responses.email, phone: session.responses.phone },
+          conversations: [session.conversationId]
+        });
+      }
+
+      res.json({
+        success: true,
+        valid: true,
+        data: this.formatSession(flow, { ...session, locale })
+      });
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error answering chatbot step:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to process answer',
+        error: error.message
+      });
+      return saved;
+    }
+  }
+
+  // Run a step trigger; failures are recorded on the session rather than failing the answer
+  async fireTrigger(type, step, value, session, locale) {
+    const record = { type, stepId: step.id, firedAt: new Date().toISOString() };
+    const { responses } = session;
+
+    try {
+      if (type === 'email') {
+        // Files uploaded earlier in the session go to the team with the application
+        const attachments = Object.values(session.files || {}).filter(isStoredResume).map(file => ({
+          filename: file.originalName,
+          contentType: file.mimetype,
+          storageKey: file.key
+        }));
+        const result = await emailService.sendGermanProgramEmail(
+          { ...responses, locale, conversationId: session.conversationId },
+          { attachments }
+        );
+        if (result.success) {
+          await recordForCandidate({
+            contact: { name: responses.name, email: responses.email, phone: responses.phone },
+            conversations: [session.conversationId],
+            germanApplications: [{
+              email: responses.email,
+              purpose: responses.purpose,
+              outboxId: result.outboxId,
+              conversationId: session.conversationId || null,
+              submittedAt: record.firedAt
+            }]
+          });
+        }
+        if (result.success && session.conversationId) {
+          await conversationRepository.addLink(session.conversationId, 'emails', {
+            type: 'german-program',
+            recipient: responses.email,
+            outboxId: result.outboxId
+          });
+        }
+        return { ...record, success: result.success, outboxId: result.outboxId, error: result.error };
+      }
+
+      if (type === 'meeting') {
+        // A "No" answer on a meeting step means the candidate cancelled
+        if (value === 'No') {
+          return { ...record, success: true, skipped: 'declined' };
+        }
+        const result = await meetingService.scheduleMeeting({
+          name: responses.name,
+          email: responses.email,
+          date: responses.appointmentDate,
+          time: responses.appointmentTime,
+          conversationId: session.conversationId,
+          locale
+        });
+        return result.success
+          ? { ...record, success: true, meetingId: result.data.meetingId, meetingLink: result.data.meetingLink }
+          : { ...record, success: false, error: result.message };
+      }
+
+      return { ...record, success: false, error: `Unknown trigger "${type}"` };
+
+    } catch (error) {
+      console.error(`❌ Chatbot trigger ${type} failed:`, error);
+      return { ...record, success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new SessionController();
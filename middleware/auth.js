@@ -0,0 +1,71 @@
+// middleware/auth.js - Bearer token authentication and role checks for admin routes
+const { hasRole, verifyToken } = require('../utils/authService');
+const userRepository = require('../repositories/userRepository');
+
+// ✅ Require a valid token and populate req.user from the current user record
+const authenticate = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const claims = verifyToken(token);
+    const user = await userRepository.findById(claims.sub);
+
+    // Disabled users and role changes take effect immediately, not when the token expires
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is not active'
+      });
+    }
+
+    req.user = userRepository.toPublic(user);
+    next();
+
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token',
+        error: error.message
+      });
+    }
+    console.error('❌ Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed',
+      error: error.message
+    });
+  }
+};
+
+// ✅ Allow users holding `minimumRole` or a more privileged role (viewer < counsellor < admin)
+const requireRole = (minimumRole) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!hasRole(req.user.role, minimumRole)) {
+    return res.status(403).json({
+      success: false,
+      message: `This action requires the ${minimumRole} role`,
+      role: req.user.role
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -1,72 +1,88 @@
 // middleware/validation.js - Enhanced with Consultation Validation
+const { t, resolveLocale } = require('../utils/i18n');
+const { inspectResume } = require('../utils/fileInspection');
+const { scanFile } = require('../utils/malwareScanner');
+
+// Allowed values of the consultation form's choice fields
+const CURRENT_STATUSES = ['student', 'graduate', 'working', 'jobseeker', 'entrepreneur'];
+const PREFERRED_MODES = ['online', 'offline', 'phone'];
+const PREFERRED_TIMES = ['morning', 'afternoon', 'evening'];
+
+// Everything the public booking form may set on a consultation; the rest of the record is server-side
+const CONSULTATION_FORM_FIELDS = [
+  'fullName', 'email', 'phone', 'age', 'education', 'careerGoals', 'experience', 'additionalInfo',
+  'currentStatus', 'preferredMode', 'preferredTime', 'interestedService', 'conversationId'
+];
+
+// Rules take an optional locale for their messages (English by default)
 const validationRules = {
-  name: (value) => {
-    if (!value || typeof value !== 'string') return { valid: false, message: 'Name is required' };
+  name: (value, locale) => {
+    if (!value || typeof value !== 'string') return { valid: false, message: t('validation.name.required', locale) };
     const trimmed = value.trim();
-    if (trimmed.length < 2) return { valid: false, message: 'Name must be at least 2 characters' };
-    if (trimmed.length > 50) return { valid: false, message: 'Name must be less than 50 characters' };
-    if (!/^[a-zA-Z\s]+$/.test(trimmed)) return { valid: false, message: 'Name can only contain letters and spaces' };
-    return { valid: true, message: 'Valid name' };
+    if (trimmed.length < 2) return { valid: false, message: t('validation.name.tooShort', locale) };
+    if (trimmed.length > 50) return { valid: false, message: t('validation.name.tooLong', locale) };
+    if (!/^[a-zA-Z\s]+$/.test(trimmed)) return { valid: false, message: t('validation.name.invalid', locale) };
+    return { valid: true, message: t('validation.name.valid', locale) };
   },
   
-  age: (value) => {
+  age: (value, locale) => {
     const age = parseInt(value);
-    if (isNaN(age)) return { valid: false, message: 'Age must be a number' };
-    if (age < 16) return { valid: false, message: 'Age must be at least 16 years' };
-    if (age > 65) return { valid: false, message: 'Age must be less than 65 years' };
-    return { valid: true, message: 'Valid age' };
+    if (isNaN(age)) return { valid: false, message: t('validation.age.notNumber', locale) };
+    if (age < 16) return { valid: false, message: t('validation.age.tooYoung', locale) };
+    if (age > 65) return { valid: false, message: t('validation.age.tooOld', locale) };
+    return { valid: true, message: t('validation.age.valid', locale) };
   },
   
-  email: (value) => {
-    if (!value || typeof value !== 'string') return { valid: false, message: 'Email is required' };
+  email: (value, locale) => {
+    if (!value || typeof value !== 'string') return { valid: false, message: t('validation.email.required', locale) };
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(value.trim())) return { valid: false, message: 'Please enter a valid email address' };
-    return { valid: true, message: 'Valid email' };
+    if (!emailRegex.test(value.trim())) return { valid: false, message: t('validation.email.invalid', locale) };
+    return { valid: true, message: t('validation.email.valid', locale) };
   },
 
   // ✅ NEW: Phone validation
-  phone: (value) => {
-    if (!value || typeof value !== 'string') return { valid: false, message: 'Phone number is required' };
+  phone: (value, locale) => {
+    if (!value || typeof value !== 'string') return { valid: false, message: t('validation.phone.required', locale) };
     const phoneRegex = /^[0-9]{10}$/;
     const cleanPhone = value.replace(/\D/g, '');
-    if (!phoneRegex.test(cleanPhone)) return { valid: false, message: 'Please enter a valid 10-digit phone number' };
-    return { valid: true, message: 'Valid phone number' };
+    if (!phoneRegex.test(cleanPhone)) return { valid: false, message: t('validation.phone.invalid', locale) };
+    return { valid: true, message: t('validation.phone.valid', locale) };
   },
 
   // ✅ NEW: Education validation
-  education: (value) => {
-    if (!value || typeof value !== 'string') return { valid: false, message: 'Education details are required' };
+  education: (value, locale) => {
+    if (!value || typeof value !== 'string') return { valid: false, message: t('validation.education.required', locale) };
     const trimmed = value.trim();
-    if (trimmed.length < 5) return { valid: false, message: 'Please provide more education details' };
-    if (trimmed.length > 200) return { valid: false, message: 'Education details too long' };
-    return { valid: true, message: 'Valid education details' };
+    if (trimmed.length < 5) return { valid: false, message: t('validation.education.tooShort', locale) };
+    if (trimmed.length > 200) return { valid: false, message: t('validation.education.tooLong', locale) };
+    return { valid: true, message: t('validation.education.valid', locale) };
   },
 
   // ✅ NEW: Career goals validation
-  careerGoals: (value) => {
-    if (!value || typeof value !== 'string') return { valid: false, message: 'Career goals are required' };
+  careerGoals: (value, locale) => {
+    if (!value || typeof value !== 'string') return { valid: false, message: t('validation.careerGoals.required', locale) };
     const trimmed = value.trim();
-    if (trimmed.length < 10) return { valid: false, message: 'Please describe your career goals in more detail' };
-    if (trimmed.length > 500) return { valid: false, message: 'Career goals description too long' };
-    return { valid: true, message: 'Valid career goals' };
+    if (trimmed.length < 10) return { valid: false, message: t('validation.careerGoals.tooShort', locale) };
+    if (trimmed.length > 500) return { valid: false, message: t('validation.careerGoals.tooLong', locale) };
+    return { valid: true, message: t('validation.careerGoals.valid', locale) };
   },
   
-  date: (value) => {
-    if (!value || typeof value !== 'string') return { valid: false, message: 'Date is required' };
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return { valid: false, message: 'Date must be in YYYY-MM-DD format' };
+  date: (value, locale) => {
+    if (!value || typeof value !== 'string') return { valid: false, message: t('validation.date.required', locale) };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return { valid: false, message: t('validation.date.format', locale) };
     
     const date = new Date(value);
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    if (date < today) return { valid: false, message: 'Please select a future date' };
+    if (date < today) return { valid: false, message: t('validation.date.past', locale) };
     
     const sixMonthsFromNow = new Date();
     sixMonthsFromNow.setMonth(sixMonthsFromNow.getMonth() + 6);
     
-    if (date > sixMonthsFromNow) return { valid: false, message: 'Please select a date within 6 months' };
+    if (date > sixMonthsFromNow) return { valid: false, message: t('validation.date.tooFar', locale) };
     
-    return { valid: true, message: 'Valid date' };
+    return { valid: true, message: t('validation.date.valid', locale) };
   }
 };
 
@@ -81,7 +97,7 @@ const validateInput = (req, res, next) => {
       return next();
     }
     
-    const validationResult = validationRules[validationType](value);
+    const validationResult = validationRules[validationType](value, resolveLocale(req));
     req.validationResult = validationResult;
     
     console.log(`✅ Validation result for ${field}:`, validationResult);
@@ -99,6 +115,7 @@ const validateConsultationForm = (req, res, next) => {
   try {
     const errors = [];
     const formData = req.body;
+    const locale = resolveLocale(req);
 
     console.log('🔍 Validating consultation form data...');
 
@@ -111,11 +128,16 @@ const validateConsultationForm = (req, res, next) => {
       { field: 'education', rule: 'education' },
     ];
 
-    requiredFields.forEach(({ field, rule }) => {
+    // Bracketed multipart names (a[b]=c) arrive as objects; every form field must be plain text
+    const nonText = CONSULTATION_FORM_FIELDS.filter(field => formData[field] !== undefined
+      && typeof formData[field] !== 'string' && !Number.isFinite(formData[field]));
+    nonText.forEach(field => errors.push(t('validation.form.notText', locale, { field })));
+
+    requiredFields.filter(({ field }) => !nonText.includes(field)).forEach(({ field, rule }) => {
       if (!formData[field]) {
-        errors.push(`${field} is required`);
+        errors.push(t('validation.form.required', locale, { field }));
       } else {
-        const validation = validationRules[rule](formData[field]);
+        const validation = validationRules[rule](formData[field], locale);
         if (!validation.valid) {
           errors.push(`${field}: ${validation.message}`);
         }
@@ -123,43 +145,40 @@ const validateConsultationForm = (req, res, next) => {
     });
 
         // ✅ NEW: Optional validation for careerGoals - only validate if provided
-    if (formData.careerGoals && formData.careerGoals.trim() !== '') {
-      const validation = validationRules.careerGoals(formData.careerGoals);
+    if (typeof formData.careerGoals === 'string' && formData.careerGoals.trim() !== '') {
+      const validation = validationRules.careerGoals(formData.careerGoals, locale);
       if (!validation.valid) {
         errors.push(`careerGoals: ${validation.message}`);
       }
     }
 
     // Validate optional fields if provided
-    if (formData.experience && formData.experience.trim().length > 1000) {
-      errors.push('Experience description too long (max 1000 characters)');
+    if (typeof formData.experience === 'string' && formData.experience.trim().length > 1000) {
+      errors.push(t('validation.form.experienceTooLong', locale));
     }
 
-    if (formData.additionalInfo && formData.additionalInfo.trim().length > 500) {
-      errors.push('Additional information too long (max 500 characters)');
+    if (typeof formData.additionalInfo === 'string' && formData.additionalInfo.trim().length > 500) {
+      errors.push(t('validation.form.additionalInfoTooLong', locale));
     }
 
     // Validate enum fields
-    const validStatuses = ['student', 'graduate', 'working', 'jobseeker', 'entrepreneur'];
-    if (formData.currentStatus && !validStatuses.includes(formData.currentStatus)) {
-      errors.push('Invalid current status');
+    if (formData.currentStatus && !CURRENT_STATUSES.includes(formData.currentStatus)) {
+      errors.push(t('validation.form.invalidCurrentStatus', locale));
     }
 
-    const validModes = ['online', 'offline', 'phone'];
-    if (formData.preferredMode && !validModes.includes(formData.preferredMode)) {
-      errors.push('Invalid preferred mode');
+    if (formData.preferredMode && !PREFERRED_MODES.includes(formData.preferredMode)) {
+      errors.push(t('validation.form.invalidPreferredMode', locale));
     }
 
-    const validTimes = ['morning', 'afternoon', 'evening'];
-    if (formData.preferredTime && !validTimes.includes(formData.preferredTime)) {
-      errors.push('Invalid preferred time');
+    if (formData.preferredTime && !PREFERRED_TIMES.includes(formData.preferredTime)) {
+      errors.push(t('validation.form.invalidPreferredTime', locale));
     }
 
     if (errors.length > 0) {
       console.error('❌ Consultation form validation failed:', errors);
       return res.status(400).json({
         success: false,
-        message: 'Form validation failed',
+        message: t('validation.form.failed', locale),
         errors
       });
     }
@@ -177,8 +196,61 @@ const validateConsultationForm = (req, res, next) => {
   }
 };
 
+// ✅ Resume upload checks: content must match the declared type, PDFs without active content, malware scan
+const validateResumeFile = async (req, res, next) => {
+  if (!req.file) return next();
+
+  let inspection;
+  try {
+    inspection = inspectResume(req.file);
+  } catch (error) {
+    console.error('❌ Resume file rejected:', error.code, error.message);
+    return res.status(error.status || 400).json({
+      success: false,
+      message: 'Invalid resume file',
+      code: error.code,
+      error: error.message
+    });
+  }
+
+  let scan;
+  try {
+    scan = await scanFile(req.file.buffer);
+  } catch (error) {
+    console.error('❌ Malware scan failed:', error.message);
+    if (process.env.MALWARE_SCANNER_FAIL_OPEN !== 'true') {
+      return res.status(503).json({
+        success: false,
+        message: 'File scanning is temporarily unavailable, please try again later'
+      });
+    }
+    scan = { scanner: (process.env.MALWARE_SCANNER || 'none').toLowerCase(), clean: null, signature: null, scannedAt: new Date().toISOString(), error: error.message };
+  }
+
+  if (scan.clean === false) {
+    console.error('🦠 Malware detected in upload:', inspection.originalName, scan.signature);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid resume file',
+      code: 'MALWARE_DETECTED',
+      error: 'The uploaded file did not pass the malware scan'
+    });
+  }
+
+  req.file.originalname = inspection.originalName;
+  req.file.detectedType = inspection.type;
+  req.file.scan = scan;
+  console.log(`✅ Resume file accepted: ${inspection.originalName} (${inspection.type}, scanner: ${scan.scanner})`);
+  next();
+};
+
 module.exports = { 
+  CONSULTATION_FORM_FIELDS,
+  CURRENT_STATUSES,
+  PREFERRED_MODES,
+  PREFERRED_TIMES,
   validateInput, 
   validationRules,
-  validateConsultationForm // ✅ NEW export
+  validateConsultationForm, // ✅ NEW export
+  validateResumeFile
 };
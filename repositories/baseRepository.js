@@ -0,0 +1,42 @@
+// repositories/baseRepository.js - Shared CRUD helpers over the configured store
+const { getStore, ensureSeeded } = require('../storage');
+
+class BaseRepository {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async transaction(work) {
+    await ensureSeeded(this.collection);
+    return getStore().transaction(this.collection, work);
+  }
+
+  async findAll(predicate) {
+    const docs = await this.transaction(tx => tx.all());
+    return predicate ? docs.filter(predicate) : docs;
+  }
+
+  async findById(id) {
+    return this.transaction(tx => tx.get(id));
+  }
+
+  async create(doc) {
+    return this.transaction(tx => tx.insert(doc));
+  }
+
+  // Shallow-merge `changes` into the stored document; resolves to null when the id is unknown
+  async update(id, changes) {
+    return this.transaction(tx => {
+      const existing = tx.get(id);
+      if (!existing) return null;
+      const next = typeof changes === 'function' ? changes(existing) : { ...existing, ...changes };
+      return tx.update(id, next);
+    });
+  }
+
+  async delete(id) {
+    return this.transaction(tx => tx.remove(id));
+  }
+}
+
+module.exports = BaseRepository;
@@ -0,0 +1,38 @@
+// repositories/candidateRepository.js - Candidates: one person's consultations, conversations and German Program applications
+const BaseRepository = require('./baseRepository');
+
+class CandidateRepository extends BaseRepository {
+  constructor() {
+    super('candidates');
+  }
+
+  generateId() {
+    return `CAND-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+  }
+
+  // Build a predicate from ?search (name, email, phone or a linked record id) and ?includeMerged
+  buildFilter(query = {}) {
+    const needle = query.search ? String(query.search).trim().toLowerCase() : null;
+    const digits = needle && /^[\d\s+()-]+$/.test(needle) ? needle.replace(/\D/g, '') : null;
+    const includeMerged = query.includeMerged === 'true';
+
+    return (candidate) => {
+      if (candidate.mergedInto && !includeMerged) return false;
+      if (needle) {
+        const values = [candidate.id, candidate.name, ...candidate.emails, ...candidate.consultations, ...candidate.conversations];
+        const textMatch = values.some(value => String(value || '').toLowerCase().includes(needle));
+        const phoneMatch = digits && candidate.phones.some(phone => phone.includes(digits));
+        if (!textMatch && !phoneMatch) return false;
+      }
+      return true;
+    };
+  }
+
+  // Candidates matching the query filters, most recently active first
+  async findFiltered(query) {
+    const candidates = await this.findAll(this.buildFilter(query));
+    return candidates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+module.exports = new CandidateRepository();
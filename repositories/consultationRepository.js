@@ -0,0 +1,169 @@
+// repositories/consultationRepository.js - Consultation bookings
+const BaseRepository = require('./baseRepository');
+const { CONSULTATION_STATUSES } = require('../utils/consultationStatus');
+const { CURRENT_STATUSES, PREFERRED_MODES } = require('../middleware/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sortable fields -> comparable value (strings compare case-insensitively, missing values sort last)
+const SORT_FIELDS = {
+  submittedAt: c => c.submittedAt,
+  fullName: c => c.fullName,
+  email: c => c.email,
+  phone: c => String(c.phone || '').replace(/\D/g, ''),
+  careerGoals: c => c.careerGoals,
+  interestedService: c => c.interestedService,
+  currentStatus: c => c.currentStatus,
+  preferredMode: c => c.preferredMode,
+  status: c => c.status,
+  hasResume: c => (c.resume ? 1 : 0)
+};
+const DEFAULT_SORT = '-submittedAt';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// A single query value; repeated parameters (?sort=a&sort=b) arrive as arrays and are refused
+const parseText = (value, name) => {
+  if (value === undefined || typeof value === 'string') return value;
+  throw badRequest(`${name} must be a single text value`);
+};
+
+// "a,b" -> ['a', 'b'], each checked against `allowed` when given
+const parseList = (value, name, allowed) => {
+  if (value === undefined || value === '' || value === 'all') return null;
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = allowed ? values.filter(item => !allowed.includes(item)) : [];
+  if (invalid.length) {
+    throw badRequest(`Invalid ${name} "${invalid.join(', ')}" (expected one of ${allowed.join(', ')})`);
+  }
+  return values;
+};
+
+// true / false from a JSON boolean or a "true" / "false" query string; null when absent
+const parseBoolean = (value, name) => {
+  if (value === undefined || value === '') return null;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+};
+
+// Keys buildFilter understands; a strict filter (the bulk endpoint's JSON body) may contain nothing else
+const FILTER_KEYS = ['search', 'status', 'interestedService', 'currentStatus', 'preferredMode', 'from', 'to', 'hasResume', 'tag', 'counsellor', 'duplicate'];
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+class ConsultationRepository extends BaseRepository {
+  constructor() {
+    super('consultations');
+  }
+
+  /**
+   * Build a predicate from the list query:
+   *   ?search (name, email, phone, career goals), ?status, ?interestedService, ?currentStatus, ?preferredMode
+   *   (comma-separated lists), ?from / ?to on submittedAt (a bare date in ?to covers the whole day), ?hasResume,
+   *   ?tag (bookings carrying any of the comma-separated tags), ?counsellor (user ids, or "unassigned"),
+   *   ?duplicate (flagged as a possible repeat booking)
+   * With `strict`, keys outside FILTER_KEYS are rejected instead of ignored.
+   */
+  buildFilter(query = {}, { strict = false } = {}) {
+    if (strict) {
+      const unknown = Object.keys(query).filter(key => !FILTER_KEYS.includes(key));
+      if (unknown.length) {
+        throw badRequest(`Unknown filter "${unknown.join(', ')}" (expected any of ${FILTER_KEYS.join(', ')})`);
+      }
+    }
+
+    const { from, to } = query;
+    const search = parseText(query.search, 'search');
+    const statuses = parseList(query.status, 'status', CONSULTATION_STATUSES);
+    const services = parseList(query.interestedService, 'interestedService');
+    const currentStatuses = parseList(query.currentStatus, 'currentStatus', CURRENT_STATUSES);
+    const modes = parseList(query.preferredMode, 'preferredMode', PREFERRED_MODES);
+    const tags = parseList(query.tag?.toString().toLowerCase(), 'tag');
+    const counsellors = parseList(query.counsellor, 'counsellor');
+
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw badRequest('from and to must be valid dates');
+    }
+    const toLimit = toTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(to) ? toTime + DAY_MS : toTime;
+
+    const hasResume = parseBoolean(query.hasResume, 'hasResume');
+    const duplicate = parseBoolean(query.duplicate, 'duplicate');
+
+    const needle = search ? search.trim().toLowerCase() : null;
+    // Phone numbers are matched on digits so "98765 43210" finds "9876543210"
+    const digits = needle && /^[\d\s+()-]+$/.test(needle) ? needle.replace(/\D/g, '') : null;
+    const serviceNames = services ? services.map(service => service.toLowerCase()) : null;
+
+    return (consultation) => {
+      const submittedAt = Date.parse(consultation.submittedAt);
+
+      if (statuses && !statuses.includes(consultation.status)) return false;
+      if (serviceNames && !serviceNames.includes(String(consultation.interestedService || '').toLowerCase())) return false;
+      if (currentStatuses && !currentStatuses.includes(consultation.currentStatus)) return false;
+      if (modes && !modes.includes(consultation.preferredMode)) return false;
+      if (fromTime !== null && submittedAt < fromTime) return false;
+      if (toLimit !== null && submittedAt >= toLimit) return false;
+      if (counsellors && !counsellors.includes(consultation.assignedCounsellor ? consultation.assignedCounsellor.id : 'unassigned')) return false;
+      if (tags && !(consultation.tags || []).some(tag => tags.includes(tag))) return false;
+      if (hasResume !== null && hasResume !== !!consultation.resume) return false;
+      if (duplicate !== null && duplicate !== !!consultation.duplicate) return false;
+      if (needle) {
+        const textMatch = [consultation.fullName, consultation.email, consultation.phone, consultation.careerGoals]
+          .some(value => String(value || '').toLowerCase().includes(needle));
+        const phoneMatch = digits && String(consultation.phone || '').replace(/\D/g, '').includes(digits);
+        if (!textMatch && !phoneMatch) return false;
+      }
+      return true;
+    };
+  }
+
+  // ?sort=field or ?sort=-field (descending), or ?order=asc|desc; newest first by default
+  buildComparator(query = {}) {
+    let sort = parseText(query.sort, 'sort') || DEFAULT_SORT;
+    const order = parseText(query.order, 'order');
+    let descending = sort.startsWith('-');
+    sort = sort.replace(/^[-+]/, '');
+
+    if (!SORT_FIELDS[sort]) {
+      throw badRequest(`Invalid sort field "${sort}" (expected one of ${Object.keys(SORT_FIELDS).join(', ')})`);
+    }
+    if (order !== undefined) {
+      if (!['asc', 'desc'].includes(order)) throw badRequest('order must be asc or desc');
+      descending = order === 'desc';
+    }
+
+    const value = SORT_FIELDS[sort];
+    const direction = descending ? -1 : 1;
+
+    return (a, b) => {
+      const left = value(a);
+      const right = value(b);
+      if (isMissing(left) || isMissing(right)) {
+        if (isMissing(left) !== isMissing(right)) return isMissing(left) ? 1 : -1;
+      } else {
+        const order = typeof left === 'number' && typeof right === 'number'
+          ? left - right
+          : String(left).localeCompare(String(right), 'en', { sensitivity: 'base', numeric: true });
+        if (order !== 0) return order * direction;
+      }
+      // Ties keep the newest booking first
+      return String(b.submittedAt || '').localeCompare(String(a.submittedAt || ''));
+    };
+  }
+
+  // Bookings matching the query filters, in the requested order
+  async findFiltered(query) {
+    const comparator = this.buildComparator(query);
+    const consultations = await this.findAll(this.buildFilter(query));
+    return consultations.sort(comparator);
+  }
+}
+
+module.exports = new ConsultationRepository();
@@ -0,0 +1,124 @@
+// repositories/conversationRepository.js - Stored chatbot conversations (completed and partial)
+const BaseRepository = require('./baseRepository');
+
+const LINK_TYPES = ['consultations', 'emails'];
+const CONVERSATION_STATUSES = ['completed', 'partial'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const FILTER_KEYS = ['status', 'flowId', 'flowVersion', 'from', 'to', 'email', 'search', 'linked'];
+
+class ConversationRepository extends BaseRepository {
+  constructor() {
+    super('chatbot_conversations');
+  }
+
+  generateId() {
+    return `CONV-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+  }
+
+  // Build a predicate from ?status, ?flowId, ?flowVersion, ?from, ?to, ?email, ?search and ?linked
+  buildFilter(query = {}) {
+    // Repeated parameters (?search=a&search=b) arrive as arrays; every filter is a single text value
+    const invalid = FILTER_KEYS.filter(key => query[key] !== undefined && typeof query[key] !== 'string');
+    if (invalid.length) {
+      throw badRequest(`${invalid.join(', ')} must be a single text value`);
+    }
+
+    const { status, flowId, flowVersion, from, to, email, search, linked } = query;
+
+    if (status && status !== 'all' && !CONVERSATION_STATUSES.includes(status)) {
+      throw badRequest(`Invalid status "${status}"`);
+    }
+
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw badRequest('from and to must be valid dates');
+    }
+
+    // A bare date in ?to covers the whole day
+    const toLimit = toTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(to) ? toTime + 24 * 60 * 60 * 1000 : toTime;
+    const needle = search ? search.toLowerCase() : null;
+
+    return (conversation) => {
+      const createdAt = Date.parse(conversation.createdAt);
+      const responses = conversation.responses || {};
+      const links = conversation.links || {};
+
+      if (status && status !== 'all' && conversation.status !== status) return false;
+      if (flowId && conversation.flowId !== flowId) return false;
+      if (flowVersion && conversation.flowVersion !== flowVersion) return false;
+      if (fromTime !== null && createdAt < fromTime) return false;
+      if (toLimit !== null && createdAt >= toLimit) return false;
+      if (email && String(responses.email || '').toLowerCase() !== email.toLowerCase()) return false;
+      if (needle && ![conversation.id, responses.name, responses.email]
+        .some(value => String(value || '').toLowerCase().includes(needle))) return false;
+      if (linked === 'consultation' && !(links.consultations || []).length) return false;
+      if (linked === 'email' && !(links.emails || []).length) return false;
+      return true;
+    };
+  }
+
+  // Conversations matching the query filters, newest first
+  async findFiltered(query) {
+    const conversations = await this.findAll(this.buildFilter(query));
+    return conversations.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Append a link (consultation booking or sent email); resolves to null when the conversation is unknown
+  async addLink(id, type, link) {
+    if (!LINK_TYPES.includes(type)) {
+      throw new Error(`Unknown conversation link type "${type}"`);
+    }
+
+    return this.update(id, existing => {
+      const links = { consultations: [], emails: [], ...existing.links };
+      return {
+        ...existing,
+        links: { ...links, [type]: [...links[type], { ...link, linkedAt: new Date().toISOString() }] },
+        updatedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  // ✅ Mirror a server-side session into its conversation record
+  async recordSession(session) {
+    const now = new Date().toISOString();
+    const snapshot = {
+      sessionId: session.id,
+      flowId: session.flowId,
+      flowVersion: session.flowVersion,
+      locale: session.locale,
+      status: session.status === 'completed' ? 'completed' : 'partial',
+      responses: session.responses,
+      steps: session.history || [],
+      currentStepId: session.status === 'active' ? session.currentStepId : null,
+      completedAt: session.completedAt || null,
+      updatedAt: now
+    };
+
+    return this.transaction(tx => {
+      const existing = tx.get(session.conversationId);
+      if (existing) {
+        return tx.update(existing.id, { ...existing, ...snapshot });
+      }
+      return tx.insert({
+        id: session.conversationId,
+        source: 'session',
+        ...snapshot,
+        links: { consultations: [], emails: [] },
+        startedAt: session.createdAt,
+        createdAt: now,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent
+      });
+    });
+  }
+}
+
+module.exports = new ConversationRepository();
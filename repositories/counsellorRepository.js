@@ -0,0 +1,19 @@
+// repositories/counsellorRepository.js - Counsellor profiles (what a back-office user covers), keyed by user id
+const BaseRepository = require('./baseRepository');
+
+class CounsellorRepository extends BaseRepository {
+  constructor() {
+    super('counsellor_profiles');
+  }
+
+  // ✅ Create or replace the profile of a user; resolves to the stored profile
+  async upsert(userId, profile) {
+    return this.transaction(tx => {
+      const existing = tx.get(userId);
+      if (!existing) return tx.insert({ id: userId, ...profile, createdAt: profile.updatedAt });
+      return tx.update(userId, { ...existing, ...profile });
+    });
+  }
+}
+
+module.exports = new CounsellorRepository();
@@ -0,0 +1,44 @@
+// repositories/feedbackRepository.js - Post-conversation feedback (one per conversation)
+const BaseRepository = require('./baseRepository');
+
+class FeedbackRepository extends BaseRepository {
+  constructor() {
+    super('chatbot_feedback');
+  }
+
+  // ✅ Feedback matching ?flowId, ?rating, ?from and ?to, newest first
+  async findFiltered({ flowId, rating, from, to } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      const error = new Error('from and to must be valid dates');
+      error.status = 400;
+      throw error;
+    }
+
+    // A bare date in ?to covers the whole day
+    const toLimit = toTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(to) ? toTime + 24 * 60 * 60 * 1000 : toTime;
+
+    const entries = await this.findAll(entry => {
+      const createdAt = Date.parse(entry.createdAt);
+      if (flowId && entry.flowId !== flowId) return false;
+      if (rating && entry.rating !== Number(rating)) return false;
+      if (fromTime !== null && createdAt < fromTime) return false;
+      if (toLimit !== null && createdAt >= toLimit) return false;
+      return true;
+    });
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // ✅ Insert unless the conversation already has feedback; resolves to null on a duplicate
+  async createForConversation(doc) {
+    return this.transaction(tx => {
+      if (tx.all().some(entry => entry.conversationId === doc.conversationId)) {
+        return null;
+      }
+      return tx.insert(doc);
+    });
+  }
+}
+
+module.exports = new FeedbackRepository();
@@ -0,0 +1,48 @@
+// repositories/meetingRepository.js - Reserved meeting slots
+const BaseRepository = require('./baseRepository');
+
+const ACTIVE_STATUSES = ['reserved', 'scheduled'];
+
+class MeetingRepository extends BaseRepository {
+  constructor() {
+    super('meetings');
+  }
+
+  isActive(meeting) {
+    return ACTIVE_STATUSES.includes(meeting.status);
+  }
+
+  async findActiveBetween(start, end) {
+    return this.findAll(m => this.isActive(m) && m.slotStart < end && m.slotEnd > start);
+  }
+
+  // ✅ Insert the reservation only while the slot has room; resolves to null when it is full
+  async reserveSlot(doc, capacity = 1) {
+    return this.transaction(tx => {
+      const taken = tx.all().filter(m => this.isActive(m) && m.slotStart === doc.slotStart).length;
+      if (taken >= capacity) return null;
+      return tx.insert(doc);
+    });
+  }
+
+  // ✅ Move an active meeting to another slot while that slot has room; resolves to null when it is full
+  async moveToSlot(id, slot, capacity = 1) {
+    return this.transaction(tx => {
+      const meeting = tx.get(id);
+      if (!meeting) return null;
+
+      const taken = tx.all().filter(m => m.id !== id && this.isActive(m) && m.slotStart === slot.slotStart).length;
+      if (taken >= capacity) return null;
+
+      return tx.update(id, {
+        ...meeting,
+        ...slot,
+        previousSlots: [...(meeting.previousSlots || []), { slotStart: meeting.slotStart, slotEnd: meeting.slotEnd }],
+        sequence: (meeting.sequence || 0) + 1,
+        updatedAt: new Date().toISOString()
+      });
+    });
+  }
+}
+
+module.exports = new MeetingRepository();
@@ -0,0 +1,182 @@
+// repositories/outboxRepository.js - Persisted outbound emails awaiting (or done with) delivery
+const BaseRepository = require('./baseRepository');
+
+// queued -> sending -> sent, or back to failed (retry scheduled) and finally dead after the last attempt
+const OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'failed', 'dead'];
+const PURGEABLE_STATUSES = ['sent', 'dead'];
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+class OutboxRepository extends BaseRepository {
+  constructor() {
+    super('email_outbox');
+  }
+
+  generateId() {
+    return `MAIL-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+  }
+
+  // Build a predicate from ?status, ?category, ?to, ?from and ?until
+  buildFilter(query = {}) {
+    const { status, category, to, from, until } = query;
+
+    if (status && status !== 'all' && !OUTBOX_STATUSES.includes(status)) {
+      throw badRequest(`Invalid status "${status}"`);
+    }
+
+    const fromTime = from ? Date.parse(from) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(untilTime)) {
+      throw badRequest('from and until must be valid dates');
+    }
+
+    const needle = to ? to.toLowerCase() : null;
+
+    return (message) => {
+      const createdAt = Date.parse(message.createdAt);
+      if (status && status !== 'all' && message.status !== status) return false;
+      if (category && message.category !== category) return false;
+      if (needle && ![message.mail.to, message.mail.cc]
+        .some(value => String(value || '').toLowerCase().includes(needle))) return false;
+      if (fromTime !== null && createdAt < fromTime) return false;
+      if (untilTime !== null && createdAt >= untilTime) return false;
+      return true;
+    };
+  }
+
+  // Messages matching the query filters, newest first
+  async findFiltered(query) {
+    const messages = await this.findAll(this.buildFilter(query));
+    return messages.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async countByStatus() {
+    const messages = await this.findAll();
+    const counts = Object.fromEntries(OUTBOX_STATUSES.map(status => [status, 0]));
+    messages.forEach(message => { counts[message.status] = (counts[message.status] || 0) + 1; });
+    return counts;
+  }
+
+  async enqueue(mail, { category = 'general', reference = null, maxAttempts }) {
+    const now = new Date().toISOString();
+    return this.create({
+      id: this.generateId(),
+      status: 'queued',
+      category,
+      reference,
+      mail,
+      attempts: 0,
+      maxAttempts,
+      nextAttemptAt: now,
+      lockedUntil: null,
+      lastError: null,
+      messageId: null,
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // ✅ Atomically lease due messages to this worker; expired leases (a crashed send) are picked up again
+  async claimDue(limit, now = Date.now()) {
+    return this.transaction(tx => {
+      const due = tx.all()
+        .filter(message => (
+          (['queued', 'failed'].includes(message.status) && Date.parse(message.nextAttemptAt) <= now) ||
+          (message.status === 'sending' && Date.parse(message.lockedUntil) <= now)
+        ))
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+        .slice(0, limit);
+
+      return due.map(message => tx.update(message.id, {
+        ...message,
+        status: 'sending',
+        attempts: message.attempts + 1,
+        lockedUntil: new Date(now + SEND_LEASE_MS).toISOString(),
+        updatedAt: new Date(now).toISOString()
+      }));
+    });
+  }
+
+  async markSent(id, messageId) {
+    const now = new Date().toISOString();
+    return this.update(id, existing => ({
+      ...existing,
+      status: 'sent',
+      messageId,
+      lockedUntil: null,
+      lastError: null,
+      sentAt: now,
+      history: [...existing.history, { attempt: existing.attempts, success: true, messageId, at: now }],
+      updatedAt: now
+    }));
+  }
+
+  // Schedule the next attempt after `retryDelayMs`, or dead-letter the message once attempts run out
+  async markFailed(id, errorMessage, retryDelayMs) {
+    const now = new Date();
+    return this.update(id, existing => {
+      const dead = existing.attempts >= existing.maxAttempts;
+      return {
+        ...existing,
+        status: dead ? 'dead' : 'failed',
+        lockedUntil: null,
+        lastError: errorMessage,
+        nextAttemptAt: dead ? null : new Date(now.getTime() + retryDelayMs).toISOString(),
+        deadAt: dead ? now.toISOString() : null,
+        history: [...existing.history, { attempt: existing.attempts, success: false, error: errorMessage, at: now.toISOString() }],
+        updatedAt: now.toISOString()
+      };
+    });
+  }
+
+  // Put a message back in the queue with a fresh set of attempts; null when unknown, false while it is sending
+  async requeue(id, { maxAttempts, requestedBy = null }) {
+    return this.transaction(tx => {
+      const existing = tx.get(id);
+      if (!existing) return null;
+      if (existing.status === 'sending') return false;
+
+      const now = new Date().toISOString();
+      return tx.update(id, {
+        ...existing,
+        status: 'queued',
+        maxAttempts: existing.attempts + maxAttempts,
+        resendBaseAttempts: existing.attempts,
+        nextAttemptAt: now,
+        deadAt: null,
+        resends: [...(existing.resends || []), { previousStatus: existing.status, requestedBy, at: now }],
+        updatedAt: now
+      });
+    });
+  }
+
+  // Remove delivered and/or dead messages, optionally only those created before a date
+  async purge({ statuses = PURGEABLE_STATUSES, before = null } = {}) {
+    const invalid = statuses.filter(status => !PURGEABLE_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      throw badRequest(`Only ${PURGEABLE_STATUSES.join(' and ')} messages can be purged`);
+    }
+
+    const beforeTime = before ? Date.parse(before) : null;
+    if (Number.isNaN(beforeTime)) {
+      throw badRequest('before must be a valid date');
+    }
+
+    return this.transaction(tx => {
+      const victims = tx.all().filter(message => (
+        statuses.includes(message.status) &&
+        (beforeTime === null || Date.parse(message.createdAt) < beforeTime)
+      ));
+      victims.forEach(message => tx.remove(message.id));
+      return victims.length;
+    });
+  }
+}
+
+module.exports = new OutboxRepository();
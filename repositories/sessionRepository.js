@@ -0,0 +1,10 @@
+// repositories/sessionRepository.js - Server-side chatbot sessions
+const BaseRepository = require('./baseRepository');
+
+class SessionRepository extends BaseRepository {
+  constructor() {
+    super('chatbot_sessions');
+  }
+}
+
+module.exports = new SessionRepository();
@@ -0,0 +1,48 @@
+// repositories/userRepository.js - Admin users who can sign in to the back office
+const BaseRepository = require('./baseRepository');
+const { hashPassword } = require('../utils/authService');
+
+class UserRepository extends BaseRepository {
+  constructor() {
+    super('admin_users');
+  }
+
+  async findByLogin(login) {
+    const needle = String(login || '').trim().toLowerCase();
+    const [user] = await this.findAll(u => u.username === needle || (u.email && u.email.toLowerCase() === needle));
+    return user || null;
+  }
+
+  // Never expose the password hash
+  toPublic(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+  }
+
+  // ✅ Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist yet
+  async ensureBootstrapAdmin() {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+
+    const passwordHash = await hashPassword(ADMIN_PASSWORD);
+    const created = await this.transaction(tx => {
+      if (tx.all().length > 0) return null;
+      return tx.insert({
+        id: `USR-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+        username: ADMIN_USERNAME.trim().toLowerCase(),
+        name: ADMIN_USERNAME.trim(),
+        email: (process.env.ADMIN_EMAIL || '').split(',')[0].trim() || null,
+        role: 'admin',
+        active: true,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+        createdBy: 'bootstrap'
+      });
+    });
+
+    if (created) console.log('👤 Bootstrap admin user created:', created.username);
+    return created;
+  }
+}
+
+module.exports = new UserRepository();
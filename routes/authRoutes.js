@@ -0,0 +1,30 @@
+// routes/authRoutes.js - Admin sign-in and user management
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// ✅ Slow down password guessing
+const loginRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    success: false,
+    message: 'Too many sign-in attempts, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'development'
+});
+
+router.post('/login', loginRateLimit, authController.login.bind(authController));
+router.get('/me', authenticate, authController.me.bind(authController));
+
+// ✅ User management (admin only)
+router.get('/users', authenticate, requireRole('admin'), authController.getUsers.bind(authController));
+router.post('/users', authenticate, requireRole('admin'), authController.createUser.bind(authController));
+router.put('/users/:id', authenticate, requireRole('admin'), authController.updateUser.bind(authController));
+
+module.exports = router;
@@ -3,28 +3,30 @@ const express = require('express');
 const router = express.Router();
 const chatbotController = require('../controllers/chatbotController');
 const consultationController = require('../controllers/consultationController');
-const { validateInput, validateConsultationForm } = require('../middleware/validation');
+const sessionController = require('../controllers/sessionController');
+const conversationController = require('../controllers/conversationController');
+const meetingController = require('../controllers/meetingController');
+const outboxController = require('../controllers/outboxController');
+const mailController = require('../controllers/mailController');
+const fileController = require('../controllers/fileController');
+const counsellorController = require('../controllers/counsellorController');
+const candidateController = require('../controllers/candidateController');
+const { validateInput, validateConsultationForm, validateResumeFile } = require('../middleware/validation');
+const { RESUME_MIMETYPES } = require('../utils/fileInspection');
+const { authenticate, requireRole } = require('../middleware/auth');
 const multer = require('multer');
-const os = require('os');
-const path = require('path');
 
-// ✅ UPDATED: Vercel-compatible multer configuration
+// ✅ Uploads stay in memory until the controller hands them to file storage
 const upload = multer({
-  dest: path.join(os.tmpdir(), 'uploads', 'resumes'),
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
   fileFilter: (req, file, cb) => {
     console.log('📎 File upload attempt:', file.originalname, file.mimetype);
     
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // Declared type only - validateResumeFile checks the content once the upload is complete
+    if (RESUME_MIMETYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       const error = new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.');
@@ -34,16 +36,73 @@ const upload = multer({
   }
 });
 
+// ✅ Multer errors (size, declared type) as JSON responses
+const handleUploadError = (error, req, res, next) => {
+  if (error) {
+    console.error('❌ Multer error:', error);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: 'File too large',
+        error: 'Maximum file size is 5MB'
+      });
+    }
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type',
+        error: error.message
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'File upload error',
+      error: error.message
+    });
+  }
+  next();
+};
+
 // Existing Chatbot Routes
 router.get('/chatbot/flow', chatbotController.getChatbotFlow);
+router.get('/chatbot/flows', chatbotController.getChatbotFlows);
+router.get('/chatbot/flows/:flowId', chatbotController.getChatbotFlowById);
 router.post('/chatbot/validate', validateInput, chatbotController.validateUserInput);
 router.post('/chatbot/save-conversation', chatbotController.saveConversation);
 
+// ✅ Server-side chatbot sessions
+router.post('/chatbot/sessions', sessionController.startSession.bind(sessionController));
+router.get('/chatbot/sessions/:id', sessionController.getSession.bind(sessionController));
+router.post('/chatbot/sessions/:id/answer', sessionController.answerStep.bind(sessionController));
+router.post('/chatbot/sessions/:id/upload', upload.single('file'), handleUploadError, validateResumeFile, sessionController.uploadStepFile.bind(sessionController));
+
+// ✅ Stored conversations (admin, viewer role and above)
+router.get('/chatbot/conversations', authenticate, requireRole('viewer'), conversationController.getConversations.bind(conversationController));
+router.get('/chatbot/conversations/export', authenticate, requireRole('viewer'), conversationController.exportConversations.bind(conversationController));
+router.get('/chatbot/conversations/:id', authenticate, requireRole('viewer'), conversationController.getConversation.bind(conversationController));
+
 // Existing Email Routes
 router.post('/send-german-program-email', chatbotController.sendGermanProgramEmail);
 
 // Existing Meeting Routes
 router.post('/schedule-meeting', chatbotController.scheduleGoogleMeeting);
+router.get('/meetings/slots', meetingController.getFreeSlots.bind(meetingController));
+router.get('/meetings', authenticate, requireRole('viewer'), meetingController.getMeetings.bind(meetingController));
+router.post('/meetings/:id/reschedule', authenticate, requireRole('counsellor'), meetingController.rescheduleMeeting.bind(meetingController));
+router.post('/meetings/:id/cancel', authenticate, requireRole('counsellor'), meetingController.cancelMeeting.bind(meetingController));
+
+// Email outbox (Admin)
+router.get('/email/outbox', authenticate, requireRole('admin'), outboxController.getOutbox.bind(outboxController));
+router.delete('/email/outbox', authenticate, requireRole('admin'), outboxController.purgeOutbox.bind(outboxController));
+router.get('/email/outbox/:id', authenticate, requireRole('admin'), outboxController.getOutboxMessage.bind(outboxController));
+router.post('/email/outbox/:id/resend', authenticate, requireRole('admin'), outboxController.resendOutboxMessage.bind(outboxController));
+
+// Stored files behind expiring signed links (see GET /consultation/:id/resume)
+router.get('/files/download', fileController.downloadFile.bind(fileController));
+
+// Email templates (Admin)
+router.get('/email/templates', authenticate, requireRole('admin'), mailController.getTemplates.bind(mailController));
+router.get('/email/templates/:name/preview', authenticate, requireRole('admin'), mailController.previewTemplate.bind(mailController));
 
 // ✅ ENHANCED: Consultation Routes with better error handling
 router.post('/consultation/book', 
@@ -52,50 +111,87 @@ router.post('/consultation/book',
     next();
   },
   upload.single('resume'),
-  (error, req, res, next) => {
-    if (error) {
-      console.error('❌ Multer error:', error);
-      if (error.code === 'LIMIT_FILE_SIZE') {
-        return res.status(413).json({
-          success: false,
-          message: 'File too large',
-          error: 'Maximum file size is 5MB'
-        });
-      }
-      if (error.code === 'INVALID_FILE_TYPE') {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid file type',
-          error: error.message
-        });
-      }
-      return res.status(500).json({
-        success: false,
-        message: 'File upload error',
-        error: error.message
-      });
-    }
-    next();
-  },
+  handleUploadError,
   validateConsultationForm,
+  validateResumeFile,
   consultationController.bookConsultation.bind(consultationController)
 );
 
 router.get('/consultation/bookings', 
+  authenticate,
+  requireRole('viewer'),
   consultationController.getConsultationBookings.bind(consultationController)
 );
 
+router.get('/consultation/bookings/export', 
+  authenticate,
+  requireRole('viewer'),
+  consultationController.exportConsultations.bind(consultationController)
+);
+
+router.post('/consultation/bulk', 
+  authenticate,
+  requireRole('counsellor'),
+  consultationController.bulkUpdateConsultations.bind(consultationController)
+);
+
 router.put('/consultation/:id/status', 
+  authenticate,
+  requireRole('counsellor'),
   consultationController.updateConsultationStatus.bind(consultationController)
 );
 
+router.put('/consultation/:id/counsellor', 
+  authenticate,
+  requireRole('admin'),
+  consultationController.reassignCounsellor.bind(consultationController)
+);
+
+router.get('/consultation/:id/notes', 
+  authenticate,
+  requireRole('viewer'),
+  consultationController.getConsultationNotes.bind(consultationController)
+);
+
+router.post('/consultation/:id/notes', 
+  authenticate,
+  requireRole('counsellor'),
+  consultationController.addConsultationNote.bind(consultationController)
+);
+
+router.get('/consultation/:id/history', 
+  authenticate,
+  requireRole('viewer'),
+  consultationController.getConsultationHistory.bind(consultationController)
+);
+
+router.get('/consultation/:id/resume', 
+  authenticate,
+  requireRole('counsellor'),
+  consultationController.getResumeDownload.bind(consultationController)
+);
+
 router.delete('/consultation/:id', 
+  authenticate,
+  requireRole('admin'),
   consultationController.deleteConsultation.bind(consultationController)
 );
 
+// ✅ Counsellor profiles used for booking assignment
+router.get('/counsellors', authenticate, requireRole('viewer'), counsellorController.getCounsellors.bind(counsellorController));
+router.put('/counsellors/:id', authenticate, requireRole('admin'), counsellorController.updateCounsellor.bind(counsellorController));
+
+// ✅ Candidates: one person's bookings, conversations and German Program applications
+router.get('/candidates', authenticate, requireRole('viewer'), candidateController.getCandidates.bind(candidateController));
+router.post('/candidates/rebuild', authenticate, requireRole('admin'), candidateController.rebuildCandidates.bind(candidateController));
+router.get('/candidates/:id', authenticate, requireRole('viewer'), candidateController.getCandidate.bind(candidateController));
+router.post('/candidates/:id/merge', authenticate, requireRole('admin'), candidateController.mergeCandidates.bind(candidateController));
+
 // Existing Analytics Routes
-router.get('/chatbot/analytics', chatbotController.getChatbotAnalytics);
+router.get('/chatbot/analytics', authenticate, requireRole('viewer'), chatbotController.getChatbotAnalytics);
 router.post('/chatbot/feedback', chatbotController.saveFeedback);
+router.get('/chatbot/feedback', authenticate, requireRole('viewer'), chatbotController.getFeedback);
+router.get('/chatbot/feedback/summary', authenticate, requireRole('viewer'), chatbotController.getFeedbackSummary);
 
 // Enhanced health check for consultation service
 router.get('/consultation/health', (req, res) => {
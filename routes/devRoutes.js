@@ -0,0 +1,12 @@
+// routes/devRoutes.js - Development helpers (not mounted in production)
+const express = require('express');
+const mailboxController = require('../controllers/mailboxController');
+
+const router = express.Router();
+
+// Emails captured by the in-memory mail transport
+router.get('/mailbox', mailboxController.getMessages.bind(mailboxController));
+router.delete('/mailbox', mailboxController.clearMessages.bind(mailboxController));
+router.get('/mailbox/:id', mailboxController.getMessage.bind(mailboxController));
+
+module.exports = router;
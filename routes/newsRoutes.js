@@ -2,6 +2,7 @@
 const express = require('express');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
+const { authenticate, requireRole } = require('../middleware/auth');
 const router = express.Router();
 
 // ✅ VERCEL FIX: Simple in-memory cache (per function instance)
@@ -471,7 +472,7 @@ router.get('/health', (req, res) => {
 });
 
 // ✅ Clear cache endpoint - Vercel Optimized
-router.post('/clear-cache', (req, res) => {
+router.post('/clear-cache', authenticate, requireRole('admin'), (req, res) => {
   try {
     const cacheSize = newsCache.size;
     newsCache.clear();
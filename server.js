@@ -5,10 +5,17 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 require('dotenv').config();
+const { getStorageConfig, assertDurableStorage } = require('./storage');
+const { getFileStorageConfig } = require('./utils/fileStorage');
+const { checkAllFlows } = require('./utils/flowValidator');
+const { startOutboxWorker } = require('./utils/mail/outbox');
+const { getMailConfig } = require('./utils/mail/config');
 
 // Import Routes
 const chatbotRoutes = require('./routes/chatbotRoutes.js');
 const newsRoutes = require('./routes/newsRoutes.js'); // ✅ NEW
+const authRoutes = require('./routes/authRoutes.js');
+const devRoutes = require('./routes/devRoutes.js');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -16,8 +23,6 @@ const PORT = process.env.PORT || 5000;
 // ✅ VERCEL FIX: Create directories in temp location
 const createDirectories = () => {
   const directories = [
-    path.join(os.tmpdir(), 'uploads'),
-    path.join(os.tmpdir(), 'uploads', 'resumes'),
     path.join(os.tmpdir(), 'data')
   ];
   
@@ -31,6 +36,19 @@ const createDirectories = () => {
 
 createDirectories();
 
+// ✅ Refuse to start in production when the data would be kept in the temp directory
+try {
+  assertDurableStorage();
+} catch (error) {
+  console.error('❌ Storage configuration error:', error.message);
+  process.exit(1);
+}
+
+// ✅ Validate the chatbot flows at startup - problems are logged, not fatal
+checkAllFlows().catch(error => {
+  console.error('❌ Chatbot flow validation could not run:', error.message);
+});
+
 // ✅ VERCEL FIX: Enhanced Middleware with timeout handling
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
@@ -49,8 +67,7 @@ app.use((req, res, next) => {
   next();
 });
 
-// ✅ VERCEL FIX: Static file serving from temp directory
-app.use('/uploads', express.static(path.join(os.tmpdir(), 'uploads')));
+// ✅ Uploaded resumes are not served statically - admins get signed links from GET /api/consultation/:id/resume
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -92,6 +109,11 @@ app.get('/api/health', (req, res) => {
       environmentVariables: {
         newsApiKey: process.env.NEWS_API_KEY ? 'configured' : 'missing',
         smtpUser: process.env.SMTP_USER ? 'configured' : 'missing',
+        mailTransport: getMailConfig().transport,
+        storageDriver: getStorageConfig().driver,
+        fileStorageDriver: getFileStorageConfig().driver,
+        malwareScanner: (process.env.MALWARE_SCANNER || 'none').toLowerCase(),
+        authTokenSecret: process.env.AUTH_TOKEN_SECRET ? 'configured' : 'missing',
         nodeEnv: process.env.NODE_ENV || 'not-set'
       },
       message: 'All systems operational (Vercel)'
@@ -107,9 +129,15 @@ app.get('/api/health', (req, res) => {
 });
 
 // ✅ Routes
+app.use('/api/auth', authRoutes);
 app.use('/api', chatbotRoutes);
 app.use('/api/news', newsRoutes); // ✅ NEWS: News proxy routes
 
+// ✅ Development helpers such as the captured-email mailbox are never exposed in production
+if (process.env.NODE_ENV !== 'production') {
+  app.use('/api/dev', devRoutes);
+}
+
 // ✅ VERCEL FIX: Enhanced error handling middleware
 app.use((error, req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -158,17 +186,57 @@ app.use('/*', (req, res) => {
     method: req.method,
     availableEndpoints: [
       'GET /api/health - System health check',
+      'POST /api/auth/login - Admin sign-in',
+      'GET /api/auth/me - Current admin user',
+      'GET /api/auth/users - List admin users (admin)',
       'GET /api/stats - System statistics',
       'GET /api/chatbot/flow - Get chatbot flow',
+      'GET /api/chatbot/flows - List chatbot flows',
+      'GET /api/chatbot/flows/:flowId - Get chatbot flow version',
+      'POST /api/chatbot/sessions - Start chatbot session',
+      'GET /api/chatbot/sessions/:id - Resume chatbot session',
+      'POST /api/chatbot/sessions/:id/answer - Answer current chatbot step',
+      'POST /api/chatbot/save-conversation - Save chatbot conversation',
+      'GET /api/chatbot/conversations - List conversations (admin)',
+      'GET /api/chatbot/conversations/export - Export conversations as JSON, NDJSON, CSV or XLSX (admin)',
+      'GET /api/chatbot/conversations/:id - Get conversation (admin)',
+      'GET /api/chatbot/analytics - Chatbot funnel analytics',
+      'POST /api/chatbot/feedback - Submit conversation feedback',
+      'GET /api/chatbot/feedback - List feedback (admin)',
+      'GET /api/chatbot/feedback/summary - Feedback scores (admin)',
       'POST /api/consultation/book - Book consultation',
-      'GET /api/consultation/bookings - Get bookings (admin)',
+      'GET /api/consultation/bookings - Search, filter and sort bookings (admin)',
+      'GET /api/consultation/bookings/export - Export bookings as CSV or XLSX (admin)',
+      'POST /api/consultation/bulk - Bulk status, counsellor, tag or delete over ids or a filter (admin)',
+      'PUT /api/consultation/:id/counsellor - Reassign the counsellor (admin)',
+      'GET /api/consultation/:id/notes - Internal notes thread (admin)',
+      'POST /api/consultation/:id/notes - Add an internal note (admin)',
+      'GET /api/consultation/:id/history - Consultation status history (admin)',
+      'GET /api/consultation/:id/resume - Signed resume download link (admin)',
+      'GET /api/counsellors - Counsellor profiles and workload (admin)',
+      'PUT /api/counsellors/:id - Create or update a counsellor profile (admin)',
+      'GET /api/candidates - Candidates grouping bookings, conversations and applications (admin)',
+      'POST /api/candidates/rebuild - Link stored records to candidates (admin)',
+      'GET /api/candidates/:id - Candidate with their bookings and conversations (admin)',
+      'POST /api/candidates/:id/merge - Merge candidates into this one (admin)',
+      'GET /api/files/download - Download a file through a signed link',
       'POST /api/send-german-program-email - German program email',
       'POST /api/schedule-meeting - Schedule meeting',
+      'GET /api/meetings/slots?date=YYYY-MM-DD - Free meeting slots',
+      'GET /api/meetings - List meetings (admin)',
+      'POST /api/meetings/:id/reschedule - Reschedule meeting (admin)',
+      'GET /api/email/outbox - Email outbox (admin)',
+      'POST /api/email/outbox/:id/resend - Resend outbox email (admin)',
+      'DELETE /api/email/outbox - Purge sent/dead emails (admin)',
+      'GET /api/email/templates - Email templates (admin)',
+      'GET /api/email/templates/:name/preview - Preview email template with sample data (admin)',
+      'GET /api/dev/mailbox - Captured emails (development, MAIL_TRANSPORT=memory)',
+      'POST /api/meetings/:id/cancel - Cancel meeting (admin)',
       'GET /api/news/headlines - Get news headlines', // ✅ NEW
       'GET /api/news/search - Search news', // ✅ NEW
       'GET /api/news/sources - Get news sources', // ✅ NEW
       'GET /api/news/health - News service health', // ✅ NEW
-      'POST /api/news/clear-cache - Clear news cache' // ✅ NEW
+      'POST /api/news/clear-cache - Clear news cache (admin)' // ✅ NEW
     ],
     timestamp: new Date().toISOString(),
     suggestion: 'Check the availableEndpoints list for valid routes'
@@ -200,7 +268,8 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
     console.log(`🔍 News search: http://localhost:${PORT}/api/news/search`); // ✅ NEW
     console.log(`📡 News sources: http://localhost:${PORT}/api/news/sources`); // ✅ NEW
     console.log(`🏥 News health: http://localhost:${PORT}/api/news/health`); // ✅ NEW
-    console.log(`💾 Data storage: ${os.tmpdir()}/data/`);
+    const storageConfig = getStorageConfig();
+    console.log(`💾 Data storage: ${storageConfig.driver} (${storageConfig.driver === 'sqlite' ? storageConfig.sqliteFile : storageConfig.directory})`);
     console.log('🚀 ═══════════════════════════════════════════════════════════');
     console.log('✅ Features Available:');
     console.log('   • Consultation booking with file uploads');
@@ -213,6 +282,9 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
     console.log('   • Rate limiting and security'); // ✅ NEW
     console.log('   • Serverless-compatible caching'); // ✅ NEW
     console.log('🚀 ═══════════════════════════════════════════════════════════');
+
+    // ✅ Retry queued emails in the background (serverless runs flush on enqueue instead)
+    startOutboxWorker();
     
     console.log('📋 Server Information:');
     Object.entries(serverInfo).forEach(([key, value]) => {
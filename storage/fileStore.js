@@ -0,0 +1,107 @@
+// storage/fileStore.js - JSON file backed document store
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class FileStore {
+  constructor(options = {}) {
+    this.driver = 'file';
+    this.directory = options.directory;
+    this.locks = new Map();
+  }
+
+  collectionFile(collection) {
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  async readCollection(collection) {
+    try {
+      const fileContent = await fs.readFile(this.collectionFile(collection), 'utf8');
+      const docs = JSON.parse(fileContent);
+      return Array.isArray(docs) ? docs : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // ✅ Atomic write: write to a temp file in the same directory, then rename over the target
+  async writeCollection(collection, docs) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const target = this.collectionFile(collection);
+    const tempFile = `${target}.${process.pid}-${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    try {
+      await fs.writeFile(tempFile, JSON.stringify(docs, null, 2));
+      await fs.rename(tempFile, target);
+    } catch (error) {
+      await fs.unlink(tempFile).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Serialise read-modify-write cycles per collection within this process
+  withLock(collection, task) {
+    const previous = this.locks.get(collection) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    this.locks.set(collection, tail);
+    tail.then(() => {
+      if (this.locks.get(collection) === tail) this.locks.delete(collection);
+    });
+    return run;
+  }
+
+  // Run `work(tx)` against an in-memory copy of the collection and persist it if anything changed
+  transaction(collection, work) {
+    return this.withLock(collection, async () => {
+      const docs = await this.readCollection(collection);
+      let dirty = false;
+
+      const tx = {
+        all: () => docs.map(doc => ({ ...doc })),
+        get: (id) => {
+          const doc = docs.find(d => d.id === id);
+          return doc ? { ...doc } : null;
+        },
+        insert: (doc) => {
+          if (docs.some(d => d.id === doc.id)) {
+            const error = new Error(`Duplicate id "${doc.id}" in ${collection}`);
+            error.code = 'DUPLICATE_ID';
+            throw error;
+          }
+          docs.push(doc);
+          dirty = true;
+          return { ...doc };
+        },
+        update: (id, doc) => {
+          const index = docs.findIndex(d => d.id === id);
+          if (index === -1) return null;
+          docs[index] = { ...doc, id };
+          dirty = true;
+          return { ...docs[index] };
+        },
+        remove: (id) => {
+          const index = docs.findIndex(d => d.id === id);
+          if (index === -1) return null;
+          const [removed] = docs.splice(index, 1);
+          dirty = true;
+          return removed;
+        }
+      };
+
+      const result = work(tx);
+
+      if (dirty) {
+        await this.writeCollection(collection, docs);
+      }
+
+      return result;
+    });
+  }
+
+  async close() {}
+}
+
+module.exports = FileStore;
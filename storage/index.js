@@ -0,0 +1,126 @@
+// storage/index.js - Storage driver selection and seed import
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const FileStore = require('./fileStore');
+const SqliteStore = require('./sqliteStore');
+
+const SEED_DIR = path.join(__dirname, '..', 'data');
+
+let warnedTemporary = false;
+
+const getStorageConfig = () => {
+  const driver = (process.env.STORAGE_DRIVER || 'file').toLowerCase();
+  const directory = process.env.DATA_DIR || path.join(os.tmpdir(), 'payana-data');
+
+  return {
+    driver,
+    directory,
+    sqliteFile: process.env.SQLITE_FILE || path.join(directory, 'payana.sqlite'),
+    seed: process.env.SEED_DATA !== 'false',
+    // Neither DATA_DIR nor SQLITE_FILE points anywhere, so the data lives in the OS temp directory
+    temporary: !process.env.DATA_DIR && !(driver === 'sqlite' && process.env.SQLITE_FILE)
+  };
+};
+
+// ✅ Production data must survive a restart; outside production the temp directory is only warned about
+const assertDurableStorage = (config = getStorageConfig()) => {
+  if (!config.temporary) return;
+
+  if (process.env.NODE_ENV === 'production') {
+    const error = new Error('DATA_DIR (or STORAGE_DRIVER=sqlite with SQLITE_FILE) is not configured - refusing to keep data in the temp directory');
+    error.status = 500;
+    throw error;
+  }
+  if (warnedTemporary) return;
+  warnedTemporary = true;
+  console.warn(`⚠️ DATA_DIR not set - data is kept in ${config.directory} and may be lost on restart`);
+};
+
+const createStore = (config = getStorageConfig()) => {
+  switch (config.driver) {
+    case 'file':
+      return new FileStore({ directory: config.directory });
+    case 'sqlite':
+      return new SqliteStore({ filename: config.sqliteFile });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (expected "file" or "sqlite")`);
+  }
+};
+
+let store = null;
+const seeded = new Map();
+
+const getStore = () => {
+  if (!store) {
+    const config = getStorageConfig();
+    assertDurableStorage(config);
+    store = createStore(config);
+    store.seedEnabled = config.seed;
+    console.log(`💾 Storage driver initialised: ${store.driver}`);
+  }
+  return store;
+};
+
+// ✅ Import data/<collection>.json once per store, the first time a collection is used
+const ensureSeeded = (collection) => {
+  const activeStore = getStore();
+  if (!activeStore.seedEnabled) return Promise.resolve();
+
+  if (!seeded.has(collection)) {
+    const task = (async () => {
+      let seedDocs;
+      try {
+        seedDocs = JSON.parse(await fs.readFile(path.join(SEED_DIR, `${collection}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      const marker = `seed:${collection}`;
+      const alreadyImported = await activeStore.transaction('_meta', (meta) => !!meta.get(marker));
+      if (alreadyImported) return;
+
+      // Insert first and record the marker afterwards, so an interrupted import is retried
+      const count = await activeStore.transaction(collection, (tx) => {
+        let inserted = 0;
+        seedDocs.forEach(doc => {
+          if (doc && doc.id && !tx.get(doc.id)) {
+            tx.insert(doc);
+            inserted++;
+          }
+        });
+        return inserted;
+      });
+
+      await activeStore.transaction('_meta', (meta) => {
+        if (!meta.get(marker)) {
+          meta.insert({ id: marker, importedAt: new Date().toISOString(), count });
+        }
+      });
+
+      console.log(`🌱 Imported ${count} seed record(s) into ${collection}`);
+    })();
+
+    seeded.set(collection, task);
+    task.catch(() => seeded.delete(collection));
+  }
+
+  return seeded.get(collection);
+};
+
+// Reset the cached store (used when configuration changes at runtime)
+const resetStore = async () => {
+  if (store) await store.close();
+  store = null;
+  seeded.clear();
+};
+
+module.exports = {
+  getStore,
+  getStorageConfig,
+  assertDurableStorage,
+  createStore,
+  ensureSeeded,
+  resetStore
+};
@@ -0,0 +1,81 @@
+// storage/sqliteStore.js - Embedded SQLite document store
+const fs = require('fs');
+const path = require('path');
+
+class SqliteStore {
+  constructor(options = {}) {
+    this.driver = 'sqlite';
+    this.filename = options.filename;
+
+    // Loaded lazily so the file driver works without the native module installed
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX IF NOT EXISTS documents_collection_seq ON documents (collection, seq);
+    `);
+
+    this.statements = {
+      all: this.db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY seq'),
+      get: this.db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+      nextSeq: this.db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM documents WHERE collection = ?'),
+      insert: this.db.prepare('INSERT INTO documents (collection, id, seq, data) VALUES (?, ?, ?, ?)'),
+      update: this.db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?'),
+      remove: this.db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+    };
+  }
+
+  // Run `work(tx)` inside a single SQLite transaction
+  async transaction(collection, work) {
+    const { statements } = this;
+
+    const tx = {
+      all: () => statements.all.all(collection).map(row => JSON.parse(row.data)),
+      get: (id) => {
+        const row = statements.get.get(collection, String(id));
+        return row ? JSON.parse(row.data) : null;
+      },
+      insert: (doc) => {
+        if (statements.get.get(collection, String(doc.id))) {
+          const error = new Error(`Duplicate id "${doc.id}" in ${collection}`);
+          error.code = 'DUPLICATE_ID';
+          throw error;
+        }
+        const { seq } = statements.nextSeq.get(collection);
+        statements.insert.run(collection, String(doc.id), seq, JSON.stringify(doc));
+        return { ...doc };
+      },
+      update: (id, doc) => {
+        const next = { ...doc, id };
+        const info = statements.update.run(JSON.stringify(next), collection, String(id));
+        return info.changes ? next : null;
+      },
+      remove: (id) => {
+        const existing = tx.get(id);
+        if (!existing) return null;
+        statements.remove.run(collection, String(id));
+        return existing;
+      }
+    };
+
+    return this.db.transaction(() => work(tx)).immediate();
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,136 @@
+// tests/bulkConsultations.test.js - Bulk actions over consultation ids or a listing filter
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+let api;
+let token;
+const ids = {};
+
+const book = async (fields) => {
+  const response = await api.request('POST', '/api/consultation/book', {
+    form: { age: '26', education: 'BSc Nursing, Madras University', interestedService: 'Nursing Abroad', ...fields }
+  });
+  expect(response.status).toBe(200);
+  return response.body.data.consultationId;
+};
+
+const bulk = (body) => api.request('POST', '/api/consultation/bulk', { body, token });
+
+const storedBookings = async () => (await api.request('GET', '/api/consultation/bookings', { token })).body.data.consultations;
+
+beforeAll(async () => {
+  quietConsole();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  api = await startServer();
+  token = await api.login();
+
+  ids.withResume = await book({
+    fullName: 'Priya Raman',
+    email: 'priya@example.com',
+    phone: '9876543210',
+    resume: new File(['Priya Raman\nBSc Nursing'], 'priya.txt', { type: 'text/plain' })
+  });
+  ids.withoutResume = await book({ fullName: 'Karthik Vel', email: 'karthik@example.com', phone: '9123456780' });
+});
+
+afterAll(() => api.close());
+
+describe('bulk filter', () => {
+  test.each([
+    ['a JSON boolean', true, 'withResume'],
+    ['a "true" string', 'true', 'withResume'],
+    ['false', false, 'withoutResume']
+  ])('hasResume as %s selects only the matching bookings', async (description, hasResume, expected) => {
+    const response = await bulk({ action: 'delete', filter: { hasResume }, dryRun: true });
+    expect(response.status).toBe(200);
+    expect(response.body.data.results).toEqual([{ id: ids[expected], outcome: 'deleted' }]);
+  });
+
+  test('rejects unknown filter keys instead of matching every booking', async () => {
+    const response = await bulk({ action: 'delete', filter: { foo: 'x' } });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/^Unknown filter "foo"/);
+  });
+
+  test.each([['yes'], [1], [['true']]])('rejects hasResume %p', async (hasResume) => {
+    const response = await bulk({ action: 'delete', filter: { hasResume } });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('hasResume must be true or false');
+  });
+
+  test('nothing was deleted by the rejected or dry-run requests', async () => {
+    expect((await storedBookings()).map(c => c.id).sort()).toEqual([ids.withResume, ids.withoutResume].sort());
+  });
+});
+
+describe('bulk actions', () => {
+  test.each([
+    ['ids and a filter together', { action: 'add-tag', tag: 'x', ids: ['a'], filter: { status: 'pending' } }, 'Send either ids or filter, not both'],
+    ['no targets', { action: 'add-tag', tag: 'x' }, 'Send ids or a filter with at least one condition'],
+    ['an empty filter', { action: 'add-tag', tag: 'x', filter: {} }, 'Send ids or a filter with at least one condition'],
+    ['a text dryRun', { action: 'add-tag', tag: 'x', ids: ['a'], dryRun: 'true' }, 'dryRun must be true or false'],
+    ['an unknown action', { action: 'archive', ids: ['a'] }, 'Invalid bulk action'],
+    ['an unknown status', { action: 'set-status', status: 'archived', ids: ['a'] }, 'Invalid status']
+  ])('rejects %s', async (description, body, message) => {
+    const response = await bulk(body);
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(message);
+  });
+
+  test('a dry run reports every outcome and stores nothing', async () => {
+    const response = await bulk({ action: 'set-status', status: 'completed', ids: [ids.withResume, 'CONS-UNKNOWN'], dryRun: true });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Dry run: set-status would affect 0 consultation(s)');
+    expect(response.body.data.results).toEqual([
+      { id: ids.withResume, outcome: 'failed', error: 'Cannot change status from pending to completed', allowedTransitions: ['confirmed', 'cancelled'] },
+      { id: 'CONS-UNKNOWN', outcome: 'not-found' }
+    ]);
+    expect(response.body.data.summary).toEqual({ total: 2, failed: 1, 'not-found': 1 });
+
+    const tagged = await bulk({ action: 'add-tag', tag: 'Priority', filter: { status: 'pending' }, dryRun: true });
+    expect(tagged.body.data.summary).toEqual({ total: 2, updated: 2 });
+    expect((await storedBookings()).every(c => !(c.tags || []).length)).toBe(true);
+  });
+
+  test('add-tag lower-cases the tag and leaves bookings that already have it unchanged', async () => {
+    const first = await bulk({ action: 'add-tag', tag: 'Priority', ids: [ids.withResume] });
+    expect(first.body.data.results).toEqual([{ id: ids.withResume, outcome: 'updated', tags: ['priority'] }]);
+
+    const again = await bulk({ action: 'add-tag', tag: 'priority', ids: [ids.withResume, ids.withoutResume] });
+    expect(again.body.data.results.map(result => result.outcome)).toEqual(['unchanged', 'updated']);
+    expect(again.body.data.summary).toEqual({ total: 2, unchanged: 1, updated: 1 });
+  });
+});
+
+describe('side effects after the changes are stored', () => {
+  const consultationController = require('../controllers/consultationController');
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a failing status email is reported on its item and the status change is kept', async () => {
+    jest.spyOn(consultationController, 'sendStatusEmail').mockRejectedValueOnce(new Error('storage offline'));
+
+    const response = await bulk({ action: 'set-status', status: 'confirmed', ids: [ids.withResume, ids.withoutResume] });
+    expect(response.status).toBe(200);
+    expect(response.body.data.results).toEqual([
+      expect.objectContaining({ id: ids.withResume, outcome: 'updated', to: 'confirmed', emailError: 'storage offline' }),
+      expect.objectContaining({ id: ids.withoutResume, outcome: 'updated', to: 'confirmed', email: 'confirmed' })
+    ]);
+    expect(response.body.data.results[0]).not.toHaveProperty('email');
+
+    expect((await storedBookings()).map(c => c.status)).toEqual(['confirmed', 'confirmed']);
+  });
+
+  test('a failing resume removal is reported on its item and the booking stays deleted', async () => {
+    jest.spyOn(consultationController, 'removeResumes').mockRejectedValueOnce(new Error('bucket unavailable'));
+
+    const response = await bulk({ action: 'delete', ids: [ids.withResume] });
+    expect(response.status).toBe(200);
+    expect(response.body.data.results).toEqual([
+      { id: ids.withResume, outcome: 'deleted', resumeRemoved: false, resumeError: 'bucket unavailable' }
+    ]);
+
+    expect((await storedBookings()).map(c => c.id)).toEqual([ids.withoutResume]);
+  });
+});
@@ -0,0 +1,122 @@
+// tests/chatbotSessions.test.js - The German Work flow's resume upload step in a server-side session
+const fs = require('fs');
+const path = require('path');
+const { useTempEnvironment, quietConsole, drainOutbox, startServer } = require('./helpers/testServer');
+
+const dataDir = useTempEnvironment();
+
+const MemoryTransport = require('../utils/mail/transports/memoryTransport');
+const { setTransport } = require('../utils/mail/transport');
+const sessionRepository = require('../repositories/sessionRepository');
+const { getFileStorage } = require('../utils/fileStorage');
+
+const RESUME_TEXT = 'Karthik Vel\nBSc Mechanical Engineering\nkarthik@example.com';
+
+let api;
+let mailbox;
+
+const start = async (body = {}) => {
+  const response = await api.request('POST', '/api/chatbot/sessions', { body: { flowId: 'german-work', ...body } });
+  expect(response.status).toBe(201);
+  return response.body.data;
+};
+
+const answer = (sessionId, value) => api.request('POST', `/api/chatbot/sessions/${sessionId}/answer`, { body: { value } });
+
+const upload = (sessionId, file, stepId) => api.request('POST', `/api/chatbot/sessions/${sessionId}/upload`, {
+  form: { file, ...(stepId === undefined ? {} : { stepId: String(stepId) }) }
+});
+
+// Every file the local file storage holds
+const storedFiles = () => {
+  const root = path.join(dataDir, 'files');
+  return fs.existsSync(root) ? fs.readdirSync(root, { recursive: true }).filter(name => fs.statSync(path.join(root, name)).isFile()) : [];
+};
+
+const resumeFile = () => new File([RESUME_TEXT], 'karthik-cv.txt', { type: 'text/plain' });
+
+// Walk the session up to the resume question
+const startAtResumeQuestion = async () => {
+  const session = await start();
+  for (const value of ['Karthik', '24', 'karthik@example.com', 'Work', 'Yes']) {
+    expect((await answer(session.sessionId, value)).status).toBe(200);
+  }
+  return session.sessionId;
+};
+
+beforeAll(async () => {
+  quietConsole();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mailbox = new MemoryTransport();
+  setTransport(mailbox);
+  api = await startServer();
+});
+
+afterAll(() => api.close());
+
+test('new sessions start on the latest published version', async () => {
+  const session = await start();
+  expect(session.flowVersion).toBe('1.1.1');
+});
+
+test('the disabled Study option is refused without a route back to the same step', async () => {
+  const session = await start();
+  for (const value of ['Karthik', '24', 'karthik@example.com']) await answer(session.sessionId, value);
+
+  const response = await answer(session.sessionId, 'Study');
+  expect(response.status).toBe(422);
+  expect(response.body.data.step.id).toBe(3);
+});
+
+test('"Upload Resume" leads to an upload step whose file goes to the team with the application', async () => {
+  const sessionId = await startAtResumeQuestion();
+
+  const choice = await answer(sessionId, 'Upload Resume');
+  expect(choice.body.data.step).toMatchObject({ id: 16, type: 'file_upload', field: 'resume' });
+
+  const typed = await answer(sessionId, 'my resume');
+  expect(typed.status).toBe(422);
+  expect(typed.body.message).toBe('Please upload a file for this step');
+
+  const uploaded = await upload(sessionId, resumeFile(), 16);
+  expect(uploaded.status).toBe(200);
+  expect(uploaded.body.data.step.id).toBe(6);
+  expect(uploaded.body.data.responses.resume).toBe('karthik-cv.txt');
+
+  expect(storedFiles()).toHaveLength(1);
+  const stored = await sessionRepository.findById(sessionId);
+  const file = await getFileStorage().read(stored.files.resume.key);
+  expect(file.content.toString()).toBe(RESUME_TEXT);
+
+  // Step 8 sends the German Program application
+  for (const value of ['UG Completed', '1-2yr', 'Yes']) {
+    expect((await answer(sessionId, value)).status).toBe(200);
+  }
+  await drainOutbox();
+  const application = mailbox.messages.find(message => message.subject.startsWith('🇩🇪 New German Program Application'));
+  expect(application.attachments).toEqual([expect.objectContaining({ filename: 'karthik-cv.txt' })]);
+});
+
+test('"No Resume" skips the upload step', async () => {
+  const sessionId = await startAtResumeQuestion();
+  const response = await answer(sessionId, 'No Resume');
+  expect(response.body.data.step.id).toBe(6);
+});
+
+test('a file is refused on a step that does not take one, and not kept', async () => {
+  const session = await start();
+  const filesBefore = storedFiles();
+
+  const response = await upload(session.sessionId, resumeFile());
+  expect(response.status).toBe(422);
+  expect(response.body.message).toBe('This step does not take a file');
+  expect((await sessionRepository.findById(session.sessionId)).files).toBeUndefined();
+  expect(storedFiles()).toEqual(filesBefore);
+});
+
+test('an upload without a file is a bad request', async () => {
+  const sessionId = await startAtResumeQuestion();
+  await answer(sessionId, 'Upload Resume');
+  const response = await api.request('POST', `/api/chatbot/sessions/${sessionId}/upload`, { form: { stepId: '16' } });
+  expect(response.status).toBe(400);
+});
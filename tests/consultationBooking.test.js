@@ -0,0 +1,127 @@
+// tests/consultationBooking.test.js - Only the booking form's own fields reach the stored consultation
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+const consultationRepository = require('../repositories/consultationRepository');
+
+const FORM = {
+  age: '26',
+  education: 'BSc Nursing, Madras University',
+  interestedService: 'Nursing Abroad'
+};
+
+let api;
+let token;
+
+const book = async (fields) => {
+  const response = await api.request('POST', '/api/consultation/book', { form: { ...FORM, ...fields } });
+  expect(response.status).toBe(200);
+  return response.body.data.consultationId;
+};
+
+beforeAll(async () => {
+  quietConsole();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  api = await startServer();
+  token = await api.login();
+});
+
+afterAll(() => api.close());
+
+test('stores the form fields as text and nothing else from the body', async () => {
+  const id = await book({
+    fullName: 'Meena Kumar',
+    email: 'meena@example.com',
+    phone: '9123456780',
+    careerGoals: 'Work as a nurse in Germany',
+    preferredMode: 'online',
+    status: 'completed',
+    ipAddress: '203.0.113.9'
+  });
+
+  const stored = await consultationRepository.findById(id);
+  expect(stored).toMatchObject({
+    fullName: 'Meena Kumar',
+    email: 'meena@example.com',
+    phone: '9123456780',
+    age: '26',
+    careerGoals: 'Work as a nurse in Germany',
+    preferredMode: 'online',
+    status: 'pending'
+  });
+  expect(stored.ipAddress).not.toBe('203.0.113.9');
+});
+
+test('rejects a form field sent as a nested object', async () => {
+  const response = await api.request('POST', '/api/consultation/book', {
+    form: { ...FORM, fullName: 'Meena Kumar', email: 'meena.k@example.com', phone: '9123456781', 'experience[years]': '4' }
+  });
+  expect(response.status).toBe(400);
+  expect(response.body.errors).toEqual(['experience must be text']);
+});
+
+test('a forged repeat submission cannot point at another candidate\'s resume', async () => {
+  const victimId = await book({
+    fullName: 'Priya Raman',
+    email: 'priya@example.com',
+    phone: '9876543210',
+    resume: new File(['Priya Raman\nBSc Nursing'], 'priya.txt', { type: 'text/plain' })
+  });
+  const victim = await consultationRepository.findById(victimId);
+
+  const forgedId = await book({
+    fullName: 'Ravi Shankar',
+    email: 'ravi@example.com',
+    phone: '9000011111',
+    'repeatSubmissions[0][resume][key]': victim.resume.key,
+    'repeatSubmissions[0][resume][storage]': victim.resume.storage || 'local',
+    'duplicate[of][0][id]': victimId,
+    candidateId: 'CAND-FORGED'
+  });
+
+  const forged = await consultationRepository.findById(forgedId);
+  expect(forged.repeatSubmissions).toBeUndefined();
+  expect(forged.duplicate).toBeUndefined();
+  expect(forged.candidateId).toBeUndefined();
+
+  const removal = await api.request('DELETE', `/api/consultation/${forgedId}`, { token });
+  expect(removal.status).toBe(200);
+
+  const link = await api.request('GET', `/api/consultation/${victimId}/resume`, { token });
+  expect(link.status).toBe(200);
+  const url = new URL(link.body.data.url);
+  const download = await api.request('GET', url.pathname + url.search);
+  expect(download.status).toBe(200);
+  expect(download.body).toBe('Priya Raman\nBSc Nursing');
+});
+
+test('owner, tag, appointment and email fields from the public form are ignored', async () => {
+  const users = await api.request('GET', '/api/auth/users', { token });
+  const admin = users.body.data.find(user => user.username === 'admin');
+  // Not accepting bookings, so the assignment strategy finds nobody eligible and the booking stays unassigned
+  const profile = await api.request('PUT', `/api/counsellors/${admin.id}`, { body: { capacity: 5, accepting: false }, token });
+  expect(profile.body).toMatchObject({ success: true });
+
+  const id = await book({
+    fullName: 'Arun Prakash',
+    email: 'arun@example.com',
+    phone: '9000022222',
+    'assignedCounsellor[id]': admin.id,
+    'assignedCounsellor[name]': admin.name,
+    'assignmentHistory[0][to]': admin.id,
+    'tags[0]': 'vip',
+    'appointment[date]': '2030-01-07',
+    'appointment[time]': '10:00',
+    'statusEmails[0][type]': 'confirmed'
+  });
+
+  const stored = await consultationRepository.findById(id);
+  ['assignedCounsellor', 'assignmentHistory', 'tags', 'appointment', 'statusEmails']
+    .forEach(field => expect(stored[field]).toBeUndefined());
+
+  const counsellors = await api.request('GET', '/api/counsellors?includeInactive=true', { token });
+  expect(counsellors.status).toBe(200);
+  const listed = counsellors.body.data.counsellors.find(counsellor => counsellor.id === admin.id);
+  expect(listed.activeBookings).toBe(0);
+});
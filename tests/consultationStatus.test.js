@@ -0,0 +1,115 @@
+// tests/consultationStatus.test.js - Status transition table, 409 on disallowed changes and the history endpoint
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+const { resolveTransition, allowedTransitions } = require('../utils/consultationStatus');
+
+describe('resolveTransition', () => {
+  test.each([
+    ['pending', 'confirmed', 'status'],
+    ['pending', 'cancelled', 'status'],
+    ['confirmed', 'completed', 'status'],
+    ['confirmed', 'cancelled', 'status']
+  ])('%s -> %s is a status change', (from, to, action) => {
+    expect(resolveTransition(from, to)).toEqual({ status: to, action });
+  });
+
+  test('the same status is an update (e.g. a new note)', () => {
+    expect(resolveTransition('pending', 'pending')).toEqual({ status: 'pending', action: 'updated' });
+  });
+
+  test.each([
+    ['pending', 'completed'],
+    ['completed', 'pending'],
+    ['completed', 'cancelled'],
+    ['cancelled', 'confirmed']
+  ])('%s -> %s is refused with a 409 listing the allowed transitions', (from, to) => {
+    expect(() => resolveTransition(from, to)).toThrow(expect.objectContaining({
+      status: 409,
+      message: `Cannot change status from ${from} to ${to}`,
+      allowed: allowedTransitions(from)
+    }));
+  });
+
+  test('a first appointment on a confirmed booking is "scheduled", a moved one is "rescheduled"', () => {
+    expect(resolveTransition('confirmed', 'rescheduled', { appointmentChanged: true }))
+      .toEqual({ status: 'confirmed', action: 'scheduled' });
+    expect(resolveTransition('confirmed', 'confirmed', { appointmentChanged: true, hadAppointment: true }))
+      .toEqual({ status: 'confirmed', action: 'rescheduled' });
+  });
+
+  test('rescheduling needs a confirmed booking and a new appointment', () => {
+    expect(() => resolveTransition('pending', 'rescheduled', { appointmentChanged: true }))
+      .toThrow(expect.objectContaining({ status: 409, message: 'Cannot reschedule a pending consultation' }));
+    expect(() => resolveTransition('confirmed', 'rescheduled'))
+      .toThrow(expect.objectContaining({ status: 400, message: 'Rescheduling needs a new appointment' }));
+  });
+});
+
+describe('status changes over HTTP', () => {
+  let api;
+  let token;
+  let id;
+
+  const setStatus = (body) => api.request('PUT', `/api/consultation/${id}/status`, { body, token });
+  const history = () => api.request('GET', `/api/consultation/${id}/history`, { token });
+
+  beforeAll(async () => {
+    quietConsole();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    api = await startServer();
+    token = await api.login();
+
+    const booked = await api.request('POST', '/api/consultation/book', {
+      form: {
+        fullName: 'Meena Das',
+        email: 'meena@example.com',
+        phone: '9876543210',
+        age: '29',
+        education: 'MSc Nursing, Anna University',
+        interestedService: 'Nursing Abroad'
+      }
+    });
+    expect(booked.status).toBe(200);
+    id = booked.body.data.consultationId;
+  });
+
+  afterAll(() => api.close());
+
+  test('a disallowed transition is a 409 and changes nothing', async () => {
+    const response = await setStatus({ status: 'completed' });
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({
+      success: false,
+      message: 'Cannot change status from pending to completed',
+      allowedTransitions: ['confirmed', 'cancelled']
+    });
+
+    const current = await history();
+    expect(current.body.data.status).toBe('pending');
+    expect(current.body.data.history.map(entry => entry.action)).toEqual(['created']);
+  });
+
+  test('history lists each change with its actor, note and reason, and the transitions now allowed', async () => {
+    expect((await setStatus({ status: 'confirmed', notes: 'Called the candidate' })).status).toBe(200);
+    expect((await setStatus({ status: 'cancelled', reason: 'Candidate withdrew' })).status).toBe(200);
+
+    const response = await history();
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ id, status: 'cancelled', allowedTransitions: [] });
+    expect(response.body.data.history).toEqual([
+      expect.objectContaining({ from: null, to: 'pending', action: 'created', actor: { id: null, name: null, role: 'candidate' } }),
+      expect.objectContaining({
+        from: 'pending', to: 'confirmed', action: 'status', note: 'Called the candidate', reason: null,
+        actor: expect.objectContaining({ role: 'admin' })
+      }),
+      expect.objectContaining({ from: 'confirmed', to: 'cancelled', action: 'status', reason: 'Candidate withdrew' })
+    ]);
+  });
+
+  test('history of an unknown booking is a 404', async () => {
+    const response = await api.request('GET', '/api/consultation/CONS-UNKNOWN/history', { token });
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,82 @@
+// tests/consultationValidation.test.js - Booking form validation messages in the candidate's language
+const { validateConsultationForm } = require('../middleware/validation');
+const { SUPPORTED_LOCALES, t } = require('../utils/i18n');
+
+const VALID_FORM = {
+  fullName: 'Priya Raman',
+  email: 'priya@example.com',
+  phone: '9876543210',
+  age: '25',
+  education: 'BSc Nursing, Madras University'
+};
+
+// Run the middleware and resolve to the 400 body it sent, or null when it passed the request on
+const validate = (body, { lang } = {}) => {
+  const req = { body, query: lang ? { lang } : {}, get: () => undefined };
+  let sent = null;
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      sent = { status: this.statusCode, ...payload };
+      return this;
+    }
+  };
+  validateConsultationForm(req, res, () => {});
+  return sent;
+};
+
+const INVALID_FORM = {
+  ...VALID_FORM,
+  email: undefined,
+  experience: 'x'.repeat(1001),
+  additionalInfo: 'x'.repeat(501),
+  currentStatus: 'retired',
+  preferredMode: 'carrier-pigeon',
+  preferredTime: 'midnight'
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+test('a valid form passes', () => {
+  expect(validate(VALID_FORM)).toBeNull();
+});
+
+test('lists every problem in English by default', () => {
+  expect(validate(INVALID_FORM)).toEqual({
+    status: 400,
+    success: false,
+    message: 'Form validation failed',
+    errors: [
+      'email is required',
+      'Experience description too long (max 1000 characters)',
+      'Additional information too long (max 500 characters)',
+      'Invalid current status',
+      'Invalid preferred mode',
+      'Invalid preferred time'
+    ]
+  });
+});
+
+test.each(SUPPORTED_LOCALES.filter(locale => locale !== 'en'))('uses the %s catalog for every message', (locale) => {
+  const result = validate(INVALID_FORM, { lang: locale });
+  const english = validate(INVALID_FORM);
+
+  expect(result.message).toBe(t('validation.form.failed', locale));
+  expect(result.errors).toEqual([
+    t('validation.form.required', locale, { field: 'email' }),
+    t('validation.form.experienceTooLong', locale),
+    t('validation.form.additionalInfoTooLong', locale),
+    t('validation.form.invalidCurrentStatus', locale),
+    t('validation.form.invalidPreferredMode', locale),
+    t('validation.form.invalidPreferredTime', locale)
+  ]);
+  // Every message is translated rather than falling back to English
+  result.errors.forEach((message, index) => expect(message).not.toBe(english.errors[index]));
+  expect(result.message).not.toBe(english.message);
+});
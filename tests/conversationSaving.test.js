@@ -0,0 +1,46 @@
+// tests/conversationSaving.test.js - Per-step answers sent with save-conversation
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+let api;
+let token;
+
+const save = (body) => api.request('POST', '/api/chatbot/save-conversation', { body });
+
+beforeAll(async () => {
+  quietConsole();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  api = await startServer();
+  token = await api.login();
+});
+
+afterAll(() => api.close());
+
+test.each([
+  ['a null step', { steps: [{ stepId: 0, field: 'name', value: 'Ravi' }, null] }, 'steps must be a list of step objects'],
+  ['a text step', { steps: ['Ravi'] }, 'steps must be a list of step objects'],
+  ['a nested list', { steps: [[0, 'name', 'Ravi']] }, 'steps must be a list of step objects'],
+  ['a null history entry', { history: [null] }, 'history must be a list of step objects']
+])('refuses %s with a 400', async (description, body, message) => {
+  const response = await save({ responses: { name: 'Ravi' }, ...body });
+  expect(response.status).toBe(400);
+  expect(response.body).toEqual({ success: false, message });
+});
+
+test('stores the steps that were sent, accepting the older history field names', async () => {
+  const saved = await save({
+    responses: { name: 'Ravi', purpose: 'Work' },
+    history: [
+      { id: 0, field: 'name', answer: 'Ravi', timestamp: '2026-10-01T10:00:00.000Z' },
+      { stepId: 1, field: 'purpose', value: 'Work', answeredAt: '2026-10-01T10:01:00.000Z' }
+    ]
+  });
+  expect(saved.status).toBe(200);
+
+  const stored = await api.request('GET', `/api/chatbot/conversations/${saved.body.data.id}`, { token });
+  expect(stored.body.data.steps).toEqual([
+    { stepId: 0, field: 'name', value: 'Ravi', answeredAt: '2026-10-01T10:00:00.000Z' },
+    { stepId: 1, field: 'purpose', value: 'Work', answeredAt: '2026-10-01T10:01:00.000Z' }
+  ]);
+});
@@ -0,0 +1,169 @@
+// tests/counsellorAssignment.test.js - Assignment strategies, eligibility and profile parsing
+const { useTempEnvironment } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+const {
+  getAssignmentStrategy,
+  getWorkloads,
+  coversBooking,
+  pickCounsellor,
+  assignCounsellor,
+  parseProfile
+} = require('../utils/counsellorService');
+
+const counsellor = (id, name, profile = {}) => ({
+  id,
+  name,
+  services: [],
+  languages: [],
+  modes: [],
+  capacity: 5,
+  available: true,
+  ...profile
+});
+
+const booking = (id, status, assignedTo = null, assignedAt = '2026-01-01T00:00:00.000Z') => ({
+  id,
+  status,
+  interestedService: 'Nursing Abroad',
+  preferredMode: 'online',
+  locale: 'en',
+  assignedCounsellor: assignedTo ? { id: assignedTo, name: assignedTo, assignedAt } : null
+});
+
+const anu = counsellor('USR-ANU', 'Anu');
+const bala = counsellor('USR-BALA', 'Bala');
+const chitra = counsellor('USR-CHITRA', 'Chitra', { capacity: 8 });
+const incoming = booking('NEW', 'pending');
+
+describe('getWorkloads', () => {
+  test('counts only pending and confirmed bookings and tracks the latest assignment', () => {
+    const loads = getWorkloads([
+      booking('A', 'pending', 'USR-ANU', '2026-01-01T00:00:00.000Z'),
+      booking('B', 'confirmed', 'USR-ANU', '2026-01-03T00:00:00.000Z'),
+      booking('C', 'completed', 'USR-ANU', '2026-01-02T00:00:00.000Z'),
+      booking('D', 'cancelled', 'USR-BALA', '2026-01-04T00:00:00.000Z'),
+      booking('E', 'pending')
+    ]);
+    expect(loads.get('USR-ANU')).toEqual({ active: 2, lastAssignedAt: '2026-01-03T00:00:00.000Z' });
+    expect(loads.get('USR-BALA')).toEqual({ active: 0, lastAssignedAt: '2026-01-04T00:00:00.000Z' });
+    expect(loads.size).toBe(2);
+  });
+});
+
+describe('coversBooking', () => {
+  test('empty lists cover anything; lists match service, mode and language case-insensitively', () => {
+    expect(coversBooking(anu, incoming)).toBe(true);
+    expect(coversBooking({ ...anu, services: ['nursing abroad'], modes: ['online'], languages: ['en', 'ta'] }, incoming)).toBe(true);
+    expect(coversBooking({ ...anu, services: ['Work Visa'] }, incoming)).toBe(false);
+    expect(coversBooking({ ...anu, modes: ['in-person'] }, incoming)).toBe(false);
+    expect(coversBooking({ ...anu, languages: ['de'] }, incoming)).toBe(false);
+  });
+});
+
+describe('pickCounsellor', () => {
+  const existing = [
+    booking('A', 'pending', 'USR-ANU', '2026-01-01T00:00:00.000Z'),
+    booking('B', 'pending', 'USR-ANU', '2026-01-02T00:00:00.000Z'),
+    booking('C', 'pending', 'USR-BALA', '2026-01-05T00:00:00.000Z'),
+    booking('D', 'pending', 'USR-CHITRA', '2026-01-04T00:00:00.000Z'),
+    booking('E', 'pending', 'USR-CHITRA', '2026-01-03T00:00:00.000Z')
+  ];
+
+  test('least-loaded picks the lowest share of capacity', () => {
+    // Anu 2/5, Bala 1/5, Chitra 2/8
+    expect(pickCounsellor([anu, bala, chitra], incoming, existing, 'least-loaded').id).toBe('USR-BALA');
+  });
+
+  test('least-loaded breaks ties by whoever waited longest since their last assignment', () => {
+    const tied = [booking('A', 'pending', 'USR-ANU', '2026-01-02T00:00:00.000Z'), booking('B', 'pending', 'USR-BALA', '2026-01-01T00:00:00.000Z')];
+    expect(pickCounsellor([anu, bala], incoming, tied, 'least-loaded').id).toBe('USR-BALA');
+  });
+
+  test('round-robin picks whoever waited longest, never-assigned counsellors first', () => {
+    expect(pickCounsellor([anu, bala, chitra], incoming, existing, 'round-robin').id).toBe('USR-ANU');
+    const dina = counsellor('USR-DINA', 'Dina');
+    expect(pickCounsellor([anu, bala, chitra, dina], incoming, existing, 'round-robin').id).toBe('USR-DINA');
+  });
+
+  test('skips counsellors who are unavailable, full or do not cover the booking', () => {
+    const candidates = [
+      { ...anu, available: false },
+      { ...bala, capacity: 1 },
+      { ...chitra, services: ['Work Visa'] }
+    ];
+    expect(pickCounsellor(candidates, incoming, existing, 'least-loaded')).toBeNull();
+    expect(pickCounsellor(candidates, incoming, existing, 'round-robin')).toBeNull();
+  });
+
+  test('the booking being reassigned does not count against its current counsellor', () => {
+    const full = [booking('NEW', 'pending', 'USR-BALA')];
+    expect(pickCounsellor([{ ...bala, capacity: 1 }], incoming, full, 'least-loaded').id).toBe('USR-BALA');
+  });
+
+  test('no strategy means no assignment', () => {
+    expect(pickCounsellor([anu], incoming, [], null)).toBeNull();
+  });
+});
+
+describe('getAssignmentStrategy', () => {
+  afterEach(() => {
+    delete process.env.COUNSELLOR_ASSIGNMENT;
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    [undefined, 'least-loaded'],
+    ['Round-Robin', 'round-robin'],
+    ['none', null]
+  ])('COUNSELLOR_ASSIGNMENT=%s -> %s', (value, expected) => {
+    if (value !== undefined) process.env.COUNSELLOR_ASSIGNMENT = value;
+    expect(getAssignmentStrategy()).toBe(expected);
+  });
+
+  test('an unknown strategy falls back to least-loaded with a warning', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.COUNSELLOR_ASSIGNMENT = 'random';
+    expect(getAssignmentStrategy()).toBe('least-loaded');
+    expect(warn).toHaveBeenCalled();
+  });
+});
+
+describe('assignCounsellor', () => {
+  test('records the owner and appends the change to the assignment history', () => {
+    const first = assignCounsellor(incoming, anu, { method: 'least-loaded' });
+    expect(first.assignedCounsellor).toMatchObject({ id: 'USR-ANU', name: 'Anu', assignedBy: null, method: 'least-loaded' });
+
+    const admin = { id: 'USR-ADMIN', username: 'admin' };
+    const moved = assignCounsellor(first, null, { actor: admin, reason: 'On leave' });
+    expect(moved.assignedCounsellor).toBeNull();
+    expect(moved.assignmentHistory).toEqual([
+      expect.objectContaining({ from: null, to: { id: 'USR-ANU', name: 'Anu' }, method: 'least-loaded', actor: null }),
+      expect.objectContaining({ from: { id: 'USR-ANU', name: 'Anu' }, to: null, method: 'manual', actor: { id: 'USR-ADMIN', name: 'admin' }, reason: 'On leave' })
+    ]);
+  });
+});
+
+describe('parseProfile', () => {
+  test('normalises languages and modes and keeps omitted fields from the existing profile', () => {
+    const existing = { services: ['Work Visa'], languages: ['ta'], modes: [], capacity: 8, accepting: false };
+    expect(parseProfile({ languages: ['EN', ' ta ', 'en'], capacity: 12 }, existing)).toEqual({
+      services: ['Work Visa'],
+      languages: ['en', 'ta'],
+      modes: [],
+      capacity: 12,
+      accepting: false
+    });
+  });
+
+  test.each([
+    [{ languages: ['fr'] }, 'Invalid languages "fr"'],
+    [{ services: 'Work Visa' }, 'services must be an array of text values'],
+    [{ capacity: 0 }, 'capacity must be a whole number from 1 to 1000'],
+    [{ capacity: '5' }, 'capacity must be a whole number from 1 to 1000'],
+    [{ accepting: 'yes' }, 'accepting must be true or false']
+  ])('rejects %p', (body, message) => {
+    expect(() => parseProfile(body)).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining(message) }));
+  });
+});
@@ -0,0 +1,176 @@
+// tests/duplicateBookings.test.js - Duplicate booking modes (off / flag / attach / reject) and candidate merges
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+const {
+  normalizeEmail,
+  normalizePhone,
+  getDuplicateConfig,
+  findDuplicateBookings,
+  attachSubmission
+} = require('../utils/candidateService');
+
+describe('matching a person', () => {
+  test.each([
+    ['Priya.R+jobs@GoogleMail.com', 'priyar@gmail.com'],
+    [' Priya.R@Example.com ', 'priya.r@example.com'],
+    ['not-an-address', null],
+    ['@example.com', null],
+    ['+tag@example.com', null]
+  ])('normalizeEmail(%p) -> %p', (value, expected) => {
+    expect(normalizeEmail(value)).toBe(expected);
+  });
+
+  test.each([
+    ['+91 98765 43210', '9876543210'],
+    ['098765-43210', '9876543210'],
+    ['12345', null]
+  ])('normalizePhone(%p) -> %p', (value, expected) => {
+    expect(normalizePhone(value)).toBe(expected);
+  });
+
+  test('findDuplicateBookings returns active bookings in the window, newest first, with what matched', () => {
+    const at = (hoursAgo) => new Date(Date.UTC(2026, 5, 10, 12) - hoursAgo * 60 * 60 * 1000).toISOString();
+    const booking = { id: 'NEW', email: 'priya.r@gmail.com', phone: '9876543210', submittedAt: at(0) };
+    const consultations = [
+      { id: 'EMAIL', status: 'pending', email: 'PriyaR@googlemail.com', phone: '9000000000', submittedAt: at(10) },
+      { id: 'PHONE', status: 'confirmed', email: 'other@example.com', phone: '+91 98765 43210', submittedAt: at(5) },
+      { id: 'OLD', status: 'pending', email: 'priyar@gmail.com', phone: null, submittedAt: at(80) },
+      { id: 'DONE', status: 'completed', email: 'priyar@gmail.com', phone: null, submittedAt: at(1) },
+      { id: 'OTHER', status: 'pending', email: 'someone@example.com', phone: '9123456780', submittedAt: at(1) }
+    ];
+
+    expect(findDuplicateBookings(consultations, booking, { windowHours: 72 }).map(match => [match.consultation.id, match.matchedOn]))
+      .toEqual([['PHONE', ['phone']], ['EMAIL', ['email']]]);
+  });
+
+  test('attachSubmission records only the changed fields and keeps the first resume', () => {
+    const existing = { id: 'A', fullName: 'Priya', phone: '9876543210', resume: null };
+    const resume = { key: 'resumes/new.pdf' };
+    const attached = attachSubmission(existing, { fullName: 'Priya', phone: '9876500000', resume, submittedAt: 'now' });
+
+    expect(attached.resume).toBe(resume);
+    expect(attached.repeatSubmissions).toEqual([expect.objectContaining({ changes: { phone: '9876500000' }, resume })]);
+    expect(attachSubmission(attached, { submittedAt: 'later', resume: { key: 'resumes/other.pdf' } }).resume).toBe(resume);
+  });
+
+  test('an unknown mode falls back to flag', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.DUPLICATE_BOOKING_MODE = 'ignore';
+    expect(getDuplicateConfig().mode).toBe('flag');
+    expect(warn).toHaveBeenCalled();
+    delete process.env.DUPLICATE_BOOKING_MODE;
+    warn.mockRestore();
+  });
+});
+
+describe('duplicate bookings over HTTP', () => {
+  let api;
+  let token;
+
+  const book = (fields) => api.request('POST', '/api/consultation/book', {
+    form: {
+      fullName: 'Priya Raman',
+      email: 'priya.raman@example.com',
+      phone: '9876543210',
+      age: '26',
+      education: 'BSc Nursing, Madras University',
+      interestedService: 'Nursing Abroad',
+      ...fields
+    }
+  });
+
+  const bookings = async () => (await api.request('GET', '/api/consultation/bookings?sort=submittedAt', { token })).body.data.consultations;
+
+  beforeAll(async () => {
+    quietConsole();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    api = await startServer();
+    token = await api.login();
+  });
+
+  afterEach(() => {
+    delete process.env.DUPLICATE_BOOKING_MODE;
+  });
+
+  afterAll(() => api.close());
+
+  test('flag (the default) saves the repeat marked as a possible duplicate', async () => {
+    const first = await book({});
+    const repeat = await book({ email: 'PRIYA.RAMAN@example.com', phone: '99999 99999' });
+    expect(repeat.status).toBe(200);
+
+    const [, flagged] = await bookings();
+    expect(flagged.id).toBe(repeat.body.data.consultationId);
+    expect(flagged.duplicate).toMatchObject({
+      of: [{ id: first.body.data.consultationId, status: 'pending', matchedOn: ['email'] }],
+      windowHours: 72
+    });
+  });
+
+  test('attach adds the repeat to the latest booking instead of saving a new one', async () => {
+    process.env.DUPLICATE_BOOKING_MODE = 'attach';
+    const before = await bookings();
+    const response = await book({ careerGoals: 'Work as a nurse in Germany' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ consultationId: before[1].id, attachedToExisting: true });
+
+    const after = await bookings();
+    expect(after).toHaveLength(before.length);
+    expect(after[1].repeatSubmissions).toEqual([
+      expect.objectContaining({ changes: expect.objectContaining({ careerGoals: 'Work as a nurse in Germany' }) })
+    ]);
+  });
+
+  test('reject refuses the repeat with a 409 naming the existing booking', async () => {
+    process.env.DUPLICATE_BOOKING_MODE = 'reject';
+    const before = await bookings();
+    const response = await book({});
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({ code: 'DUPLICATE_BOOKING', consultationId: before[1].id });
+    expect(await bookings()).toHaveLength(before.length);
+  });
+
+  test('off saves the repeat without a duplicate marker', async () => {
+    process.env.DUPLICATE_BOOKING_MODE = 'off';
+    const response = await book({});
+    expect(response.status).toBe(200);
+
+    const saved = (await bookings()).find(c => c.id === response.body.data.consultationId);
+    expect(saved.duplicate).toBeUndefined();
+  });
+
+  test('merging candidates moves their records to the target and leaves a pointer behind', async () => {
+    const other = await book({ fullName: 'Priya R', email: 'priya.work@example.com', phone: '9123456780' });
+    expect(other.status).toBe(200);
+
+    const listed = (await api.request('GET', '/api/candidates', { token })).body.data.candidates;
+    expect(listed).toHaveLength(2);
+    const target = listed.find(candidate => candidate.emails.includes('priya.raman@example.com'));
+    const source = listed.find(candidate => candidate.emails.includes('priya.work@example.com'));
+
+    const merged = await api.request('POST', `/api/candidates/${target.id}/merge`, { body: { candidateIds: [source.id] }, token });
+    expect(merged.status).toBe(200);
+    expect(merged.body.data.emails).toEqual(expect.arrayContaining(['priya.raman@example.com', 'priya.work@example.com']));
+    expect(merged.body.data.consultations).toContain(other.body.data.consultationId);
+    expect(merged.body.data.merges).toEqual([expect.objectContaining({ from: source.id, by: expect.objectContaining({ name: 'admin' }) })]);
+
+    const stub = await api.request('GET', `/api/candidates/${source.id}`, { token });
+    expect(stub.body).toMatchObject({ message: `Candidate was merged into ${target.id}`, data: { mergedInto: target.id } });
+    expect((await api.request('GET', '/api/candidates', { token })).body.data.candidates.map(c => c.id)).toEqual([target.id]);
+
+    const again = await api.request('POST', `/api/candidates/${target.id}/merge`, { body: { candidateIds: [source.id] }, token });
+    expect(again.status).toBe(409);
+
+    const self = await api.request('POST', `/api/candidates/${target.id}/merge`, { body: { candidateIds: [target.id] }, token });
+    expect(self.status).toBe(400);
+    expect(self.body.message).toBe('A candidate cannot be merged into itself');
+
+    const unknown = await api.request('POST', `/api/candidates/${target.id}/merge`, { body: { candidateIds: ['CAND-UNKNOWN'] }, token });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.missing).toEqual(['CAND-UNKNOWN']);
+  });
+});
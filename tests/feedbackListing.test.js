@@ -0,0 +1,65 @@
+// tests/feedbackListing.test.js - Paging of the admin feedback listing
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+const feedbackRepository = require('../repositories/feedbackRepository');
+
+const ENTRY_COUNT = 25;
+
+let api;
+let token;
+
+const listFeedback = (query) => api.request('GET', `/api/chatbot/feedback${query}`, { token });
+
+beforeAll(async () => {
+  quietConsole();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  for (let index = 0; index < ENTRY_COUNT; index++) {
+    await feedbackRepository.createForConversation({
+      id: `FB-TEST-${index}`,
+      conversationId: `CONV-TEST-${index}`,
+      flowId: 'general',
+      rating: (index % 5) + 1,
+      feedback: '',
+      createdAt: new Date(Date.UTC(2026, 9, 1, 0, index)).toISOString()
+    });
+  }
+  api = await startServer();
+  token = await api.login();
+});
+
+afterAll(() => api.close());
+
+test('returns the first page with the default limit', async () => {
+  const response = await listFeedback('');
+  expect(response.status).toBe(200);
+  expect(response.body.data.feedback).toHaveLength(20);
+  expect(response.body.data.feedback[0].id).toBe('FB-TEST-24');
+  expect(response.body.data.pagination).toEqual({ page: 1, limit: 20, total: ENTRY_COUNT, pages: 2 });
+});
+
+test('returns a later page', async () => {
+  const response = await listFeedback('?page=3&limit=10');
+  expect(response.status).toBe(200);
+  expect(response.body.data.feedback.map(entry => entry.id)).toEqual(['FB-TEST-4', 'FB-TEST-3', 'FB-TEST-2', 'FB-TEST-1', 'FB-TEST-0']);
+  expect(response.body.data.pagination).toEqual({ page: 3, limit: 10, total: ENTRY_COUNT, pages: 3 });
+});
+
+test('caps the limit', async () => {
+  const response = await listFeedback('?limit=100000');
+  expect(response.status).toBe(200);
+  expect(response.body.data.pagination.limit).toBe(100);
+});
+
+test.each([
+  ['?page=0', 'page must be a positive integer'],
+  ['?page=abc', 'page must be a positive integer'],
+  ['?page=1.5', 'page must be a positive integer'],
+  ['?limit=-5', 'limit must be a positive integer'],
+  ['?limit=ten', 'limit must be a positive integer']
+])('rejects %s with a 400', async (query, message) => {
+  const response = await listFeedback(query);
+  expect(response.status).toBe(400);
+  expect(response.body).toMatchObject({ success: false, message });
+});
@@ -0,0 +1,126 @@
+// tests/flowExpressions.test.js - Guard expression precedence, malformed input and unknown identifiers
+const {
+  FlowExpressionError,
+  parseExpression,
+  evaluateExpression,
+  collectIdentifiers
+} = require('../utils/flowExpressions');
+const { validateFlow } = require('../utils/flowValidator');
+
+describe('precedence', () => {
+  test.each([
+    // and binds tighter than or
+    ['true or false and false', true],
+    ['(true or false) and false', false],
+    // not binds tighter than and / or, but looser than a comparison
+    ['not false and false', false],
+    ['not (false and false)', true],
+    ['not age == 17', false],
+    ['not age == 18', true],
+    ['not not true', true],
+    // or / and chain left to right
+    ['false or false or true', true],
+    ['true and true and false', false]
+  ])('%s -> %s', (source, expected) => {
+    expect(evaluateExpression(source, { age: '17' })).toBe(expected);
+  });
+
+  test('a comparison is grouped before and / or', () => {
+    expect(parseExpression('a == 1 or b in [2, 3] and not c')).toEqual({
+      type: 'or',
+      left: { type: 'compare', operator: '==', left: { type: 'identifier', name: 'a' }, right: { type: 'literal', value: 1 } },
+      right: {
+        type: 'and',
+        left: {
+          type: 'compare',
+          operator: 'in',
+          left: { type: 'identifier', name: 'b' },
+          right: { type: 'list', items: [{ type: 'literal', value: 2 }, { type: 'literal', value: 3 }] }
+        },
+        right: { type: 'not', operand: { type: 'identifier', name: 'c' } }
+      }
+    });
+  });
+});
+
+describe('comparisons', () => {
+  const context = { age: '17', purpose: 'Work', country: 'Germany', score: 7.5 };
+
+  test.each([
+    ['age == 17', true],
+    ['age >= 18', false],
+    ['age < 9', false],
+    ['score > 7', true],
+    ['purpose != "Study"', true],
+    ["purpose in ['Work', 'Study']", true],
+    ["purpose not in ['Work', 'Study']", false],
+    ["'erm' in country", true],
+    ['age in [17, 18]', true],
+    ['value == -1', true]
+  ])('%s -> %s', (source, expected) => {
+    expect(evaluateExpression(source, { ...context, value: '-1' })).toBe(expected);
+  });
+
+  test('text that is not a number compares as text', () => {
+    expect(evaluateExpression('purpose < "Zoo"', context)).toBe(true);
+    expect(evaluateExpression('purpose == 0', context)).toBe(false);
+  });
+});
+
+describe('malformed input', () => {
+  test.each([
+    ['purpose == "Work', 'Unterminated string at position 11 in "purpose == "Work"'],
+    ['age = 18', 'Unexpected character "=" at position 4 in "age = 18"'],
+    ['(age > 18', 'Expected ) but reached the end at position 9 in "(age > 18"'],
+    ['[1, 2', 'Expected ] but reached the end at position 5 in "[1, 2"'],
+    ['age >', 'Unexpected end of expression at position 5 in "age >"'],
+    ['age > 18 age', 'Unexpected "age" at position 9 in "age > 18 age"'],
+    ['and true', 'Unexpected "and" at position 0 in "and true"'],
+    ['age in', 'Unexpected end of expression at position 6 in "age in"']
+  ])('%p is refused', (source, message) => {
+    expect(() => parseExpression(source)).toThrow(FlowExpressionError);
+    expect(() => parseExpression(source)).toThrow(message);
+  });
+
+  test.each([[''], ['   '], [null], [42]])('%p is not an expression', (source) => {
+    expect(() => parseExpression(source)).toThrow('Expression must be a non-empty string');
+  });
+
+  test('the error keeps the source and position for reporting', () => {
+    try {
+      parseExpression('purpose ~ "Work"');
+      throw new Error('expected a FlowExpressionError');
+    } catch (error) {
+      expect(error).toMatchObject({ name: 'FlowExpressionError', source: 'purpose ~ "Work"', position: 8 });
+    }
+  });
+});
+
+describe('unknown identifiers', () => {
+  test('read as null, so they are never equal to a value and never inside a list', () => {
+    expect(evaluateExpression('missing == null', {})).toBe(true);
+    expect(evaluateExpression('missing == "Work"', {})).toBe(false);
+    expect(evaluateExpression('missing in ["Work"]', {})).toBe(false);
+    expect(evaluateExpression('not missing', {})).toBe(true);
+  });
+
+  test('inherited object properties are not identifiers', () => {
+    expect(evaluateExpression('constructor == null', {})).toBe(true);
+    expect(evaluateExpression('toString == null', { name: 'Ravi' })).toBe(true);
+  });
+
+  test('collectIdentifiers lists each name read once, keywords excluded', () => {
+    expect(collectIdentifiers('not (age >= 18 and purpose in [purpose, "Study"]) or value == true')).toEqual(['age', 'purpose', 'value']);
+  });
+
+  test('the validator reports fields an expression reads but no earlier step collects', () => {
+    const report = validateFlow({
+      metadata: { id: 'test', version: '2.0.0', status: 'draft' },
+      flow: [
+        { id: 0, type: 'text_input', question: 'Your name?', field: 'name', next: [{ when: 'nmae == "x"', goto: 'summary' }, { goto: 'summary' }] }
+      ],
+      summary_template: { title: 'Summary', fields: [{ key: 'name', label: 'Name' }] }
+    });
+    expect(report.errors).toEqual([expect.objectContaining({ code: 'UNCOLLECTED_EXPRESSION_FIELD', stepId: 0 })]);
+  });
+});
@@ -0,0 +1,65 @@
+// tests/flowValidator.test.js - Self-loops and unused answers block a flow, superseded versions stay frozen, and the shipped flows pass
+const path = require('path');
+const { validateFlow, checkFlowFile, checkAllFlows } = require('../utils/flowValidator');
+const { FLOWS_DIR } = require('../utils/flowRegistry');
+
+const choiceFlow = ({ options, next, summaryFields = ['name', 'purpose'] }) => ({
+  metadata: { id: 'test', version: '2.0.0', status: 'draft' },
+  flow: [
+    { id: 0, type: 'text_input', question: 'Your name?', field: 'name', next: 1 },
+    { id: 1, type: 'single_choice', question: 'Work or study?', field: 'purpose', options, next }
+  ],
+  summary_template: { title: 'Summary', fields: summaryFields.map(key => ({ key, label: key })) }
+});
+
+const codesOf = (issues) => issues.map(issue => issue.code);
+
+const WORK = { text: 'Work', value: 'Work' };
+const STUDY_DISABLED = { text: 'Study (Coming Soon)', value: 'Study', enabled: false };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+test('a branch back to the same step is an error, even for a disabled option', () => {
+  const report = validateFlow(choiceFlow({ options: [WORK, STUDY_DISABLED], next: { Work: 'summary', Study: 1 } }));
+  expect(report.valid).toBe(false);
+  expect(report.errors).toEqual([expect.objectContaining({ code: 'SELF_LOOP', stepId: 1 })]);
+});
+
+test('a permanently disabled option needs no branch', () => {
+  const report = validateFlow(choiceFlow({ options: [WORK, STUDY_DISABLED], next: { Work: 'summary' } }));
+  expect(report).toEqual({ valid: true, errors: [], warnings: [] });
+});
+
+test('an option with a conditional enabled expression still needs a branch', () => {
+  const study = { ...STUDY_DISABLED, enabled: 'name == "Priya"' };
+  const report = validateFlow(choiceFlow({ options: [WORK, study], next: { Work: 'summary' } }));
+  expect(codesOf(report.errors)).toEqual(['UNROUTED_OPTION']);
+});
+
+test('a choice that affects nothing is an error', () => {
+  const report = validateFlow(choiceFlow({ options: [WORK, { text: 'Study', value: 'Study' }], next: 'summary', summaryFields: ['name'] }));
+  expect(report.valid).toBe(false);
+  expect(report.errors).toEqual([expect.objectContaining({ code: 'UNUSED_ANSWER', stepId: 1 })]);
+});
+
+test('every shipped flow passes validation', async () => {
+  const { valid, reports } = await checkAllFlows();
+  expect(reports.filter(report => !report.valid).map(({ id, version, errors }) => ({ id, version, errors }))).toEqual([]);
+  expect(valid).toBe(true);
+});
+
+test('a superseded published version keeps its problems as warnings', async () => {
+  const flowPath = path.join(FLOWS_DIR, 'german-work', '1.1.0.json');
+
+  expect(codesOf((await checkFlowFile(flowPath)).errors)).toEqual(['SELF_LOOP', 'UNUSED_ANSWER']);
+
+  const frozen = await checkFlowFile(flowPath, { supersededBy: '1.1.1' });
+  expect(frozen.valid).toBe(true);
+  expect(frozen.errors).toEqual([]);
+  expect(codesOf(frozen.warnings)).toEqual(['SELF_LOOP', 'UNUSED_ANSWER']);
+  expect(frozen.warnings[0].message).toMatch(/\(superseded by 1\.1\.1\)$/);
+});
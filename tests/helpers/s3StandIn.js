@@ -0,0 +1,96 @@
+// tests/helpers/s3StandIn.js - A MinIO-style S3 stand-in: path-style PUT/GET/DELETE with Signature V4 checks
+const crypto = require('crypto');
+const http = require('http');
+
+const CREDENTIALS = { accessKeyId: 'test-access-key', secretAccessKey: 'test-secret-key' };
+const REGION = 'us-east-1';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const errorXml = (code) => `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`;
+
+// Recompute the signature from what arrived on the wire, independently of the adapter's signRequest
+const checkSignature = (req, body) => {
+  const match = String(req.headers.authorization || '')
+    .match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/);
+  if (!match) return 'AccessDenied';
+
+  const [, accessKeyId, dateStamp, region, signedHeaders, signature] = match;
+  if (accessKeyId !== CREDENTIALS.accessKeyId) return 'InvalidAccessKeyId';
+  if (req.headers['x-amz-content-sha256'] !== sha256(body)) return 'XAmzContentSHA256Mismatch';
+
+  const [pathname, query = ''] = req.url.split('?');
+  const canonicalRequest = [
+    req.method,
+    pathname,
+    query,
+    signedHeaders.split(';').map(name => `${name}:${String(req.headers[name]).trim()}\n`).join(''),
+    signedHeaders,
+    req.headers['x-amz-content-sha256']
+  ].join('\n');
+  const amzDate = req.headers['x-amz-date'];
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${CREDENTIALS.secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const expected = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return expected === signature ? null : 'SignatureDoesNotMatch';
+};
+
+/**
+ * Start the stand-in on a free port. Objects live in `objects`, keyed by the raw request path
+ * ("/<bucket>/<key>"); every request is recorded in `requests`.
+ */
+const startS3StandIn = async () => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, path: req.url, headers: req.headers });
+
+      const reply = (status, content = '', contentType = 'application/xml') => {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(content);
+      };
+
+      const failure = checkSignature(req, body);
+      if (failure) return reply(403, errorXml(failure));
+
+      switch (req.method) {
+        case 'PUT':
+          objects.set(req.url, { content: body, contentType: req.headers['content-type'] });
+          return reply(200);
+        case 'GET': {
+          const object = objects.get(req.url);
+          return object ? reply(200, object.content, object.contentType) : reply(404, errorXml('NoSuchKey'));
+        }
+        case 'DELETE':
+          // Like S3 and MinIO, deleting a missing key still succeeds
+          objects.delete(req.url);
+          return reply(204);
+        default:
+          return reply(405, errorXml('MethodNotAllowed'));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  CREDENTIALS,
+  REGION,
+  startS3StandIn
+};
@@ -0,0 +1,102 @@
+// tests/helpers/testServer.js - The API on an ephemeral port, with data, files and mail kept in a throwaway directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { username: 'admin', password: 'test-password-1' };
+
+// ✅ Point storage, file storage and mail at a fresh temp directory; call before requiring any app module
+const useTempEnvironment = (overrides = {}) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'payana-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: directory,
+    SEED_DATA: 'false',
+    MAIL_TRANSPORT: 'memory',
+    ADMIN_EMAIL: 'team@payana.test',
+    ADMIN_USERNAME: ADMIN.username,
+    ADMIN_PASSWORD: ADMIN.password,
+    ...overrides
+  });
+  return directory;
+};
+
+// The request log and delivery messages drown the test output; errors still print
+const quietConsole = () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+};
+
+// ✅ Deliver everything queued so far, including runs the API started in the background
+const drainOutbox = async () => {
+  const { processOutbox } = require('../../utils/mail/outbox');
+  let summary;
+  do {
+    summary = await processOutbox();
+  } while (summary.sent + summary.failed + summary.dead > 0);
+};
+
+/**
+ * Mount the API routers as server.js does (without its listen and startup checks) and listen on a free port.
+ * Resolves to { request(method, url, { body, form, token }), login(username, password), close() };
+ * request resolves to { status, body } with JSON bodies parsed.
+ */
+const startServer = async () => {
+  const express = require('express');
+  const bodyParser = require('body-parser');
+
+  const app = express();
+  app.use(bodyParser.json({ limit: '10mb' }));
+  app.use('/api/auth', require('../../routes/authRoutes'));
+  app.use('/api', require('../../routes/chatbotRoutes'));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { body, form, token } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let payload;
+    if (form) {
+      payload = new FormData();
+      Object.entries(form).forEach(([field, value]) => payload.append(field, value));
+    } else if (body !== undefined) {
+      payload = JSON.stringify(body);
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(baseUrl + url, { method, headers, body: payload, redirect: 'manual' });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes('application/json') ? await response.json() : await response.text()
+    };
+  };
+
+  const login = async (username = ADMIN.username, password = ADMIN.password) => {
+    const response = await request('POST', '/api/auth/login', { body: { username, password } });
+    if (response.status !== 200) throw new Error(`Login as ${username} failed: ${response.status}`);
+    return response.body.data.token;
+  };
+
+  return {
+    baseUrl,
+    request,
+    login,
+    close: async () => {
+      await drainOutbox();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+module.exports = {
+  ADMIN,
+  useTempEnvironment,
+  quietConsole,
+  drainOutbox,
+  startServer
+};
@@ -0,0 +1,50 @@
+// tests/icsGenerator.test.js - Invite values cannot break out of their iCalendar lines
+const { generateIcs } = require('../utils/icsGenerator');
+
+const INVITE = {
+  uid: 'CONS-1@payanaoverseas.com',
+  start: '2030-01-07T04:30:00.000Z',
+  end: '2030-01-07T05:30:00.000Z',
+  summary: 'Consultation',
+  organizer: { name: 'Payana Overseas', email: 'team@payana.test' }
+};
+
+const linesOf = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('writes the attendee with a CN and mailto address', () => {
+  const lines = linesOf(generateIcs({ ...INVITE, attendees: [{ name: 'Priya Raman', email: ' priya@example.com ' }] }));
+  expect(lines).toContain('ATTENDEE;CN=Priya Raman;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:priya@example.com');
+});
+
+test.each([
+  ['CRLF', 'a@b.com\r\nX-INJ:1'],
+  ['a bare LF', 'a@b.com\nX-INJ:1'],
+  ['a bare CR', 'a@b.com\rX-INJ:1'],
+  ['a parameter separator', 'a@b.com;X-INJ=1'],
+  ['no domain', 'priya'],
+  ['a non-string', { toString: () => 'a@b.com' }]
+])('refuses an attendee address with %s', (description, email) => {
+  expect(() => generateIcs({ ...INVITE, attendees: [{ name: 'Priya', email }] }))
+    .toThrow('Invalid calendar address');
+});
+
+test('refuses an invalid organizer address', () => {
+  expect(() => generateIcs({ ...INVITE, organizer: { name: 'Team', email: 'team@payana.test\r\nX-INJ:1' } }))
+    .toThrow('Invalid calendar address');
+});
+
+test('strips line breaks and control characters from the CN parameter', () => {
+  const ics = generateIcs({ ...INVITE, attendees: [{ name: 'Priya\r\nX-INJ:1\u0000;"Raman",', email: 'priya@example.com' }] });
+  const lines = linesOf(ics);
+
+  expect(lines.filter(line => line.startsWith('X-INJ'))).toEqual([]);
+  expect(lines).toContain('ATTENDEE;CN=PriyaX-INJ1Raman;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:priya@example.com');
+});
+
+test('escapes every kind of line break in TEXT values and drops other control characters', () => {
+  const lines = linesOf(generateIcs({ ...INVITE, summary: 'One\rX-A:1\nX-B:2\r\nX-C:3\u0007', description: 'a;b,c\\d' }));
+
+  expect(lines.filter(line => /^X-/.test(line))).toEqual([]);
+  expect(lines).toContain('SUMMARY:One\\nX-A:1\\nX-B:2\\nX-C:3');
+  expect(lines).toContain('DESCRIPTION:a\\;b\\,c\\\\d');
+});
@@ -0,0 +1,37 @@
+// tests/listQueries.test.js - Repeated query parameters on the admin listings are refused with a 400
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+let api;
+let token;
+
+beforeAll(async () => {
+  quietConsole();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  api = await startServer();
+  token = await api.login();
+});
+
+afterAll(() => api.close());
+
+test.each([
+  ['/api/consultation/bookings?sort=fullName&sort=-age', 'sort must be a single text value'],
+  ['/api/consultation/bookings?order=asc&order=desc', 'order must be a single text value'],
+  ['/api/consultation/bookings?search=a&search=b', 'search must be a single text value'],
+  ['/api/chatbot/conversations?search=a&search=b', 'search must be a single text value'],
+  ['/api/chatbot/conversations?email=a@example.com&email=b@example.com', 'email must be a single text value'],
+  ['/api/chatbot/conversations/export?format=csv&email[x]=a', 'email must be a single text value']
+])('GET %s is a 400', async (url, message) => {
+  const response = await api.request('GET', url, { token });
+  expect(response.status).toBe(400);
+  expect(response.body.message).toBe(message);
+});
+
+test('single values still filter and sort', async () => {
+  const bookings = await api.request('GET', '/api/consultation/bookings?sort=fullName&order=desc&search=ravi', { token });
+  expect(bookings.status).toBe(200);
+
+  const conversations = await api.request('GET', '/api/chatbot/conversations?search=ravi&email=ravi@example.com', { token });
+  expect(conversations.status).toBe(200);
+});
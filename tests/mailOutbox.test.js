@@ -0,0 +1,137 @@
+// tests/mailOutbox.test.js - The exact emails queued by booking, the German Program endpoint and status changes
+const { useTempEnvironment, quietConsole, drainOutbox, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+const MemoryTransport = require('../utils/mail/transports/memoryTransport');
+const { setTransport } = require('../utils/mail/transport');
+
+const BOOKING = {
+  fullName: 'Priya Raman',
+  email: 'priya@example.com',
+  phone: '9876543210',
+  age: '25',
+  education: 'BSc Nursing, Madras University',
+  interestedService: 'Nursing Abroad',
+  preferredMode: 'online'
+};
+
+let api;
+let token;
+let mailbox;
+
+// Messages captured since the last call, oldest first
+const takeMessages = async () => {
+  await drainOutbox();
+  const messages = [...mailbox.messages];
+  mailbox.clear();
+  return messages;
+};
+
+const bookConsultation = async (fields = {}) => {
+  const response = await api.request('POST', '/api/consultation/book', { form: { ...BOOKING, ...fields } });
+  expect(response.status).toBe(200);
+  return response.body.data.consultationId;
+};
+
+const changeStatus = async (id, body) => {
+  const response = await api.request('PUT', `/api/consultation/${id}/status`, { body, token });
+  expect(response.status).toBe(200);
+  return response.body.data;
+};
+
+beforeAll(async () => {
+  quietConsole();
+  mailbox = new MemoryTransport();
+  setTransport(mailbox);
+  api = await startServer();
+  token = await api.login();
+});
+
+afterAll(() => api.close());
+
+beforeEach(async () => {
+  await takeMessages();
+});
+
+describe('booking a consultation', () => {
+  test('emails the admin team with the resume attached and confirms to the candidate', async () => {
+    const resume = new File(['Priya Raman\nB.Sc Nursing, 2018\npriya@example.com'], 'priya-resume.txt', { type: 'text/plain' });
+    const id = await bookConsultation({ resume });
+
+    const messages = await takeMessages();
+    expect(messages).toHaveLength(2);
+
+    const admin = messages.find(message => message.to.includes('team@payana.test'));
+    expect(admin.subject).toBe('🚨 New Consultation Booking - Priya Raman (Nursing Abroad)');
+    expect(admin.replyTo).toBe('priya@example.com');
+    expect(admin.attachments).toEqual([expect.objectContaining({ filename: 'priya-resume.txt' })]);
+    expect(admin.invite).toBeNull();
+
+    const candidate = messages.find(message => message.to.includes('priya@example.com'));
+    expect(candidate.to).toEqual(['priya@example.com']);
+    expect(candidate.subject).toBe(`✅ Consultation Booking Confirmed - ${id}`);
+    expect(candidate.attachments).toEqual([]);
+    expect(candidate.invite).toBeNull();
+  });
+});
+
+describe('German Program application', () => {
+  test('goes to the admin team with the candidate copied', async () => {
+    const response = await api.request('POST', '/api/send-german-program-email', {
+      body: { name: 'Karthik', age: '24', email: 'karthik@example.com', purpose: 'Work' }
+    });
+    expect(response.status).toBe(200);
+
+    const messages = await takeMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      to: ['team@payana.test'],
+      cc: ['karthik@example.com'],
+      replyTo: 'karthik@example.com',
+      subject: '🇩🇪 New German Program Application - Karthik',
+      attachments: [],
+      invite: null
+    });
+  });
+});
+
+describe('status changes', () => {
+  test('confirming with an appointment sends a REQUEST invite and cancelling retracts it', async () => {
+    const id = await bookConsultation({ email: 'meena@example.com', phone: '9123456780', fullName: 'Meena Kumar' });
+    await takeMessages();
+
+    await changeStatus(id, { status: 'confirmed', appointment: { date: '2026-11-05', time: '11:00' } });
+    const [confirmed, ...extraConfirmed] = await takeMessages();
+    expect(extraConfirmed).toHaveLength(0);
+    expect(confirmed.to).toEqual(['meena@example.com']);
+    expect(confirmed.subject).toBe(`✅ Your consultation is confirmed - ${id}`);
+    expect(confirmed.invite.method).toBe('REQUEST');
+    expect(confirmed.invite.content).toContain('METHOD:REQUEST');
+    expect(confirmed.invite.content).toContain(`UID:${id}@`);
+    expect(confirmed.invite.content).toContain('SEQUENCE:0');
+    expect(confirmed.raw).toContain('text/calendar');
+
+    await changeStatus(id, { status: 'cancelled', reason: 'Candidate asked to cancel' });
+    const [cancelled, ...extraCancelled] = await takeMessages();
+    expect(extraCancelled).toHaveLength(0);
+    expect(cancelled.to).toEqual(['meena@example.com']);
+    expect(cancelled.subject).toBe(`❌ Your consultation has been cancelled - ${id}`);
+    expect(cancelled.html).toContain('Candidate asked to cancel');
+    expect(cancelled.invite.method).toBe('CANCEL');
+    expect(cancelled.invite.content).toContain('STATUS:CANCELLED');
+    expect(cancelled.invite.content).toContain(`UID:${id}@`);
+    expect(cancelled.invite.content).toMatch(/SEQUENCE:[1-9]/);
+  });
+
+  test('a status change without an appointment sends no invite', async () => {
+    const id = await bookConsultation({ email: 'arun@example.com', phone: '9000011111', fullName: 'Arun Prakash' });
+    await takeMessages();
+
+    await changeStatus(id, { status: 'confirmed' });
+    const messages = await takeMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].subject).toBe(`✅ Your consultation is confirmed - ${id}`);
+    expect(messages[0].invite).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+// tests/meetingAvailability.test.js - Slot generation, holidays and concurrent reservations with the local calendar provider
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment({
+  COUNSELLOR_WORKING_HOURS: 'mon-fri 10:00-12:00',
+  COUNSELLOR_HOLIDAYS: '2030-01-08',
+  MEETING_SLOT_MINUTES: '30',
+  MEETING_SLOT_CAPACITY: '1'
+});
+
+const { getSlotsForDate, getAvailabilityConfig, parseWorkingHours } = require('../utils/availability');
+const LocalCalendarProvider = require('../utils/calendar/localProvider');
+const { setCalendarProvider } = require('../utils/calendar');
+
+// 2030-01-07 is a Monday, 2030-01-08 (a Tuesday) is a configured holiday and 2030-01-05 is a Saturday
+const MONDAY = '2030-01-07';
+const HOLIDAY = '2030-01-08';
+const SATURDAY = '2030-01-05';
+
+const slotTimes = (slots) => slots.map(slot => slot.time);
+
+describe('getSlotsForDate', () => {
+  test('splits the working hours into slots at Kolkata wall-clock times', () => {
+    const { holiday, slots } = getSlotsForDate(MONDAY);
+
+    expect(holiday).toBe(false);
+    expect(slotTimes(slots)).toEqual(['10:00', '10:30', '11:00', '11:30']);
+    expect(slots[0]).toEqual({ time: '10:00', start: '2030-01-07T04:30:00.000Z', end: '2030-01-07T05:00:00.000Z' });
+  });
+
+  test('has no slots on a day without working hours', () => {
+    expect(getSlotsForDate(SATURDAY)).toEqual({ holiday: false, slots: [] });
+  });
+
+  test('has no slots on a holiday', () => {
+    expect(getSlotsForDate(HOLIDAY)).toEqual({ holiday: true, slots: [] });
+  });
+
+  test('rejects an invalid date with a 400', () => {
+    expect(() => getSlotsForDate('2030-02-30')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('uses the slot length from the configuration', () => {
+    const config = { ...getAvailabilityConfig(), slotMinutes: 45 };
+    expect(slotTimes(getSlotsForDate(MONDAY, config).slots)).toEqual(['10:00', '10:45']);
+  });
+});
+
+describe('parseWorkingHours', () => {
+  test('expands day ranges, including ones that wrap past Sunday', () => {
+    const hours = parseWorkingHours('fri-mon 09:00-13:00; wed 14:00-16:00');
+    expect(Object.entries(hours).filter(([, ranges]) => ranges.length).map(([day]) => day))
+      .toEqual(['sun', 'mon', 'wed', 'fri', 'sat']);
+    expect(hours.wed).toEqual([{ start: 14 * 60, end: 16 * 60 }]);
+  });
+
+  test.each(['mon-fri', 'xyz 10:00-12:00', 'mon 12:00-10:00', 'mon 10:00-25:00'])('rejects "%s"', (spec) => {
+    expect(() => parseWorkingHours(spec)).toThrow('Invalid working hours');
+  });
+});
+
+describe('meeting slots over HTTP', () => {
+  let api;
+  let calendar;
+
+  const schedule = (time, name) => api.request('POST', '/api/schedule-meeting', {
+    body: { name, email: `${name.toLowerCase()}@example.com`, date: MONDAY, time }
+  });
+
+  const freeSlots = async (date) => {
+    const response = await api.request('GET', `/api/meetings/slots?date=${date}`);
+    expect(response.status).toBe(200);
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    quietConsole();
+    calendar = new LocalCalendarProvider();
+    setCalendarProvider(calendar);
+    api = await startServer();
+  });
+
+  afterAll(() => api.close());
+
+  test('free slots leave out times blocked on the calendar and booked meetings', async () => {
+    expect(slotTimes((await freeSlots(MONDAY)).slots)).toEqual(['10:00', '10:30', '11:00', '11:30']);
+
+    calendar.addBusyTime('2030-01-07T05:00:00.000Z', '2030-01-07T05:30:00.000Z');
+    const booked = await schedule('11:30', 'Lakshmi');
+    expect(booked.status).toBe(200);
+    expect(calendar.events.size).toBe(1);
+
+    expect(slotTimes((await freeSlots(MONDAY)).slots)).toEqual(['10:00', '11:00']);
+  });
+
+  test('a holiday has no free slots and cannot be booked', async () => {
+    expect(await freeSlots(HOLIDAY)).toMatchObject({ holiday: true, slots: [] });
+
+    const response = await api.request('POST', '/api/schedule-meeting', {
+      body: { name: 'Ravi', email: 'ravi@example.com', date: HOLIDAY, time: '10:00' }
+    });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('No meetings are held on this date');
+  });
+
+  test('a slot blocked on the calendar cannot be booked', async () => {
+    const response = await schedule('10:30', 'Sanjay');
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Requested slot is no longer available');
+  });
+
+  test('two concurrent reservations of one slot: the first wins, the second gets a 409', async () => {
+    const eventsBefore = calendar.events.size;
+    const responses = await Promise.all([schedule('10:00', 'Anand'), schedule('10:00', 'Bala')]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    expect(responses.find(response => response.status === 409).body.message).toBe('Requested slot is already booked');
+    expect(calendar.events.size).toBe(eventsBefore + 1);
+    expect(slotTimes((await freeSlots(MONDAY)).slots)).toEqual(['11:00']);
+  });
+
+  test('name and email follow the booking form rules and nothing else from the body is echoed', async () => {
+    const eventsBefore = calendar.events.size;
+    const invalid = await Promise.all([
+      { name: 'Ravi\r\nBCC: x@example.com', email: 'ravi@example.com', date: MONDAY, time: '11:00' },
+      { name: 'Ravi', email: 'ravi@example.com\r\nX: y', date: MONDAY, time: '11:00' },
+      { name: ['Ravi'], email: 'ravi@example.com', date: MONDAY, time: '11:00' },
+      { name: 'Ravi', email: 'ravi@example.com', date: [MONDAY], time: '11:00' }
+    ].map(body => api.request('POST', '/api/schedule-meeting', { body })));
+
+    expect(invalid.map(response => response.status)).toEqual([400, 400, 400, 400]);
+    expect(invalid[0].body.errors).toEqual(['name: Name can only contain letters and spaces']);
+    expect(invalid[3].body.errors).toEqual(['date must be text']);
+    expect(calendar.events.size).toBe(eventsBefore);
+
+    const response = await api.request('POST', '/api/schedule-meeting', {
+      body: { name: ' Ravi ', email: 'ravi@example.com', date: MONDAY, time: '11:00', status: 'cancelled', isAdmin: true }
+    });
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ name: 'Ravi', email: 'ravi@example.com', date: MONDAY, time: '11:00' });
+    expect(response.body.data).not.toHaveProperty('status');
+    expect(response.body.data).not.toHaveProperty('isAdmin');
+  });
+});
@@ -0,0 +1,51 @@
+// tests/resumeParser.test.js - Resume profile extraction, including inputs that used to backtrack for minutes
+const { buildResumeProfile } = require('../utils/resumeParser');
+
+const txtResume = (text) => ({ buffer: Buffer.from(text), detectedType: 'txt', originalname: 'resume.txt' });
+
+const FORM = {
+  email: 'priya.r+jobs@gmail.com',
+  phone: '98765 43210',
+  education: 'BSc Nursing'
+};
+
+describe('buildResumeProfile', () => {
+  test('reads contact details, education and experience from a plain text resume', () => {
+    const profile = buildResumeProfile(txtResume([
+      'Priya Raman',
+      'Email: Priya.R+jobs@Gmail.com. Alt: not-an-address@localhost',
+      'Phone: +91 98765 43210 | (044) 2345-6789',
+      'B.Sc Nursing, 2018',
+      'Staff nurse 2019 - 2023',
+      '5 years of ICU experience'
+    ].join('\n')), FORM);
+
+    expect(profile.status).toBe('parsed');
+    expect(profile.emails).toEqual(['priya.r+jobs@gmail.com']);
+    expect(profile.phones).toEqual(['9876543210', '4423456789']);
+    expect(profile.education).toEqual([{ degree: 'BSC', text: 'B.Sc Nursing, 2018', year: 2018 }]);
+    expect(profile.experienceYears).toBe(5);
+    expect(profile.skills).toContain('nursing');
+    expect(profile.checks).toEqual({ email: 'match', phone: 'match', education: 'match' });
+  });
+
+  // Each of these blocked the event loop for seconds to minutes on the public booking endpoint
+  const PATHOLOGICAL = {
+    'digits': '9'.repeat(200000),
+    'repeated "a."': 'a.'.repeat(100000),
+    'repeated "a@"': 'a@'.repeat(100000),
+    'one long domain': `a@${'b.'.repeat(99999)}`,
+    'spaces inside a line': `experience${' '.repeat(199980)}5 years`,
+    'short dashed digit runs': `${'1-'.repeat(50)}\n`.repeat(1960)
+  };
+
+  test.each(Object.entries(PATHOLOGICAL))('parses 200k characters of %s within a second', (name, text) => {
+    expect(text.length).toBeGreaterThan(190000);
+
+    const started = Date.now();
+    const profile = buildResumeProfile(txtResume(text), FORM);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(profile.status).toBe('parsed');
+  });
+});
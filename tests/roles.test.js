@@ -0,0 +1,97 @@
+// tests/roles.test.js - Role checks on admin endpoints (viewer < counsellor < admin)
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+const PASSWORD = 'role-test-password';
+
+let api;
+const tokens = {};
+const users = {};
+let bookingId;
+
+beforeAll(async () => {
+  quietConsole();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  api = await startServer();
+  tokens.admin = await api.login();
+
+  for (const role of ['viewer', 'counsellor']) {
+    const created = await api.request('POST', '/api/auth/users', {
+      body: { username: `${role}-user`, password: PASSWORD, role },
+      token: tokens.admin
+    });
+    expect(created.status).toBe(201);
+    users[role] = created.body.data;
+    tokens[role] = await api.login(`${role}-user`, PASSWORD);
+  }
+
+  const booked = await api.request('POST', '/api/consultation/book', {
+    form: {
+      fullName: 'Arjun Kumar',
+      email: 'arjun@example.com',
+      phone: '9876543210',
+      age: '31',
+      education: 'BE Mechanical, PSG Tech',
+      interestedService: 'Work Visa'
+    }
+  });
+  expect(booked.status).toBe(200);
+  bookingId = booked.body.data.consultationId;
+});
+
+afterAll(() => api.close());
+
+const call = (method, url, role, body) => api.request(method, url, { body, token: tokens[role] });
+
+test('admin endpoints need a token', async () => {
+  const response = await api.request('GET', '/api/consultation/bookings');
+  expect(response.status).toBe(401);
+  expect(response.body.message).toBe('Authentication required');
+});
+
+test('a viewer can read bookings but not change them', async () => {
+  expect((await call('GET', '/api/consultation/bookings', 'viewer')).status).toBe(200);
+  expect((await call('GET', `/api/consultation/${bookingId}/history`, 'viewer')).status).toBe(200);
+
+  const change = await call('PUT', `/api/consultation/${bookingId}/status`, 'viewer', { status: 'confirmed' });
+  expect(change.status).toBe(403);
+  expect(change.body.message).toBe('This action requires the counsellor role');
+
+  expect((await call('POST', '/api/consultation/bulk', 'viewer', { action: 'add-tag', tag: 'x', ids: [bookingId] })).status).toBe(403);
+  expect((await call('GET', `/api/consultation/${bookingId}/resume`, 'viewer')).status).toBe(403);
+});
+
+test('a counsellor can change status and tag, but not delete, reassign or manage users', async () => {
+  expect((await call('PUT', `/api/consultation/${bookingId}/status`, 'counsellor', { status: 'confirmed' })).status).toBe(200);
+
+  const tag = await call('POST', '/api/consultation/bulk', 'counsellor', { action: 'add-tag', tag: 'follow-up', ids: [bookingId] });
+  expect(tag.status).toBe(200);
+
+  const bulkDelete = await call('POST', '/api/consultation/bulk', 'counsellor', { action: 'delete', ids: [bookingId] });
+  expect(bulkDelete.status).toBe(403);
+  expect(bulkDelete.body.message).toBe('The delete action requires the admin role');
+
+  expect((await call('DELETE', `/api/consultation/${bookingId}`, 'counsellor')).status).toBe(403);
+  expect((await call('PUT', `/api/consultation/${bookingId}/counsellor`, 'counsellor', { auto: true })).status).toBe(403);
+  expect((await call('GET', '/api/auth/users', 'counsellor')).status).toBe(403);
+  expect((await call('GET', '/api/email/outbox', 'counsellor')).status).toBe(403);
+});
+
+test('an admin can manage users', async () => {
+  const response = await call('GET', '/api/auth/users', 'admin');
+  expect(response.status).toBe(200);
+  expect(response.body.data.map(user => user.role).sort()).toEqual(['admin', 'counsellor', 'viewer']);
+});
+
+test('role changes and deactivation apply to tokens already issued', async () => {
+  const demoted = await call('PUT', `/api/auth/users/${users.counsellor.id}`, 'admin', { role: 'viewer' });
+  expect(demoted.status).toBe(200);
+  expect((await call('PUT', `/api/consultation/${bookingId}/status`, 'counsellor', { status: 'completed' })).status).toBe(403);
+
+  const disabled = await call('PUT', `/api/auth/users/${users.viewer.id}`, 'admin', { active: false });
+  expect(disabled.status).toBe(200);
+  const response = await call('GET', '/api/consultation/bookings', 'viewer');
+  expect(response.status).toBe(401);
+  expect(response.body.message).toBe('User account is not active');
+});
@@ -0,0 +1,75 @@
+// tests/signedUrls.test.js - Expiry and tamper checks on HMAC-signed download links
+const { createDownloadUrl, verifyDownloadUrl, DOWNLOAD_PATH } = require('../utils/fileStorage/signedUrls');
+
+const FILE = { key: 'resumes/2026/10/3f9c0a.pdf', name: 'Priya Resume.pdf' };
+
+// The query of a download URL as Express would parse it
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+const rejectionOf = (query) => {
+  try {
+    verifyDownloadUrl(query);
+  } catch (error) {
+    return { status: error.status, message: error.message };
+  }
+  return null;
+};
+
+beforeAll(() => {
+  process.env.FILE_URL_SECRET = 'test-file-url-secret';
+});
+
+describe('createDownloadUrl', () => {
+  test('signs a download link that expires after the TTL', () => {
+    const now = Date.UTC(2026, 9, 19, 10, 0, 0);
+    const { url, expiresAt } = createDownloadUrl(FILE, { ttlSeconds: 900, now });
+
+    expect(url.startsWith(`${DOWNLOAD_PATH}?`)).toBe(true);
+    expect(expiresAt).toBe('2026-10-19T10:15:00.000Z');
+    expect(queryOf(url)).toMatchObject({ key: FILE.key, name: FILE.name, expires: String(now / 1000 + 900) });
+  });
+});
+
+describe('verifyDownloadUrl', () => {
+  test('accepts an unexpired, untouched link', () => {
+    const { url } = createDownloadUrl(FILE);
+    expect(verifyDownloadUrl(queryOf(url))).toEqual(FILE);
+  });
+
+  test('rejects a link once it has expired', () => {
+    const { url } = createDownloadUrl(FILE, { ttlSeconds: 60, now: Date.now() - 61 * 1000 });
+    expect(rejectionOf(queryOf(url))).toEqual({ status: 403, message: 'Download link has expired' });
+  });
+
+  test('rejects an expired link whose expiry was pushed forward', () => {
+    const { url } = createDownloadUrl(FILE, { ttlSeconds: 60, now: Date.now() - 61 * 1000 });
+    const query = { ...queryOf(url), expires: String(Math.floor(Date.now() / 1000) + 3600) };
+    expect(rejectionOf(query)).toEqual({ status: 403, message: 'Invalid download link' });
+  });
+
+  test.each([
+    ['key', 'resumes/2026/10/someone-else.pdf'],
+    ['name', 'invoice.pdf.exe'],
+    ['signature', 'A'.repeat(43)]
+  ])('rejects a link with a changed %s', (field, value) => {
+    const { url } = createDownloadUrl(FILE);
+    expect(rejectionOf({ ...queryOf(url), [field]: value })).toEqual({ status: 403, message: 'Invalid download link' });
+  });
+
+  test('rejects a link signed with another secret', () => {
+    process.env.FILE_URL_SECRET = 'another-secret';
+    const { url } = createDownloadUrl(FILE);
+    process.env.FILE_URL_SECRET = 'test-file-url-secret';
+
+    expect(rejectionOf(queryOf(url))).toEqual({ status: 403, message: 'Invalid download link' });
+  });
+
+  test.each([
+    ['no signature', { signature: undefined }],
+    ['a non-numeric expiry', { expires: 'tomorrow' }],
+    ['a repeated key parameter', { key: ['a.pdf', 'b.pdf'] }]
+  ])('rejects a malformed link with %s', (description, changes) => {
+    const { url } = createDownloadUrl(FILE);
+    expect(rejectionOf({ ...queryOf(url), ...changes })).toEqual({ status: 403, message: 'Malformed download link' });
+  });
+});
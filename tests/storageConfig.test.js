@@ -0,0 +1,48 @@
+// tests/storageConfig.test.js - Production refuses to keep its data in the temp directory
+const { getStorageConfig, assertDurableStorage } = require('../storage');
+
+const ENV_KEYS = ['NODE_ENV', 'DATA_DIR', 'STORAGE_DRIVER', 'SQLITE_FILE'];
+const savedEnv = {};
+
+const withEnv = (values) => {
+  ENV_KEYS.forEach(key => {
+    if (values[key] === undefined) delete process.env[key];
+    else process.env[key] = values[key];
+  });
+};
+
+beforeAll(() => {
+  ENV_KEYS.forEach(key => { savedEnv[key] = process.env[key]; });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => withEnv(savedEnv));
+
+test('refuses the temp directory in production', () => {
+  withEnv({ NODE_ENV: 'production' });
+  expect(getStorageConfig().temporary).toBe(true);
+  expect(() => assertDurableStorage()).toThrow(expect.objectContaining({
+    status: 500,
+    message: expect.stringContaining('DATA_DIR')
+  }));
+});
+
+test.each([
+  ['DATA_DIR', { DATA_DIR: '/var/lib/payana' }],
+  ['a SQLite file', { STORAGE_DRIVER: 'sqlite', SQLITE_FILE: '/var/lib/payana/payana.sqlite' }]
+])('accepts %s in production', (description, values) => {
+  withEnv({ NODE_ENV: 'production', ...values });
+  expect(getStorageConfig().temporary).toBe(false);
+  expect(() => assertDurableStorage()).not.toThrow();
+});
+
+test('SQLITE_FILE alone does not count for the file driver', () => {
+  withEnv({ NODE_ENV: 'production', SQLITE_FILE: '/var/lib/payana/payana.sqlite' });
+  expect(() => assertDurableStorage()).toThrow(expect.objectContaining({ status: 500 }));
+});
+
+test('only warns outside production', () => {
+  withEnv({ NODE_ENV: 'development' });
+  expect(() => assertDurableStorage()).not.toThrow();
+  expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('DATA_DIR not set'));
+});
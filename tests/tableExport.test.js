@@ -0,0 +1,37 @@
+// tests/tableExport.test.js - Spreadsheet formula guard on CSV exports, header row included
+const { useTempEnvironment, quietConsole, startServer } = require('./helpers/testServer');
+
+useTempEnvironment();
+
+let api;
+let token;
+
+beforeAll(async () => {
+  quietConsole();
+  api = await startServer();
+  token = await api.login();
+});
+
+afterAll(() => api.close());
+
+test('answer keys, flow ids and answers that look like formulas are exported as text', async () => {
+  const saved = await api.request('POST', '/api/chatbot/save-conversation', {
+    body: {
+      flowId: '=cmd|"/c calc"!A1',
+      flowVersion: '+1.0.0',
+      responses: { '=HYPERLINK("http://evil.example")': '@SUM(1,2)', name: 'Ravi' }
+    }
+  });
+  expect(saved.status).toBe(200);
+
+  const response = await api.request('GET', '/api/chatbot/conversations/export?format=csv', { token });
+  expect(response.status).toBe(200);
+
+  const [header, row] = response.body.replace(/^\uFEFF/, '').split('\r\n');
+  expect(header).toContain('"\'=HYPERLINK(""http://evil.example"")"');
+  expect(header).toContain(',name');
+  expect(row).toContain('"\'=cmd|""/c calc""!A1"');
+  expect(row).toContain(',\'+1.0.0,');
+  expect(row).toContain('"\'@SUM(1,2)"');
+  expect(row).toMatch(/,Ravi$/);
+});
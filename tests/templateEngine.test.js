@@ -0,0 +1,21 @@
+// tests/templateEngine.test.js - HTML escaping of email template values
+const { escapeHtml, parse, render } = require('../utils/mail/templateEngine');
+const { htmlToText } = require('../utils/mail/htmlToText');
+
+test('escapes every character that can end an element or a quoted attribute', () => {
+  expect(escapeHtml(`<a href="x" title='y'>Tom & Jerry</a>`))
+    .toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;');
+});
+
+test('a value cannot break out of a single-quoted attribute', () => {
+  const tree = parse(`<a title='{{name}}'>{{name}}</a> {{{raw}}}`);
+  const html = render(tree, { name: `x' onmouseover='alert(1)`, raw: `<b>'</b>` });
+
+  expect(html).toBe(`<a title='x&#39; onmouseover=&#39;alert(1)'>x&#39; onmouseover=&#39;alert(1)</a> <b>'</b>`);
+  expect(htmlToText(html)).toBe(`x' onmouseover='alert(1) '\n`);
+});
+
+test('null and undefined render as empty text', () => {
+  expect(escapeHtml(null)).toBe('');
+  expect(escapeHtml(undefined)).toBe('');
+});
@@ -0,0 +1,107 @@
+// utils/authService.js - Password hashing and signed (HS256 JWT) access tokens for admin users
+const crypto = require('crypto');
+
+// Ordered from least to most privileged; each role can do everything the roles before it can
+const ROLES = ['viewer', 'counsellor', 'admin'];
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL) || 8 * 60 * 60;
+
+let devSecret = null;
+
+// ✅ Tokens are signed with AUTH_TOKEN_SECRET; outside production a per-process secret is generated
+const getSecret = () => {
+  if (process.env.AUTH_TOKEN_SECRET) return process.env.AUTH_TOKEN_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    const error = new Error('AUTH_TOKEN_SECRET is not configured');
+    error.status = 500;
+    throw error;
+  }
+
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ AUTH_TOKEN_SECRET not set - using a temporary secret, tokens will not survive a restart');
+  }
+  return devSecret;
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+const hasRole = (role, minimumRole) => ROLES.indexOf(role) >= ROLES.indexOf(minimumRole) && ROLES.includes(role);
+
+const signToken = (user, ttlSeconds = TOKEN_TTL_SECONDS) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    iat: now,
+    exp: now + ttlSeconds
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// Resolves the token payload, or throws an error with status 401
+const verifyToken = (token) => {
+  const unauthorized = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+  };
+
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw unauthorized('Malformed token');
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw unauthorized('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (decodedHeader.alg !== 'HS256') throw new Error('Unsupported algorithm');
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw unauthorized('Malformed token');
+  }
+
+  if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+    throw unauthorized('Token has expired');
+  }
+  return claims;
+};
+
+// ✅ scrypt password hashes stored as scrypt$<salt>$<hash>
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, 64, (error, key) => {
+    if (error) return reject(error);
+    resolve(`scrypt$${salt}$${key.toString('hex')}`);
+  });
+});
+
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+  crypto.scrypt(String(password), salt, 64, (error, key) => {
+    if (error) return reject(error);
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+  });
+});
+
+module.exports = {
+  ROLES,
+  TOKEN_TTL_SECONDS,
+  hasRole,
+  signToken,
+  verifyToken,
+  hashPassword,
+  verifyPassword
+};
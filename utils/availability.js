@@ -0,0 +1,107 @@
+// utils/availability.js - Counsellor working hours, holidays and meeting slot generation
+//
+// Configuration (all optional):
+//   COUNSELLOR_WORKING_HOURS  "mon-fri 10:00-18:00; sat 10:00-14:00"
+//   COUNSELLOR_HOLIDAYS       "2026-01-26,2026-08-15"
+//   MEETING_SLOT_MINUTES      30
+//   MEETING_SLOT_CAPACITY     1 (meetings that may share a slot)
+//
+// All times are Asia/Kolkata wall-clock times (UTC+05:30, no daylight saving).
+
+const TIMEZONE = 'Asia/Kolkata';
+const UTC_OFFSET_MINUTES = 330;
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_WORKING_HOURS = 'mon-sat 10:00-18:00';
+
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Parse "mon-fri 10:00-18:00; sat 10:00-14:00" into { mon: [{ start, end }], ... }
+const parseWorkingHours = (spec) => {
+  const hours = Object.fromEntries(DAYS.map(day => [day, []]));
+
+  String(spec).split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = /^([a-z]{3})(?:-([a-z]{3}))?\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/i.exec(part);
+    if (!match) throw new Error(`Invalid working hours "${part}"`);
+
+    const [, fromDay, toDay, startTime, endTime] = match;
+    const first = DAYS.indexOf(fromDay.toLowerCase());
+    const last = DAYS.indexOf((toDay || fromDay).toLowerCase());
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+
+    if (first === -1 || last === -1 || start === null || end === null || end <= start) {
+      throw new Error(`Invalid working hours "${part}"`);
+    }
+
+    for (let day = first; ; day = (day + 1) % 7) {
+      hours[DAYS[day]].push({ start, end });
+      if (day === last) break;
+    }
+  });
+
+  return hours;
+};
+
+const getAvailabilityConfig = () => ({
+  timezone: TIMEZONE,
+  workingHours: parseWorkingHours(process.env.COUNSELLOR_WORKING_HOURS || DEFAULT_WORKING_HOURS),
+  holidays: (process.env.COUNSELLOR_HOLIDAYS || '').split(',').map(d => d.trim()).filter(Boolean),
+  slotMinutes: parseInt(process.env.MEETING_SLOT_MINUTES) || 30,
+  capacity: parseInt(process.env.MEETING_SLOT_CAPACITY) || 1
+});
+
+const isValidDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+  new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+
+// UTC instant of a Kolkata wall-clock time
+const toInstant = (date, minutes) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, 0, minutes - UTC_OFFSET_MINUTES));
+};
+
+// ✅ Every working slot on a date (before removing booked or past ones)
+const getSlotsForDate = (date, config = getAvailabilityConfig()) => {
+  if (!isValidDate(date)) {
+    const error = new Error('date must be a valid YYYY-MM-DD date');
+    error.status = 400;
+    throw error;
+  }
+
+  if (config.holidays.includes(date)) {
+    return { holiday: true, slots: [] };
+  }
+
+  const weekday = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const slots = [];
+
+  config.workingHours[weekday].forEach(({ start, end }) => {
+    for (let minutes = start; minutes + config.slotMinutes <= end; minutes += config.slotMinutes) {
+      slots.push({
+        time: formatTime(minutes),
+        start: toInstant(date, minutes).toISOString(),
+        end: toInstant(date, minutes + config.slotMinutes).toISOString()
+      });
+    }
+  });
+
+  return { holiday: false, slots };
+};
+
+module.exports = {
+  TIMEZONE,
+  UTC_OFFSET_MINUTES,
+  parseWorkingHours,
+  getAvailabilityConfig,
+  getSlotsForDate,
+  isValidDate,
+  toInstant,
+  toMinutes,
+  formatTime
+};
@@ -0,0 +1,32 @@
+// utils/calendar/index.js - Calendar provider selection (CALENDAR_PROVIDER, default "local")
+const LocalCalendarProvider = require('./localProvider');
+
+// CALENDAR_PROVIDER value -> factory; see localProvider.js for the methods a provider implements
+const PROVIDERS = {
+  local: () => new LocalCalendarProvider()
+};
+
+let provider = null;
+
+const getCalendarProvider = () => {
+  if (!provider) {
+    const name = (process.env.CALENDAR_PROVIDER || 'local').toLowerCase();
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown CALENDAR_PROVIDER "${name}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    provider = PROVIDERS[name]();
+    console.log(`📅 Calendar provider initialised: ${provider.name}`);
+  }
+  return provider;
+};
+
+// Replace the active provider, e.g. with a LocalCalendarProvider whose busy times a test controls
+const setCalendarProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  PROVIDERS,
+  getCalendarProvider,
+  setCalendarProvider
+};
@@ -0,0 +1,50 @@
+// utils/calendar/localProvider.js - In-memory calendar provider for development and tests
+//
+// A calendar provider implements:
+//   name                                   identifier reported on reservations
+//   createEvent({ start, end, summary, description, attendees }) -> { eventId, meetingLink }
+//   updateEvent(eventId, { start, end, ... }) -> { eventId, meetingLink }
+//   cancelEvent(eventId)                   -> { cancelled: boolean }
+//   getBusyTimes(start, end)               -> [{ start, end }] events outside this app that block slots
+
+class LocalCalendarProvider {
+  constructor({ baseUrl = process.env.LOCAL_MEETING_BASE_URL || 'https://meet.local' } = {}) {
+    this.name = 'local';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.events = new Map();
+    this.busyTimes = [];
+  }
+
+  async createEvent(event) {
+    const eventId = `LOCAL-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    this.events.set(eventId, { ...event, eventId, status: 'confirmed' });
+    console.log('📅 Calendar event created (local provider):', eventId, event.start);
+    return { eventId, meetingLink: `${this.baseUrl}/${eventId.toLowerCase()}` };
+  }
+
+  async updateEvent(eventId, changes) {
+    const event = this.events.get(eventId);
+    if (!event) throw new Error(`Calendar event ${eventId} not found`);
+    Object.assign(event, changes);
+    console.log('📅 Calendar event updated (local provider):', eventId, event.start);
+    return { eventId, meetingLink: `${this.baseUrl}/${eventId.toLowerCase()}` };
+  }
+
+  async cancelEvent(eventId) {
+    const event = this.events.get(eventId);
+    if (!event) return { cancelled: false };
+    event.status = 'cancelled';
+    return { cancelled: true };
+  }
+
+  async getBusyTimes(start, end) {
+    return this.busyTimes.filter(busy => busy.start < end && busy.end > start);
+  }
+
+  // Test helper: block time as if an external calendar had an event there
+  addBusyTime(start, end) {
+    this.busyTimes.push({ start, end });
+  }
+}
+
+module.exports = LocalCalendarProvider;
@@ -0,0 +1,265 @@
+// utils/candidateService.js - Candidate identity: duplicate booking detection and grouping a person's records
+//
+// People are matched on a normalised email or phone. DUPLICATE_BOOKING_MODE decides what happens to a
+// booking that repeats an active one from the last DUPLICATE_BOOKING_WINDOW_HOURS:
+//   flag (default) saves it marked as a possible duplicate, attach adds it to the earlier booking,
+//   reject refuses it with a 409, off skips the check.
+const candidateRepository = require('../repositories/candidateRepository');
+
+const DUPLICATE_MODES = ['flag', 'attach', 'reject', 'off'];
+const DEFAULT_WINDOW_HOURS = 72;
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+const MAX_MERGE_SOURCES = 20;
+
+// Booking form fields compared when a repeat submission is attached to an earlier booking
+const ATTACHED_FIELDS = ['fullName', 'email', 'phone', 'age', 'education', 'experience', 'currentStatus',
+  'interestedService', 'careerGoals', 'preferredMode', 'preferredTime', 'additionalInfo'];
+
+const httpError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+// ✅ "Priya.R+jobs@GoogleMail.com" -> "priyar@gmail.com"; null when it is not an address
+const normalizeEmail = (value) => {
+  const email = String(value || '').trim().toLowerCase();
+  const at = email.lastIndexOf('@');
+  if (at < 1 || at === email.length - 1) return null;
+
+  let local = email.slice(0, at).split('+')[0];
+  let domain = email.slice(at + 1);
+  if (GMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return local ? `${local}@${domain}` : null;
+};
+
+// ✅ Last ten digits, so "+91 98765 43210" and "098765-43210" match; null for anything shorter
+const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const getDuplicateConfig = () => {
+  const mode = String(process.env.DUPLICATE_BOOKING_MODE || 'flag').trim().toLowerCase();
+  const windowHours = Number(process.env.DUPLICATE_BOOKING_WINDOW_HOURS || DEFAULT_WINDOW_HOURS);
+
+  if (!DUPLICATE_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown DUPLICATE_BOOKING_MODE "${mode}", using flag`);
+  }
+  return {
+    mode: DUPLICATE_MODES.includes(mode) ? mode : 'flag',
+    windowHours: Number.isFinite(windowHours) && windowHours > 0 ? windowHours : DEFAULT_WINDOW_HOURS
+  };
+};
+
+/**
+ * Active bookings from the same person submitted within the window before `booking`, newest first:
+ *   [{ consultation, matchedOn: ['email', 'phone'] }]
+ */
+const findDuplicateBookings = (consultations, booking, { windowHours }) => {
+  const email = normalizeEmail(booking.email);
+  const phone = normalizePhone(booking.phone);
+  const since = Date.parse(booking.submittedAt) - windowHours * 60 * 60 * 1000;
+
+  return consultations
+    .filter(c => c.id !== booking.id && ACTIVE_STATUSES.includes(c.status) && Date.parse(c.submittedAt) >= since)
+    .map(consultation => ({
+      consultation,
+      matchedOn: [
+        email && normalizeEmail(consultation.email) === email ? 'email' : null,
+        phone && normalizePhone(consultation.phone) === phone ? 'phone' : null
+      ].filter(Boolean)
+    }))
+    .filter(match => match.matchedOn.length > 0)
+    .sort((a, b) => b.consultation.submittedAt.localeCompare(a.consultation.submittedAt));
+};
+
+// ✅ The earlier booking with a repeat submission recorded on it (what changed, and its resume)
+const attachSubmission = (existing, booking) => {
+  const changes = {};
+  ATTACHED_FIELDS.forEach(field => {
+    if (booking[field] !== undefined && booking[field] !== existing[field]) changes[field] = booking[field];
+  });
+
+  return {
+    ...existing,
+    // A resume sent with the repeat fills the gap when the first booking had none
+    resume: existing.resume || booking.resume || null,
+    repeatSubmissions: [...(existing.repeatSubmissions || []), {
+      submittedAt: booking.submittedAt,
+      changes,
+      resume: booking.resume || null,
+      conversationId: booking.conversationId || null,
+      ipAddress: booking.ipAddress,
+      userAgent: booking.userAgent
+    }],
+    updatedAt: booking.submittedAt
+  };
+};
+
+const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+// The same queued email (outboxId) is one application however often it is linked
+const uniqueApplications = (applications) => applications.filter((application, index) => !application.outboxId
+  || applications.findIndex(other => other.outboxId === application.outboxId) === index);
+
+const findCandidate = (candidates, email, phone) => {
+  const active = candidates.filter(candidate => !candidate.mergedInto);
+  return (email && active.find(candidate => candidate.emails.includes(email)))
+    || (phone && active.find(candidate => candidate.phones.includes(phone)))
+    || null;
+};
+
+/**
+ * Link records to the candidate matching each contact, creating candidates as needed, in one transaction.
+ * Entries: { contact: { name, email, phone }, consultations, conversations, germanApplications }
+ * Entries without a usable email or phone are skipped. Linking is idempotent.
+ */
+const linkRecords = async (entries) => candidateRepository.transaction(tx => {
+  const now = new Date().toISOString();
+  const candidates = tx.all();
+  const linked = [];
+
+  entries.forEach(({ contact = {}, consultations = [], conversations = [], germanApplications = [] }) => {
+    const email = normalizeEmail(contact.email);
+    const phone = normalizePhone(contact.phone);
+    if (!email && !phone) return;
+
+    let candidate = findCandidate(candidates, email, phone);
+    if (!candidate) {
+      candidate = tx.insert({
+        id: candidateRepository.generateId(),
+        name: contact.name || null,
+        emails: [],
+        phones: [],
+        consultations: [],
+        conversations: [],
+        germanApplications: [],
+        mergedInto: null,
+        merges: [],
+        createdAt: now,
+        updatedAt: now
+      });
+      candidates.push(candidate);
+    }
+
+    const updated = tx.update(candidate.id, {
+      ...candidate,
+      name: contact.name || candidate.name,
+      emails: union(candidate.emails, email),
+      phones: union(candidate.phones, phone),
+      consultations: union(candidate.consultations, consultations),
+      conversations: union(candidate.conversations, conversations),
+      germanApplications: uniqueApplications([...candidate.germanApplications, ...germanApplications]),
+      updatedAt: now
+    });
+    candidates[candidates.findIndex(c => c.id === updated.id)] = updated;
+    linked.push(updated);
+  });
+
+  return linked;
+});
+
+// ✅ Link one record; never throws - a failed candidate link must not fail the booking or chat it came from
+const recordForCandidate = async (entry) => {
+  try {
+    const [candidate] = await linkRecords([entry]);
+    return candidate || null;
+  } catch (error) {
+    console.warn('⚠️ Failed to link record to candidate:', error.message);
+    return null;
+  }
+};
+
+// Everything stored so far as link entries (bookings, conversations with contact details, German Program emails)
+const collectEntries = (consultations, conversations) => [
+  ...consultations.map(consultation => ({
+    contact: { name: consultation.fullName, email: consultation.email, phone: consultation.phone },
+    consultations: [consultation.id],
+    conversations: [consultation.conversationId]
+  })),
+  ...conversations.map(conversation => {
+    const responses = conversation.responses || {};
+    const emails = (conversation.links && conversation.links.emails) || [];
+    return {
+      contact: { name: responses.name, email: responses.email, phone: responses.phone },
+      conversations: [conversation.id],
+      germanApplications: emails.filter(link => link.type === 'german-program').map(link => ({
+        email: link.recipient,
+        outboxId: link.outboxId,
+        conversationId: conversation.id,
+        submittedAt: link.linkedAt
+      }))
+    };
+  })
+];
+
+/**
+ * Merge `sourceIds` into `targetId`: the target takes their identifiers and records, and each source
+ * is kept as a stub pointing at the target (mergedInto) so old references still resolve.
+ */
+const mergeCandidates = async (targetId, sourceIds, actor) => {
+  if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(id => typeof id === 'string' && id)) {
+    throw httpError(400, 'candidateIds must be a non-empty array of candidate ids');
+  }
+  const sources = [...new Set(sourceIds)];
+  if (sources.length > MAX_MERGE_SOURCES) {
+    throw httpError(400, `At most ${MAX_MERGE_SOURCES} candidates can be merged at once`);
+  }
+  if (sources.includes(targetId)) {
+    throw httpError(400, 'A candidate cannot be merged into itself');
+  }
+
+  return candidateRepository.transaction(tx => {
+    const target = tx.get(targetId);
+    if (!target) throw httpError(404, 'Candidate not found');
+    if (target.mergedInto) throw httpError(409, `Candidate was merged into ${target.mergedInto}`, { mergedInto: target.mergedInto });
+
+    const merging = sources.map(id => tx.get(id));
+    const missing = sources.filter((id, index) => !merging[index]);
+    if (missing.length) throw httpError(404, `Unknown candidate(s): ${missing.join(', ')}`, { missing });
+    const merged = merging.filter(candidate => candidate.mergedInto);
+    if (merged.length) {
+      throw httpError(409, `Already merged: ${merged.map(candidate => `${candidate.id} -> ${candidate.mergedInto}`).join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const actorRef = { id: actor.id, name: actor.name || actor.username };
+    merging.forEach(source => tx.update(source.id, {
+      ...source,
+      mergedInto: target.id,
+      mergedAt: now,
+      updatedAt: now
+    }));
+
+    const all = [target, ...merging];
+    return tx.update(target.id, {
+      ...target,
+      emails: union(...all.map(candidate => candidate.emails)),
+      phones: union(...all.map(candidate => candidate.phones)),
+      consultations: union(...all.map(candidate => candidate.consultations)),
+      conversations: union(...all.map(candidate => candidate.conversations)),
+      germanApplications: uniqueApplications(all.flatMap(candidate => candidate.germanApplications)),
+      merges: [...target.merges, ...merging.map(source => ({ from: source.id, name: source.name, at: now, by: actorRef }))],
+      updatedAt: now
+    });
+  });
+};
+
+module.exports = {
+  DUPLICATE_MODES,
+  normalizeEmail,
+  normalizePhone,
+  getDuplicateConfig,
+  findDuplicateBookings,
+  attachSubmission,
+  linkRecords,
+  recordForCandidate,
+  collectEntries,
+  mergeCandidates
+};
@@ -0,0 +1,147 @@
+// utils/chatbotAnalytics.js - Funnel metrics computed from stored chatbot conversations
+const { localize } = require('./i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SERIES_DAYS = 366;
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+const toDay = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+// Where a partial conversation stopped: the step it was on, or else the first step whose field is unanswered
+const findDropOffStep = (conversation, flow) => {
+  const steps = flow?.flow || [];
+
+  if (conversation.currentStepId !== undefined && conversation.currentStepId !== null) {
+    return steps.find(step => String(step.id) === String(conversation.currentStepId)) ||
+      { id: conversation.currentStepId };
+  }
+
+  const responses = conversation.responses || {};
+  return steps.find(step => responses[step.field] === undefined) || null;
+};
+
+// One entry per calendar day between the first and last conversation (or the requested range)
+const buildDailySeries = (conversations, { from, to } = {}) => {
+  const counts = new Map();
+  conversations.forEach(conversation => {
+    const day = toDay(conversation.createdAt);
+    const entry = counts.get(day) || { conversations: 0, completed: 0 };
+    entry.conversations++;
+    if (conversation.status === 'completed') entry.completed++;
+    counts.set(day, entry);
+  });
+
+  const days = [...counts.keys()].sort();
+  const start = from && !Number.isNaN(Date.parse(from)) ? toDay(from) : days[0];
+  const end = to && !Number.isNaN(Date.parse(to)) ? toDay(to) : days[days.length - 1];
+  if (!start || !end) return [];
+
+  // Open-ended ranges are clipped to the most recent year
+  const endTime = Date.parse(end);
+  const startTime = Math.max(Date.parse(start), endTime - (MAX_SERIES_DAYS - 1) * DAY_MS);
+
+  const series = [];
+  for (let time = startTime; time <= endTime; time += DAY_MS) {
+    const date = toDay(time);
+    const entry = counts.get(date) || { conversations: 0, completed: 0 };
+    series.push({
+      date,
+      conversations: entry.conversations,
+      completed: entry.completed,
+      completionRate: percentage(entry.completed, entry.conversations)
+    });
+  }
+  return series;
+};
+
+/**
+ * Compute funnel analytics.
+ *   conversations - stored conversation records (already filtered)
+ *   flows         - map of "flowId@version" -> flow definition, used for step labels and choice fields
+ */
+const computeAnalytics = (conversations, flows = {}, { top = 5, from, to } = {}) => {
+  const total = conversations.length;
+  const completed = conversations.filter(c => c.status === 'completed');
+  const flowFor = (conversation) => flows[`${conversation.flowId}@${conversation.flowVersion}`] || null;
+
+  // ✅ Drop-offs per step id
+  const dropOffs = new Map();
+  conversations.filter(c => c.status !== 'completed').forEach(conversation => {
+    const step = findDropOffStep(conversation, flowFor(conversation));
+    const key = step ? String(step.id) : 'unknown';
+    const entry = dropOffs.get(key) || {
+      stepId: step ? step.id : null,
+      field: step?.field || null,
+      question: step?.question ? localize(step.question) : null,
+      count: 0
+    };
+    entry.count++;
+    dropOffs.set(key, entry);
+  });
+
+  const partialCount = total - completed.length;
+  const dropOffPoints = [...dropOffs.values()]
+    .map(entry => ({ ...entry, percentage: percentage(entry.count, partialCount) }))
+    .sort((a, b) => b.count - a.count);
+
+  // ✅ Answer distributions for every single_choice field seen in the matching flow versions
+  const choiceFields = new Map();
+  Object.values(flows).forEach(flow => {
+    (flow.flow || []).filter(step => step.type === 'single_choice').forEach(step => {
+      if (!choiceFields.has(step.field)) {
+        choiceFields.set(step.field, {
+          field: step.field,
+          stepId: step.id,
+          question: localize(step.question),
+          labels: new Map()
+        });
+      }
+      (step.options || []).forEach(option => {
+        choiceFields.get(step.field).labels.set(option.value, localize(option.text));
+      });
+    });
+  });
+
+  const answerDistributions = [...choiceFields.values()].map(({ field, stepId, question, labels }) => {
+    const counts = new Map([...labels.keys()].map(value => [value, 0]));
+    let answered = 0;
+    conversations.forEach(conversation => {
+      const value = conversation.responses?.[field];
+      if (value === undefined || value === null || value === '') return;
+      answered++;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+
+    return {
+      field,
+      stepId,
+      question,
+      answered,
+      values: [...counts.entries()]
+        .map(([value, count]) => ({ value, label: labels.get(value) || String(value), count, percentage: percentage(count, answered) }))
+        .sort((a, b) => b.count - a.count)
+    };
+  });
+
+  const totalSteps = conversations.reduce((sum, c) => sum + (c.steps || []).length, 0);
+
+  return {
+    totalConversations: total,
+    completedConversations: completed.length,
+    partialConversations: partialCount,
+    completionRate: percentage(completed.length, total),
+    averageSteps: total > 0 ? Math.round((totalSteps / total) * 10) / 10 : 0,
+    topDropOffPoints: dropOffPoints.slice(0, top),
+    dropOffsByStep: dropOffPoints,
+    answerDistributions,
+    dailySeries: buildDailySeries(conversations, { from, to }),
+    lastUpdated: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  computeAnalytics,
+  buildDailySeries,
+  findDropOffStep
+};
@@ -0,0 +1,44 @@
+// utils/consultationNotes.js - Internal notes thread on a consultation (never shown to the candidate)
+const MAX_NOTE_LENGTH = 5000;
+
+// ✅ The thread as an array; bookings saved before the thread existed carry one overwritable `notes` string
+const noteThread = (consultation) => {
+  const { notes } = consultation;
+  if (Array.isArray(notes)) return notes;
+  if (typeof notes !== 'string' || !notes.trim()) return [];
+  return [{
+    id: `NOTE-${consultation.id}-legacy`,
+    text: notes,
+    author: consultation.updatedBy ? { id: consultation.updatedBy, name: consultation.updatedByName || null, role: null } : null,
+    createdAt: consultation.updatedAt || consultation.submittedAt || null,
+    legacy: true
+  }];
+};
+
+// Throws a 400 for an empty or oversized note; returns the trimmed text
+const checkNoteText = (text) => {
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_NOTE_LENGTH) {
+    const error = new Error(`A note must be text of 1-${MAX_NOTE_LENGTH} characters`);
+    error.status = 400;
+    throw error;
+  }
+  return text.trim();
+};
+
+// ✅ The consultation with a note by `author` (the signed-in user) appended to its thread
+const appendNote = (consultation, text, author) => ({
+  ...consultation,
+  notes: [...noteThread(consultation), {
+    id: `NOTE-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+    text: checkNoteText(text),
+    author: { id: author.id, name: author.name || author.username, role: author.role },
+    createdAt: new Date().toISOString()
+  }]
+});
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  noteThread,
+  checkNoteText,
+  appendNote
+};
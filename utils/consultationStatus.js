@@ -0,0 +1,69 @@
+// utils/consultationStatus.js - Consultation status transitions and history entries
+const CONSULTATION_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled'];
+
+// 'rescheduled' is a transition, not a stored status: the consultation stays confirmed with a new appointment
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled', 'rescheduled'],
+  completed: [],
+  cancelled: []
+};
+
+const REQUESTABLE_STATUSES = [...CONSULTATION_STATUSES, 'rescheduled'];
+
+const httpError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+const allowedTransitions = (from) => STATUS_TRANSITIONS[from] || [];
+
+/**
+ * Resolve a requested status against the current one.
+ *   Returns { status, action } where action is 'status' (a real transition), 'scheduled' / 'rescheduled'
+ *   (appointment set or moved while confirmed) or 'updated' (same status, e.g. a new note).
+ *   Throws a 409 error for transitions the table does not allow.
+ */
+const resolveTransition = (from, requested, { appointmentChanged = false, hadAppointment = false } = {}) => {
+  if (requested === 'rescheduled' || (requested === from && from === 'confirmed' && appointmentChanged)) {
+    if (from !== 'confirmed') {
+      throw httpError(409, `Cannot reschedule a ${from} consultation`, { allowed: allowedTransitions(from) });
+    }
+    if (!appointmentChanged) {
+      throw httpError(400, 'Rescheduling needs a new appointment');
+    }
+    return { status: 'confirmed', action: hadAppointment ? 'rescheduled' : 'scheduled' };
+  }
+
+  if (requested === from) {
+    return { status: from, action: 'updated' };
+  }
+
+  if (!allowedTransitions(from).includes(requested)) {
+    throw httpError(409, `Cannot change status from ${from} to ${requested}`, { allowed: allowedTransitions(from) });
+  }
+
+  return { status: requested, action: 'status' };
+};
+
+// Append-only history entry; `actor` is the signed-in admin user, or null for the candidate
+const buildHistoryEntry = ({ from, to, action, actor = null, note = null, reason = null }) => ({
+  from,
+  to,
+  action,
+  actor: actor ? { id: actor.id, name: actor.name || actor.username, role: actor.role } : { id: null, name: null, role: 'candidate' },
+  note: note || null,
+  reason: reason || null,
+  at: new Date().toISOString()
+});
+
+module.exports = {
+  CONSULTATION_STATUSES,
+  STATUS_TRANSITIONS,
+  REQUESTABLE_STATUSES,
+  allowedTransitions,
+  resolveTransition,
+  buildHistoryEntry
+};
@@ -0,0 +1,178 @@
+// utils/counsellorService.js - Counsellor profiles, workload and booking assignment shared by booking, bulk and reassignment
+//
+// A counsellor is an active user (counsellor or admin role) with a profile:
+//   { services: [...], languages: [...], modes: [...], capacity, accepting }
+// Empty services / languages / modes lists mean "any". Capacity caps the bookings a counsellor holds
+// in an active status; COUNSELLOR_ASSIGNMENT picks the strategy for new bookings (none turns it off).
+const { hasRole } = require('./authService');
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { PREFERRED_MODES } = require('../middleware/validation');
+const userRepository = require('../repositories/userRepository');
+const counsellorRepository = require('../repositories/counsellorRepository');
+
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+const DEFAULT_STRATEGY = 'least-loaded';
+const DEFAULT_CAPACITY = 20;
+const MAX_CAPACITY = 1000;
+const MAX_SERVICES = 30;
+const MAX_SERVICE_LENGTH = 100;
+const MAX_ASSIGNMENT_HISTORY = 50;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// ✅ Current workload per counsellor id: { active, lastAssignedAt }
+const getWorkloads = (consultations) => {
+  const loads = new Map();
+  consultations.forEach(consultation => {
+    const assigned = consultation.assignedCounsellor;
+    if (!assigned) return;
+    const load = loads.get(assigned.id) || { active: 0, lastAssignedAt: null };
+    if (ACTIVE_STATUSES.includes(consultation.status)) load.active++;
+    if (!load.lastAssignedAt || assigned.assignedAt > load.lastAssignedAt) load.lastAssignedAt = assigned.assignedAt;
+    loads.set(assigned.id, load);
+  });
+  return loads;
+};
+
+// Does the profile cover this booking's service, consultation mode and language?
+const coversBooking = (counsellor, consultation) => {
+  const covers = (list, value) => !list.length || !value || list.map(normalize).includes(normalize(value));
+  return covers(counsellor.services, consultation.interestedService)
+    && covers(counsellor.modes, consultation.preferredMode)
+    && covers(counsellor.languages, consultation.locale);
+};
+
+// Longest since their last assignment first (never assigned before anyone else), then by name
+const byTurn = (loads) => (a, b) => {
+  const lastA = (loads.get(a.id) || {}).lastAssignedAt || '';
+  const lastB = (loads.get(b.id) || {}).lastAssignedAt || '';
+  return lastA.localeCompare(lastB) || a.name.localeCompare(b.name);
+};
+
+// Strategy name -> (eligible counsellors, workloads) => counsellor
+const ASSIGNMENT_STRATEGIES = {
+  'round-robin': (eligible, loads) => [...eligible].sort(byTurn(loads))[0],
+  'least-loaded': (eligible, loads) => {
+    const ratio = (counsellor) => ((loads.get(counsellor.id) || {}).active || 0) / counsellor.capacity;
+    return [...eligible].sort((a, b) => ratio(a) - ratio(b) || byTurn(loads)(a, b))[0];
+  }
+};
+
+const getAssignmentStrategy = () => {
+  const name = normalize(process.env.COUNSELLOR_ASSIGNMENT) || DEFAULT_STRATEGY;
+  if (name === 'none') return null;
+  if (!ASSIGNMENT_STRATEGIES[name]) {
+    console.warn(`⚠️ Unknown COUNSELLOR_ASSIGNMENT "${name}", using ${DEFAULT_STRATEGY}`);
+    return DEFAULT_STRATEGY;
+  }
+  return name;
+};
+
+// ✅ Profiles joined with their users; only active counsellor/admin users count
+const listCounsellors = async ({ includeInactive = false } = {}) => {
+  const [profiles, users] = await Promise.all([counsellorRepository.findAll(), userRepository.findAll()]);
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return profiles
+    .map(profile => {
+      const user = usersById.get(profile.id);
+      if (!user) return null;
+      return {
+        ...profile,
+        name: user.name || user.username,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        available: !!user.active && hasRole(user.role, 'counsellor') && profile.accepting !== false
+      };
+    })
+    .filter(counsellor => counsellor && (includeInactive || counsellor.available));
+};
+
+// ✅ Counsellor the strategy picks for a booking, or null (no strategy, nobody covers it, or everyone is full)
+const pickCounsellor = (counsellors, consultation, consultations, strategy = getAssignmentStrategy()) => {
+  if (!strategy) return null;
+  const loads = getWorkloads(consultations.filter(c => c.id !== consultation.id));
+  const eligible = counsellors.filter(counsellor => counsellor.available
+    && coversBooking(counsellor, consultation)
+    && ((loads.get(counsellor.id) || {}).active || 0) < counsellor.capacity);
+  return eligible.length ? ASSIGNMENT_STRATEGIES[strategy](eligible, loads) : null;
+};
+
+/**
+ * The consultation with `counsellor` (null unassigns) as its owner and the change appended to
+ * assignmentHistory. `method` is the strategy name for automatic assignment, or "manual".
+ */
+const assignCounsellor = (consultation, counsellor, { actor = null, method = 'manual', reason = null } = {}) => {
+  const previous = consultation.assignedCounsellor || null;
+  const at = new Date().toISOString();
+  const assignedCounsellor = counsellor
+    ? { id: counsellor.id, name: counsellor.name, assignedAt: at, assignedBy: actor ? actor.id : null, method }
+    : null;
+
+  return {
+    ...consultation,
+    assignedCounsellor,
+    assignmentHistory: [...(consultation.assignmentHistory || []), {
+      from: previous ? { id: previous.id, name: previous.name } : null,
+      to: counsellor ? { id: counsellor.id, name: counsellor.name } : null,
+      method,
+      actor: actor ? { id: actor.id, name: actor.name || actor.username } : null,
+      reason: reason || null,
+      at
+    }].slice(-MAX_ASSIGNMENT_HISTORY)
+  };
+};
+
+// ✅ Checked profile fields from a request body (PUT semantics: omitted fields fall back to `existing`)
+const parseProfile = (body, existing = {}) => {
+  const { services, languages, modes, capacity, accepting } = body || {};
+  const list = (value, name, allowed) => {
+    if (value === undefined) return existing[name] || [];
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+      throw badRequest(`${name} must be an array of text values`);
+    }
+    const items = [...new Set(value.map(item => (allowed ? normalize(item) : item.trim())))];
+    const invalid = allowed ? items.filter(item => !allowed.includes(item)) : [];
+    if (invalid.length) throw badRequest(`Invalid ${name} "${invalid.join(', ')}" (expected any of ${allowed.join(', ')})`);
+    return items;
+  };
+
+  const profile = {
+    services: list(services, 'services'),
+    languages: list(languages, 'languages', SUPPORTED_LOCALES),
+    modes: list(modes, 'modes', PREFERRED_MODES),
+    capacity: capacity === undefined ? (existing.capacity || DEFAULT_CAPACITY) : capacity,
+    accepting: accepting === undefined ? existing.accepting !== false : accepting
+  };
+
+  if (profile.services.length > MAX_SERVICES || profile.services.some(service => service.length > MAX_SERVICE_LENGTH)) {
+    throw badRequest(`services takes at most ${MAX_SERVICES} values of up to ${MAX_SERVICE_LENGTH} characters`);
+  }
+  if (!Number.isInteger(profile.capacity) || profile.capacity < 1 || profile.capacity > MAX_CAPACITY) {
+    throw badRequest(`capacity must be a whole number from 1 to ${MAX_CAPACITY}`);
+  }
+  if (typeof profile.accepting !== 'boolean') {
+    throw badRequest('accepting must be true or false');
+  }
+  return profile;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  DEFAULT_STRATEGY,
+  ASSIGNMENT_STRATEGIES,
+  getAssignmentStrategy,
+  getWorkloads,
+  coversBooking,
+  listCounsellors,
+  pickCounsellor,
+  assignCounsellor,
+  parseProfile
+};
@@ -0,0 +1,61 @@
+// utils/feedbackReport.js - CSAT / NPS-style scores over 1-5 feedback ratings
+//
+// CSAT is the share of 4 and 5 ratings. The NPS-style score treats 5 as a promoter,
+// 4 as passive and 1-3 as detractors, giving a value between -100 and 100.
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Monday of the (UTC) week a timestamp falls in, as YYYY-MM-DD
+const weekStart = (timestamp) => {
+  const date = new Date(timestamp);
+  const day = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - day);
+  return date.toISOString().slice(0, 10);
+};
+
+const scoreRatings = (ratings) => {
+  const count = ratings.length;
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  ratings.forEach(rating => { distribution[rating]++; });
+
+  if (count === 0) {
+    return { count, averageRating: null, csat: null, nps: null, distribution };
+  }
+
+  const promoters = distribution[5];
+  const detractors = distribution[1] + distribution[2] + distribution[3];
+
+  return {
+    count,
+    averageRating: round(ratings.reduce((sum, rating) => sum + rating, 0) / count),
+    csat: round(((distribution[4] + distribution[5]) / count) * 100),
+    nps: round(((promoters - detractors) / count) * 100),
+    distribution
+  };
+};
+
+const groupScores = (entries, keyOf, label) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry.rating);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([key, ratings]) => ({ [label]: key, ...scoreRatings(ratings) }));
+};
+
+// ✅ Overall, per-flow and per-week scores
+const summarizeFeedback = (entries) => ({
+  overall: scoreRatings(entries.map(entry => entry.rating)),
+  byFlow: groupScores(entries, entry => entry.flowId || 'unknown', 'flowId'),
+  byWeek: groupScores(entries, entry => weekStart(entry.createdAt), 'weekStart')
+});
+
+module.exports = {
+  weekStart,
+  scoreRatings,
+  summarizeFeedback
+};
@@ -0,0 +1,175 @@
+// utils/fileInspection.js - Content-based checks for uploaded resumes: real file type, PDF active content, safe names
+const path = require('path');
+const zlib = require('zlib');
+
+// Accepted resume types with the mimetypes and extensions a client may declare for them
+const FILE_TYPES = {
+  pdf: { mimetypes: ['application/pdf'], extensions: ['.pdf'] },
+  doc: { mimetypes: ['application/msword'], extensions: ['.doc'] },
+  docx: { mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], extensions: ['.docx'] },
+  txt: { mimetypes: ['text/plain'], extensions: ['.txt'] }
+};
+
+const RESUME_MIMETYPES = Object.values(FILE_TYPES).flatMap(type => type.mimetypes);
+
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// PDF name objects that run code or carry other files
+const PDF_ACTIVE_CONTENT = /\/(JavaScript|JS|EmbeddedFiles?|Launch)(?=[\s/<>[\]()%]|$)/;
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+const MAX_FILENAME_LENGTH = 120;
+
+const inspectionError = (code, message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+};
+
+const isUtf8Text = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ✅ Identify the file from its first bytes rather than the name or declared mimetype
+const detectFileType = (buffer) => {
+  if (!buffer || buffer.length === 0) return null;
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+
+  // Word 97-2003 files are OLE2 compound documents with a "WordDocument" stream
+  if (buffer.subarray(0, 8).equals(OLE2_SIGNATURE)) {
+    return buffer.includes(Buffer.from('WordDocument', 'utf16le')) ? 'doc' : null;
+  }
+
+  // DOCX is a ZIP package whose entry names are stored uncompressed
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    return buffer.includes('[Content_Types].xml') && buffer.includes('word/document.xml') ? 'docx' : null;
+  }
+
+  return isUtf8Text(buffer) ? 'txt' : null;
+};
+
+// Contents of every stream in the PDF, inflated when Flate-compressed (object streams can hide names)
+const pdfStreams = (buffer) => {
+  const source = buffer.toString('latin1');
+  const streams = [];
+  const pattern = /stream\r?\n/g;
+  let inflatedTotal = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    if (end === -1) break;
+
+    const raw = buffer.subarray(start, end);
+    try {
+      const inflated = zlib.inflateSync(raw, { maxOutputLength: MAX_INFLATED_BYTES - inflatedTotal });
+      inflatedTotal += inflated.length;
+      streams.push(inflated.toString('latin1'));
+    } catch (error) {
+      // Not Flate data (or over the budget) - the raw bytes were already scanned with the file
+    }
+    pattern.lastIndex = end;
+  }
+  return streams;
+};
+
+// Names may hide characters as #xx escapes, e.g. /J#61vaScript
+const decodePdfNames = (text) => text.replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// ✅ Name of the first active-content marker in a PDF, or null when there is none
+const findPdfActiveContent = (buffer) => {
+  const sources = [buffer.toString('latin1'), ...pdfStreams(buffer)];
+  for (const source of sources) {
+    const match = decodePdfNames(source).match(PDF_ACTIVE_CONTENT);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+// Multipart file names arrive as latin1; recover UTF-8 names such as "Résumé.pdf"
+const fromLatin1 = (name) => {
+  if (!/[\u0080-\u00ff]/.test(name) || /[^\u0000-\u00ff]/.test(name)) return name;
+  const decoded = Buffer.from(name, 'latin1').toString('utf8');
+  return decoded.includes('\ufffd') ? name : decoded;
+};
+
+/**
+ * Safe display name for an uploaded file:
+ *   percent-escapes decoded ("%40" -> "@"), directory parts, control and reserved characters removed,
+ *   whitespace collapsed, length capped with the extension kept, and a fallback when nothing is left.
+ */
+const sanitizeFilename = (name, fallback = 'file') => {
+  let clean = fromLatin1(String(name || ''));
+  try {
+    clean = decodeURIComponent(clean);
+  } catch (error) {
+    // Not valid percent-encoding - keep the name as sent
+  }
+
+  clean = clean
+    .normalize('NFC')
+    .split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  const extension = path.extname(clean).toLowerCase();
+  let base = clean.slice(0, clean.length - extension.length).trim();
+  if (!base) base = fallback;
+  if (base.length + extension.length > MAX_FILENAME_LENGTH) {
+    base = base.slice(0, MAX_FILENAME_LENGTH - extension.length).trim();
+  }
+  return `${base}${extension}`;
+};
+
+/**
+ * Check an uploaded resume (multer memory file) and return { type, originalName }.
+ * Throws an error with status 400 and a code when:
+ *   EMPTY_FILE           the upload has no content
+ *   UNSUPPORTED_TYPE     the content is not PDF, DOC, DOCX or plain text
+ *   TYPE_MISMATCH        the content does not match the declared mimetype or the file extension
+ *   PDF_ACTIVE_CONTENT   the PDF contains JavaScript, launch actions or embedded files
+ */
+const inspectResume = (file) => {
+  if (!file.buffer || file.buffer.length === 0) {
+    throw inspectionError('EMPTY_FILE', 'The uploaded file is empty');
+  }
+
+  const type = detectFileType(file.buffer);
+  if (!type) {
+    throw inspectionError('UNSUPPORTED_TYPE', 'File content is not a PDF, DOC, DOCX or TXT document');
+  }
+
+  const originalName = sanitizeFilename(file.originalname, 'resume');
+  const extension = path.extname(originalName).toLowerCase();
+  if (!FILE_TYPES[type].mimetypes.includes(file.mimetype) || !FILE_TYPES[type].extensions.includes(extension)) {
+    throw inspectionError('TYPE_MISMATCH', `File content is ${type.toUpperCase()} but it was uploaded as ${extension || 'a file without extension'} (${file.mimetype})`);
+  }
+
+  if (type === 'pdf') {
+    const marker = findPdfActiveContent(file.buffer);
+    if (marker) {
+      throw inspectionError('PDF_ACTIVE_CONTENT', `PDF files with active content are not accepted (found /${marker})`);
+    }
+  }
+
+  return { type, originalName };
+};
+
+module.exports = {
+  FILE_TYPES,
+  RESUME_MIMETYPES,
+  detectFileType,
+  findPdfActiveContent,
+  sanitizeFilename,
+  inspectResume
+};
@@ -0,0 +1,78 @@
+// utils/fileStorage/index.js - File storage selection (FILE_STORAGE_DRIVER, default "local") for uploaded resumes
+const crypto = require('crypto');
+const path = require('path');
+const { getStorageConfig } = require('../../storage');
+const LocalFileStorage = require('./localStorage');
+const S3FileStorage = require('./s3Storage');
+
+/**
+ * File storage settings from the environment:
+ *   FILE_STORAGE_DRIVER     local | s3
+ *   FILE_STORAGE_DIR        local driver directory (defaults to <DATA_DIR>/files)
+ *   S3_ENDPOINT             S3-compatible endpoint, e.g. http://localhost:9000 for MinIO (defaults to AWS)
+ *   S3_REGION               signing region (default us-east-1)
+ *   S3_BUCKET / S3_PREFIX   bucket and optional key prefix
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+ *   S3_FORCE_PATH_STYLE     "true" for http://endpoint/bucket/key (default when S3_ENDPOINT is set)
+ */
+const getFileStorageConfig = () => ({
+  driver: (process.env.FILE_STORAGE_DRIVER || 'local').toLowerCase(),
+  directory: process.env.FILE_STORAGE_DIR || path.join(getStorageConfig().directory, 'files'),
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || null,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET || null,
+    prefix: process.env.S3_PREFIX || '',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : !!process.env.S3_ENDPOINT
+  }
+});
+
+// FILE_STORAGE_DRIVER value -> factory; a driver has save(key, content, { contentType }), read(key) and remove(key)
+const DRIVERS = {
+  local: (config) => new LocalFileStorage({ directory: config.directory }),
+  s3: (config) => new S3FileStorage(config.s3)
+};
+
+let fileStorage = null;
+
+const getFileStorage = () => {
+  if (!fileStorage) {
+    const config = getFileStorageConfig();
+    if (!DRIVERS[config.driver]) {
+      throw new Error(`Unknown FILE_STORAGE_DRIVER "${config.driver}" (expected one of ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    fileStorage = DRIVERS[config.driver](config);
+    console.log(`🗄️ File storage initialised: ${fileStorage.name}`);
+  }
+  return fileStorage;
+};
+
+// Replace the active driver, e.g. with an S3 driver pointed at a local stand-in
+const setFileStorage = (customStorage) => {
+  fileStorage = customStorage;
+};
+
+// Lower-case extension of an uploaded file name, or '' when it has none worth keeping
+const getExtension = (originalName) => {
+  const extension = path.extname(String(originalName || '')).toLowerCase();
+  return /^\.[a-z0-9]{1,8}$/.test(extension) ? extension : '';
+};
+
+// ✅ Unguessable key that keeps the original extension, e.g. resumes/2026/10/3f9c...e1.pdf
+const buildFileKey = (folder, originalName, now = new Date()) => {
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  return `${folder}/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}${getExtension(originalName)}`;
+};
+
+module.exports = {
+  DRIVERS,
+  getFileStorageConfig,
+  getFileStorage,
+  setFileStorage,
+  getExtension,
+  buildFileKey
+};
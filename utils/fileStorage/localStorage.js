@@ -0,0 +1,54 @@
+// utils/fileStorage/localStorage.js - Files on local disk (FILE_STORAGE_DIR)
+//
+// A file storage driver implements:
+//   name                                   identifier recorded with each stored file
+//   save(key, content, { contentType })    -> { key, size }
+//   read(key)                              -> { content: Buffer, contentType } or null when missing
+//   remove(key)                            -> { removed: boolean }
+const fs = require('fs').promises;
+const path = require('path');
+
+class LocalFileStorage {
+  constructor({ directory }) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+  }
+
+  // Keys are relative paths; anything resolving outside the storage directory is refused
+  resolve(key) {
+    const file = path.resolve(this.directory, key);
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  async save(key, content, { contentType } = {}) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    console.log('💾 File stored (local):', key, contentType || '');
+    return { key, size: content.length };
+  }
+
+  async read(key) {
+    try {
+      return { content: await fs.readFile(this.resolve(key)), contentType: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+      return { removed: true };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { removed: false };
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalFileStorage;
@@ -0,0 +1,126 @@
+// utils/fileStorage/s3Storage.js - Files in an S3-compatible bucket (AWS S3, MinIO, R2 ...) signed with AWS Signature V4
+const crypto = require('crypto');
+const axios = require('axios');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as S3 expects it, keeping "/" between key segments
+const encodeKey = (key) => key.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+/**
+ * Headers for a signed request (AWS Signature Version 4, service "s3").
+ *   headers must not include host, x-amz-date or x-amz-content-sha256; they are added here
+ */
+const signRequest = ({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const amzDate = toAmzDate(now);
+  const dateStamp = amzDate.slice(0, 8);
+  const allHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+
+  const names = Object.keys(allHeaders).sort();
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.searchParams.toString(),
+    names.map(name => `${name}:${allHeaders[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...rest } = allHeaders;
+  return {
+    ...rest,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+class S3FileStorage {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 file storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.region = region;
+    this.bucket = bucket;
+    this.credentials = { accessKeyId, secretAccessKey };
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.forcePathStyle = forcePathStyle;
+    this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+  }
+
+  objectUrl(key) {
+    const objectPath = encodeKey(`${this.prefix}${key}`);
+    const url = new URL(this.endpoint.href);
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}/${objectPath}`;
+    } else {
+      url.host = `${this.bucket}.${url.host}`;
+      url.pathname = `/${objectPath}`;
+    }
+    return url;
+  }
+
+  async request(method, key, { body, headers = {} } = {}) {
+    const url = this.objectUrl(key);
+    const payloadHash = body ? sha256(body) : EMPTY_PAYLOAD_HASH;
+    const response = await axios({
+      method,
+      url: url.href,
+      data: body,
+      headers: signRequest({ method, url, headers, payloadHash, region: this.region, ...this.credentials }),
+      responseType: 'arraybuffer',
+      maxBodyLength: Infinity,
+      validateStatus: () => true,
+      timeout: 30 * 1000
+    });
+
+    if (response.status >= 400 && response.status !== 404) {
+      const detail = Buffer.from(response.data || '').toString('utf8').match(/<Code>([^<]+)<\/Code>/);
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}${detail ? ` (${detail[1]})` : ''}`);
+    }
+    return response;
+  }
+
+  async save(key, content, { contentType } = {}) {
+    await this.request('PUT', key, {
+      body: content,
+      headers: { 'content-type': contentType || 'application/octet-stream', 'content-length': content.length }
+    });
+    console.log('💾 File stored (s3):', `${this.bucket}/${this.prefix}${key}`);
+    return { key, size: content.length };
+  }
+
+  async read(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) return null;
+    return { content: Buffer.from(response.data), contentType: response.headers['content-type'] || null };
+  }
+
+  async remove(key) {
+    const response = await this.request('DELETE', key);
+    return { removed: response.status !== 404 };
+  }
+}
+
+module.exports = S3FileStorage;
+module.exports.signRequest = signRequest;
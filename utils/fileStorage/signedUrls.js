@@ -0,0 +1,79 @@
+// utils/fileStorage/signedUrls.js - Expiring HMAC-signed download links for stored files
+const crypto = require('crypto');
+
+const DOWNLOAD_PATH = '/api/files/download';
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+let devSecret = null;
+
+// ✅ FILE_URL_SECRET, else AUTH_TOKEN_SECRET; outside production a per-process secret is generated
+const getSecret = () => {
+  const secret = process.env.FILE_URL_SECRET || process.env.AUTH_TOKEN_SECRET;
+  if (secret) return secret;
+
+  if (process.env.NODE_ENV === 'production') {
+    const error = new Error('FILE_URL_SECRET (or AUTH_TOKEN_SECRET) is not configured');
+    error.status = 500;
+    throw error;
+  }
+
+  if (!devSecret) devSecret = crypto.randomBytes(32).toString('hex');
+  return devSecret;
+};
+
+const getDownloadTtlSeconds = () => Math.min(
+  Math.max(60, parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS),
+  MAX_TTL_SECONDS
+);
+
+// The filename is signed too, so a link cannot be reused to serve the file under another name
+const sign = ({ key, name, expires }) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`file-download\n${key}\n${name}\n${expires}`)
+  .digest('base64url');
+
+/**
+ * Relative download URL for a stored file.
+ *   key          storage key
+ *   name         filename offered to the browser
+ *   ttlSeconds   link lifetime (FILE_URL_TTL_SECONDS, default 15 minutes)
+ */
+const createDownloadUrl = ({ key, name }, { ttlSeconds = getDownloadTtlSeconds(), now = Date.now() } = {}) => {
+  const expires = Math.floor(now / 1000) + ttlSeconds;
+  const query = new URLSearchParams({ key, name, expires: String(expires), signature: sign({ key, name, expires }) });
+  return {
+    url: `${DOWNLOAD_PATH}?${query.toString()}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+// Resolves { key, name } from the query of a download URL, or throws an error with status 403
+const verifyDownloadUrl = ({ key, name, expires, signature } = {}) => {
+  const forbidden = (message) => {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+  };
+
+  if (typeof key !== 'string' || typeof name !== 'string' || typeof signature !== 'string' || !/^\d+$/.test(expires || '')) {
+    throw forbidden('Malformed download link');
+  }
+
+  const expected = Buffer.from(sign({ key, name, expires: Number(expires) }));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw forbidden('Invalid download link');
+  }
+  if (Number(expires) < Math.floor(Date.now() / 1000)) {
+    throw forbidden('Download link has expired');
+  }
+  return { key, name };
+};
+
+module.exports = {
+  DOWNLOAD_PATH,
+  getDownloadTtlSeconds,
+  createDownloadUrl,
+  verifyDownloadUrl
+};
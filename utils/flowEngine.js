@@ -0,0 +1,227 @@
+// utils/flowEngine.js - Server-side interpretation of chatbot flow definitions
+const fs = require('fs').promises;
+const { validationRules } = require('../middleware/validation');
+const { parseExpression, evaluateExpression } = require('./flowExpressions');
+const { t } = require('./i18n');
+
+const SUMMARY_STEP = 'summary';
+
+const loadFlow = async (flowPath) => {
+  const flowData = await fs.readFile(flowPath, 'utf8');
+  return JSON.parse(flowData);
+};
+
+// ✅ Replace {{field}} placeholders with collected responses (unknown fields render empty)
+const renderTemplate = (text, responses = {}) => {
+  if (typeof text !== 'string') return text;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = responses[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+const findStep = (flow, stepId) => {
+  return (flow.flow || []).find(step => String(step.id) === String(stepId)) || null;
+};
+
+const getFirstStep = (flow) => (flow.flow || [])[0] || null;
+
+/**
+ * Resolve the `next` target for a step given the submitted value. `next` may be
+ *   - a step id or "summary"
+ *   - a map of option value -> target
+ *   - an ordered list of rules [{ "when": "<expression>", "goto": target }, { "goto": fallback }]
+ *     where expressions see collected responses plus `value`
+ */
+const resolveNext = (step, value, responses = {}) => {
+  const { next } = step;
+  if (next === undefined || next === null) return SUMMARY_STEP;
+  if (Array.isArray(next)) {
+    const context = { ...responses, [step.field]: value, value };
+    const rule = next.find(r => r.when === undefined || evaluateExpression(r.when, context));
+    return rule ? rule.goto : null;
+  }
+  if (typeof next === 'object') {
+    return Object.prototype.hasOwnProperty.call(next, value) ? next[value] : null;
+  }
+  return next;
+};
+
+// `enabled` is a boolean or an expression over collected responses
+const isOptionEnabled = (option, responses = {}) => {
+  if (typeof option.enabled === 'string') return evaluateExpression(option.enabled, responses);
+  return option.enabled !== false;
+};
+
+// Shape a step for the client: rendered question, options with their enabled state, no routing details
+const presentStep = (step, responses = {}) => {
+  const presented = {
+    id: step.id,
+    type: step.type,
+    field: step.field,
+    question: renderTemplate(step.question, responses),
+    required: !!step.required
+  };
+
+  if (step.validation) presented.validation = step.validation;
+
+  if (Array.isArray(step.options)) {
+    presented.options = step.options.map(option => ({
+      text: renderTemplate(option.text, responses),
+      value: option.value,
+      enabled: isOptionEnabled(option, responses)
+    }));
+  }
+
+  return presented;
+};
+
+const buildSummary = (flow, responses = {}) => {
+  const template = flow.summary_template || {};
+  return {
+    title: template.title,
+    fields: (template.fields || [])
+      .filter(field => responses[field.key] !== undefined)
+      .map(field => ({ key: field.key, label: field.label, value: responses[field.key] })),
+    closingMessage: renderTemplate(template.closing_message, responses)
+  };
+};
+
+// ✅ Validate an answer against the (already localized) step definition
+const validateAnswer = (step, rawValue, responses = {}, locale) => {
+  const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+  const isEmpty = value === undefined || value === null || value === '';
+
+  if (step.type === 'single_choice') {
+    const option = (step.options || []).find(o => o.value === value);
+    if (!option) {
+      return { valid: false, message: t('flow.chooseOption', locale) };
+    }
+    if (!isOptionEnabled(option, responses)) {
+      return { valid: false, message: step.validation_message || t('flow.optionUnavailable', locale) };
+    }
+    return { valid: true, value };
+  }
+
+  // Files arrive through the session upload endpoint; a text answer can only skip an optional upload
+  if (step.type === 'file_upload') {
+    if (!isEmpty) return { valid: false, message: t('flow.uploadFile', locale) };
+    return step.required
+      ? { valid: false, message: t('flow.fieldRequired', locale) }
+      : { valid: true, value: '' };
+  }
+
+  if (isEmpty) {
+    return step.required
+      ? { valid: false, message: t('flow.fieldRequired', locale) }
+      : { valid: true, value: '' };
+  }
+
+  if (step.validation) {
+    const rule = validationRules[step.validation];
+    if (rule) {
+      const result = rule(value, locale);
+      if (!result.valid) return { valid: false, message: result.message };
+    }
+  }
+
+  return { valid: true, value };
+};
+
+// Collect the side effects a step declares once it has been answered
+const getTriggers = (step) => {
+  const triggers = [];
+  if (step.trigger_email) triggers.push('email');
+  if (step.trigger_meeting) triggers.push('meeting');
+  return triggers;
+};
+
+// ✅ Copy of a flow with parsed `condition` trees next to each expression, for clients that evaluate locally
+const annotateFlow = (flow) => {
+  const features = new Set();
+
+  const steps = (flow.flow || []).map(step => {
+    const annotated = { ...step };
+
+    if (Array.isArray(step.next)) {
+      features.add('conditional-next');
+      annotated.next = step.next.map(rule => (
+        rule.when === undefined ? { ...rule } : { ...rule, condition: parseExpression(rule.when) }
+      ));
+    }
+
+    if (step.type === 'file_upload') {
+      features.add('file-upload');
+    }
+
+    if (Array.isArray(step.options)) {
+      annotated.options = step.options.map(option => {
+        if (typeof option.enabled !== 'string') return { ...option };
+        features.add('conditional-enabled');
+        return { ...option, enabled_condition: parseExpression(option.enabled) };
+      });
+    }
+
+    return annotated;
+  });
+
+  return { flow: { ...flow, flow: steps }, features: [...features] };
+};
+
+/**
+ * Apply an answer to a session snapshot. `file` is the stored upload answering a file_upload step;
+ * its original name becomes the step's value.
+ * Returns { valid, message } on rejection, or the next session state plus triggers to fire.
+ */
+const advance = (flow, session, rawValue, { file = null } = {}) => {
+  const step = findStep(flow, session.currentStepId);
+  if (!step) {
+    return { valid: false, message: `Step ${session.currentStepId} does not exist in this flow` };
+  }
+  if (file && step.type !== 'file_upload') {
+    return { valid: false, message: t('flow.noFileExpected', session.locale) };
+  }
+
+  const validation = file
+    ? { valid: true, value: file.originalName }
+    : validateAnswer(step, rawValue, session.responses, session.locale);
+  if (!validation.valid) return validation;
+
+  const nextStepId = resolveNext(step, validation.value, session.responses);
+  if (nextStepId === null) {
+    return { valid: false, message: `No route defined for "${validation.value}"` };
+  }
+
+  const responses = { ...session.responses, [step.field]: validation.value };
+  const completed = String(nextStepId) === SUMMARY_STEP;
+
+  if (!completed && !findStep(flow, nextStepId)) {
+    return { valid: false, message: `Flow points to missing step ${nextStepId}` };
+  }
+
+  return {
+    valid: true,
+    step,
+    value: validation.value,
+    file,
+    responses,
+    nextStepId: completed ? null : nextStepId,
+    completed,
+    triggers: getTriggers(step)
+  };
+};
+
+module.exports = {
+  SUMMARY_STEP,
+  loadFlow,
+  renderTemplate,
+  findStep,
+  getFirstStep,
+  resolveNext,
+  isOptionEnabled,
+  presentStep,
+  annotateFlow,
+  buildSummary,
+  validateAnswer,
+  advance
+};
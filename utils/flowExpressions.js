@@ -0,0 +1,291 @@
+// utils/flowExpressions.js - Safe guard expressions for chatbot flows (no eval)
+//
+// Grammar:
+//   expression := or
+//   or         := and ('or' and)*
+//   and        := not ('and' not)*
+//   not        := 'not' not | comparison
+//   comparison := operand (('==' | '!=' | '<' | '<=' | '>' | '>=' | 'in' | 'not in') operand)?
+//   operand    := number | 'string' | "string" | true | false | null | identifier | list | '(' expression ')'
+//   list       := '[' (operand (',' operand)*)? ']'
+//
+// Identifiers resolve to collected responses; `value` is the answer being submitted.
+
+class FlowExpressionError extends Error {
+  constructor(message, source, position) {
+    super(position === undefined ? message : `${message} at position ${position} in "${source}"`);
+    this.name = 'FlowExpressionError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'true', 'false', 'null'];
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const operator = COMPARISON_OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    if ('()[],'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      let text = '';
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        text += source[j];
+        j++;
+      }
+      if (j >= source.length) throw new FlowExpressionError('Unterminated string', source, i);
+      tokens.push({ type: 'string', value: text, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_]\w*/.exec(source.slice(i));
+    if (word) {
+      const value = word[0];
+      tokens.push({ type: KEYWORDS.includes(value) ? 'keyword' : 'identifier', value, position: i });
+      i += value.length;
+      continue;
+    }
+
+    throw new FlowExpressionError(`Unexpected character "${char}"`, source, i);
+  }
+
+  return tokens;
+};
+
+const parseTokens = (tokens, source) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isToken = (type, value) => {
+    const token = peek();
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  };
+  const expect = (type, value) => {
+    if (!isToken(type, value)) {
+      const token = peek();
+      throw new FlowExpressionError(
+        `Expected ${value || type}${token ? ` but found "${token.value}"` : ' but reached the end'}`,
+        source,
+        token ? token.position : source.length
+      );
+    }
+    return tokens[index++];
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (!token) throw new FlowExpressionError('Unexpected end of expression', source, source.length);
+
+    if (token.type === 'number' || token.type === 'string') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      index++;
+      return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true' };
+    }
+    if (token.type === 'identifier') {
+      index++;
+      return { type: 'identifier', name: token.value };
+    }
+    if (isToken('punctuation', '[')) {
+      index++;
+      const items = [];
+      if (!isToken('punctuation', ']')) {
+        items.push(parseOperand());
+        while (isToken('punctuation', ',')) {
+          index++;
+          items.push(parseOperand());
+        }
+      }
+      expect('punctuation', ']');
+      return { type: 'list', items };
+    }
+    if (isToken('punctuation', '(')) {
+      index++;
+      const inner = parseOr();
+      expect('punctuation', ')');
+      return inner;
+    }
+
+    throw new FlowExpressionError(`Unexpected "${token.value}"`, source, token.position);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+
+    if (isToken('operator')) {
+      const operator = tokens[index++].value;
+      return { type: 'compare', operator, left, right: parseOperand() };
+    }
+    if (isToken('keyword', 'in')) {
+      index++;
+      return { type: 'compare', operator: 'in', left, right: parseOperand() };
+    }
+    if (isToken('keyword', 'not') && tokens[index + 1]?.type === 'keyword' && tokens[index + 1].value === 'in') {
+      index += 2;
+      return { type: 'compare', operator: 'not in', left, right: parseOperand() };
+    }
+
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isToken('keyword', 'not')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isToken('keyword', 'and')) {
+      index++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isToken('keyword', 'or')) {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new FlowExpressionError(`Unexpected "${tokens[index].value}"`, source, tokens[index].position);
+  }
+  return ast;
+};
+
+const astCache = new Map();
+
+// ✅ Parse an expression string into an AST (cached)
+const parseExpression = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new FlowExpressionError('Expression must be a non-empty string', source);
+  }
+  if (!astCache.has(source)) {
+    if (astCache.size > 500) astCache.clear();
+    astCache.set(source, parseTokens(tokenize(source), source));
+  }
+  return astCache.get(source);
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return null;
+};
+
+// Loose equality: numeric when both sides look numeric ("17" == 17), otherwise strict
+const looselyEqual = (a, b) => {
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  if (numA !== null && numB !== null) return numA === numB;
+  return a === b;
+};
+
+const compare = (operator, left, right) => {
+  switch (operator) {
+    case '==': return looselyEqual(left, right);
+    case '!=': return !looselyEqual(left, right);
+    case 'in':
+    case 'not in': {
+      const found = Array.isArray(right)
+        ? right.some(item => looselyEqual(left, item))
+        : typeof right === 'string' && typeof left === 'string' && right.includes(left);
+      return operator === 'in' ? found : !found;
+    }
+    default: {
+      const numLeft = toNumber(left);
+      const numRight = toNumber(right);
+      const [a, b] = numLeft !== null && numRight !== null
+        ? [numLeft, numRight]
+        : [left === undefined || left === null ? '' : String(left), right === undefined || right === null ? '' : String(right)];
+      if (operator === '<') return a < b;
+      if (operator === '<=') return a <= b;
+      if (operator === '>') return a > b;
+      return a >= b;
+    }
+  }
+};
+
+const evaluateNode = (node, context) => {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'identifier': return Object.prototype.hasOwnProperty.call(context, node.name) ? context[node.name] : null;
+    case 'list': return node.items.map(item => evaluateNode(item, context));
+    case 'not': return !evaluateNode(node.operand, context);
+    case 'and': return !!evaluateNode(node.left, context) && !!evaluateNode(node.right, context);
+    case 'or': return !!evaluateNode(node.left, context) || !!evaluateNode(node.right, context);
+    case 'compare': return compare(node.operator, evaluateNode(node.left, context), evaluateNode(node.right, context));
+    default: throw new FlowExpressionError(`Unknown expression node "${node.type}"`);
+  }
+};
+
+// ✅ Evaluate an expression (string or AST) against collected responses; always returns a boolean
+const evaluateExpression = (expression, context = {}) => {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  return !!evaluateNode(ast, context);
+};
+
+// List the identifiers an expression reads, so flows can be checked for uncollected fields
+const collectIdentifiers = (expression) => {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const names = new Set();
+  const visit = (node) => {
+    if (node.type === 'identifier') names.add(node.name);
+    if (node.type === 'list') node.items.forEach(visit);
+    if (node.type === 'not') visit(node.operand);
+    if (['and', 'or', 'compare'].includes(node.type)) {
+      visit(node.left);
+      visit(node.right);
+    }
+  };
+  visit(ast);
+  return [...names];
+};
+
+module.exports = {
+  FlowExpressionError,
+  parseExpression,
+  evaluateExpression,
+  collectIdentifiers
+};
@@ -0,0 +1,116 @@
+// utils/flowRegistry.js - Named, versioned chatbot flows stored under flows/<flowId>/<version>.json
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const { loadFlow } = require('./flowEngine');
+
+const FLOWS_DIR = path.join(__dirname, '..', 'flows');
+const FLOW_STATUSES = ['draft', 'published'];
+const DEFAULT_FLOW_ID = process.env.DEFAULT_FLOW_ID || 'german-work';
+
+// Clients that predate flow versioning only understand the 1.x flow format
+const LEGACY_FLOW_RANGE = '^1.0.0';
+
+// ✅ Discover every flow file and check its metadata matches its location
+const scanFlows = async (flowsDir = FLOWS_DIR) => {
+  const entries = [];
+  const flowDirs = await fs.readdir(flowsDir, { withFileTypes: true });
+
+  for (const dir of flowDirs.filter(d => d.isDirectory())) {
+    const files = (await fs.readdir(path.join(flowsDir, dir.name))).filter(f => f.endsWith('.json'));
+
+    for (const file of files) {
+      const flowPath = path.join(flowsDir, dir.name, file);
+      try {
+        const { metadata = {} } = await loadFlow(flowPath);
+        const fileVersion = path.basename(file, '.json');
+
+        if (metadata.id !== dir.name) {
+          throw new Error(`metadata.id "${metadata.id}" does not match directory "${dir.name}"`);
+        }
+        if (!semver.valid(metadata.version) || metadata.version !== fileVersion) {
+          throw new Error(`metadata.version "${metadata.version}" must be a semantic version matching the file name`);
+        }
+        if (!FLOW_STATUSES.includes(metadata.status)) {
+          throw new Error(`metadata.status must be one of ${FLOW_STATUSES.join(', ')}`);
+        }
+
+        entries.push({
+          id: metadata.id,
+          version: metadata.version,
+          status: metadata.status,
+          title: metadata.title || metadata.id,
+          description: metadata.description || '',
+          path: flowPath
+        });
+      } catch (error) {
+        console.error(`❌ Skipping flow ${path.relative(flowsDir, flowPath)}: ${error.message}`);
+      }
+    }
+  }
+
+  return entries;
+};
+
+const isVisible = (entry, includeDrafts) => includeDrafts || entry.status === 'published';
+
+// List flows with their available versions, newest first
+const listFlows = async ({ includeDrafts = false } = {}) => {
+  const entries = (await scanFlows()).filter(entry => isVisible(entry, includeDrafts));
+  const flows = new Map();
+
+  entries.forEach(entry => {
+    if (!flows.has(entry.id)) {
+      flows.set(entry.id, { id: entry.id, versions: [] });
+    }
+    flows.get(entry.id).versions.push(entry);
+  });
+
+  return [...flows.values()].map(({ id, versions }) => {
+    const sorted = versions.sort((a, b) => semver.rcompare(a.version, b.version));
+    const latestPublished = sorted.find(v => v.status === 'published');
+    const latest = latestPublished || sorted[0];
+    return {
+      id,
+      title: latest.title,
+      description: latest.description,
+      latestVersion: latest.version,
+      status: latest.status,
+      isDefault: id === DEFAULT_FLOW_ID,
+      versions: sorted.map(v => ({ version: v.version, status: v.status }))
+    };
+  });
+};
+
+/**
+ * Pick the highest visible version of a flow satisfying `range`
+ * (an exact version, or a semver range such as "1", "1.x" or "^1.2.0").
+ * Resolves to null when nothing matches.
+ */
+const resolveFlow = async (flowId, range, { includeDrafts = false } = {}) => {
+  if (range && !semver.validRange(range)) {
+    const error = new Error(`Invalid flow version "${range}"`);
+    error.status = 400;
+    throw error;
+  }
+
+  const candidates = (await scanFlows())
+    .filter(entry => entry.id === flowId && isVisible(entry, includeDrafts));
+
+  const version = semver.maxSatisfying(candidates.map(c => c.version), range || '*', { includePrerelease: includeDrafts });
+  if (!version) return null;
+
+  const entry = candidates.find(c => c.version === version);
+  const flow = await loadFlow(entry.path);
+  return { ...entry, flow };
+};
+
+module.exports = {
+  FLOWS_DIR,
+  FLOW_STATUSES,
+  DEFAULT_FLOW_ID,
+  LEGACY_FLOW_RANGE,
+  scanFlows,
+  listFlows,
+  resolveFlow
+};
@@ -0,0 +1,360 @@
+// utils/flowValidator.js - Static checks for chatbot flow definitions
+const path = require('path');
+const semver = require('semver');
+const { validationRules } = require('../middleware/validation');
+const { SUMMARY_STEP, loadFlow } = require('./flowEngine');
+const { parseExpression, collectIdentifiers } = require('./flowExpressions');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, LOCALIZED_KEYS, isLocaleMap } = require('./i18n');
+const flowRegistry = require('./flowRegistry');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders from a plain string or from every translation of a locale map
+const extractPlaceholders = (text) => {
+  if (isLocaleMap(text)) return [...new Set(Object.values(text).flatMap(extractPlaceholders))];
+  if (typeof text !== 'string') return [];
+  return [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+};
+
+// List every (label, target) edge leaving a step
+const getEdges = (step) => {
+  const { next } = step;
+  if (next === undefined || next === null) return [{ label: null, target: SUMMARY_STEP }];
+  if (Array.isArray(next)) {
+    return next.map(rule => ({ label: rule.when === undefined ? null : rule.when, target: rule.goto, conditional: true }));
+  }
+  if (typeof next === 'object') {
+    return Object.entries(next).map(([label, target]) => ({ label, target }));
+  }
+  return [{ label: null, target: next }];
+};
+
+const nodeKey = (id) => String(id);
+
+// Every guard expression on a step: rule conditions on `next` and conditional option `enabled`
+const getExpressions = (step) => [
+  ...(Array.isArray(step.next) ? step.next.filter(rule => rule.when !== undefined).map(rule => ({ source: rule.when, scope: 'next' })) : []),
+  ...(step.options || []).filter(option => typeof option.enabled === 'string').map(option => ({ source: option.enabled, scope: 'enabled' }))
+];
+
+const safeIdentifiers = (source) => {
+  try {
+    return collectIdentifiers(source);
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Validate a parsed flow definition.
+ * Returns { valid, errors, warnings } where each issue is { code, stepId, message }.
+ */
+const validateFlow = (flow) => {
+  const errors = [];
+  const warnings = [];
+  const error = (code, stepId, message) => errors.push({ code, stepId, message });
+  const warn = (code, stepId, message) => warnings.push({ code, stepId, message });
+
+  const steps = Array.isArray(flow?.flow) ? flow.flow : [];
+  if (steps.length === 0) {
+    error('NO_STEPS', null, 'Flow has no steps');
+    return { valid: false, errors, warnings };
+  }
+
+  const stepsById = new Map();
+  steps.forEach(step => {
+    const key = nodeKey(step.id);
+    if (stepsById.has(key)) {
+      error('DUPLICATE_STEP', step.id, `Step id ${step.id} is defined more than once`);
+    }
+    stepsById.set(key, step);
+  });
+
+  // ✅ Locale maps need an English default, known locales and the same placeholders in every language
+  const checkLocaleMaps = (node, where) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => checkLocaleMaps(item, `${where}[${index}]`));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const check = (value, label) => {
+      if (!isLocaleMap(value)) return;
+      if (value[DEFAULT_LOCALE] === undefined) {
+        error('MISSING_DEFAULT_LOCALE', null, `${label} has no "${DEFAULT_LOCALE}" translation`);
+      }
+      Object.keys(value)
+        .filter(locale => !SUPPORTED_LOCALES.includes(locale))
+        .forEach(locale => warn('UNKNOWN_LOCALE', null, `${label} has a translation for unsupported locale "${locale}"`));
+      const reference = extractPlaceholders(value[DEFAULT_LOCALE]).sort().join(',');
+      Object.entries(value)
+        .filter(([, text]) => extractPlaceholders(text).sort().join(',') !== reference)
+        .forEach(([locale]) => warn('LOCALE_PLACEHOLDER_MISMATCH', null, `${label} (${locale}) uses different placeholders than "${DEFAULT_LOCALE}"`));
+    };
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (LOCALIZED_KEYS.includes(key) && isLocaleMap(value)) check(value, `${where}.${key}`);
+      else if (Array.isArray(value)) value.forEach((item, index) => (isLocaleMap(item) ? check(item, `${where}.${key}[${index}]`) : checkLocaleMaps(item, `${where}.${key}[${index}]`)));
+      else checkLocaleMaps(value, `${where}.${key}`);
+    });
+  };
+  checkLocaleMaps({ initial_message: flow.initial_message, summary_template: flow.summary_template }, 'flow');
+  steps.forEach(step => checkLocaleMaps(step, `step ${step.id}`));
+
+  // ✅ Per-step structural checks
+  steps.forEach(step => {
+    if (!step.field) {
+      error('MISSING_FIELD', step.id, `Step ${step.id} does not declare a field`);
+    }
+
+    if (step.validation && !validationRules[step.validation]) {
+      error('UNKNOWN_VALIDATION', step.id, `Step ${step.id} uses unknown validation "${step.validation}"`);
+    }
+
+    getExpressions(step).forEach(({ source }) => {
+      try {
+        parseExpression(source);
+      } catch (expressionError) {
+        error('INVALID_EXPRESSION', step.id, `Step ${step.id} has an invalid expression: ${expressionError.message}`);
+      }
+    });
+
+    if (Array.isArray(step.next)) {
+      step.next
+        .filter(rule => rule.goto === undefined)
+        .forEach(rule => error('MISSING_TARGET', step.id, `Step ${step.id} rule "${rule.when}" has no goto`));
+      if (!step.next.some(rule => rule.when === undefined)) {
+        warn('NO_DEFAULT_BRANCH', step.id, `Step ${step.id} has conditional next rules but no fallback rule`);
+      }
+    }
+
+    getEdges(step).filter(edge => edge.target !== undefined).forEach(({ label, target }) => {
+      const key = nodeKey(target);
+      if (key !== SUMMARY_STEP && !stepsById.has(key)) {
+        error('MISSING_TARGET', step.id, `Step ${step.id}${label ? ` ("${label}")` : ''} points to missing step ${target}`);
+      }
+      if (key === nodeKey(step.id)) {
+        error('SELF_LOOP', step.id, `Step ${step.id}${label ? ` ("${label}")` : ''} routes back to itself`);
+      }
+    });
+
+    if (step.type === 'single_choice') {
+      const options = step.options || [];
+      if (options.length === 0) {
+        error('NO_OPTIONS', step.id, `Step ${step.id} is single_choice but has no options`);
+      }
+
+      if (step.next && typeof step.next === 'object' && !Array.isArray(step.next)) {
+        const values = options.map(o => o.value);
+        // A permanently disabled option is rejected before routing, so it needs no branch
+        options
+          .filter(o => o.enabled !== false && !Object.prototype.hasOwnProperty.call(step.next, o.value))
+          .forEach(o => error('UNROUTED_OPTION', step.id, `Option "${o.value}" of step ${step.id} has no branch in next`));
+        Object.keys(step.next)
+          .filter(value => !values.includes(value))
+          .forEach(value => warn('UNKNOWN_BRANCH', step.id, `Branch "${value}" of step ${step.id} matches no option`));
+      }
+    }
+  });
+
+  // ✅ Graph checks: reachability from the entry step and towards the summary
+  const entryKey = nodeKey(steps[0].id);
+  const successors = new Map();
+  const predecessors = new Map([[SUMMARY_STEP, []]]);
+  steps.forEach(step => predecessors.set(nodeKey(step.id), []));
+
+  steps.forEach(step => {
+    const from = nodeKey(step.id);
+    const targets = getEdges(step)
+      .filter(edge => edge.target !== undefined)
+      .map(edge => nodeKey(edge.target))
+      .filter(key => key === SUMMARY_STEP || stepsById.has(key));
+    successors.set(from, targets);
+    targets.forEach(to => predecessors.get(to).push(from));
+  });
+
+  const walk = (start, neighbours) => {
+    const seen = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      (neighbours.get(current) || []).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      });
+    }
+    return seen;
+  };
+
+  const reachable = walk(entryKey, successors);
+  const reachesSummary = walk(SUMMARY_STEP, predecessors);
+
+  steps.forEach(step => {
+    const key = nodeKey(step.id);
+    if (!reachable.has(key)) {
+      warn('UNREACHABLE_STEP', step.id, `Step ${step.id} cannot be reached from step ${steps[0].id}`);
+    }
+    if (!reachesSummary.has(key)) {
+      error('NO_PATH_TO_SUMMARY', step.id, `Summary cannot be reached from step ${step.id}`);
+    }
+  });
+
+  // ✅ Fields guaranteed to be collected before each node, intersected over all incoming paths
+  const allFields = new Set(steps.map(step => step.field).filter(Boolean));
+  const collectedBefore = new Map();
+  [...reachable].forEach(key => collectedBefore.set(key, key === entryKey ? new Set() : new Set(allFields)));
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    [...reachable].forEach(key => {
+      if (key === entryKey) return;
+      const incoming = predecessors.get(key).filter(pred => reachable.has(pred));
+      let next = null;
+      incoming.forEach(pred => {
+        const available = new Set(collectedBefore.get(pred));
+        const field = stepsById.get(pred).field;
+        if (field) available.add(field);
+        next = next === null ? available : new Set([...next].filter(f => available.has(f)));
+      });
+      next = next || new Set();
+      const current = collectedBefore.get(key);
+      if (next.size !== current.size || [...next].some(f => !current.has(f))) {
+        collectedBefore.set(key, next);
+        changed = true;
+      }
+    });
+  }
+
+  const checkPlaceholders = (key, texts, label) => {
+    const available = collectedBefore.get(key);
+    if (!available) return;
+    texts.flatMap(extractPlaceholders)
+      .filter(field => !available.has(field))
+      .forEach(field => error(
+        'UNCOLLECTED_PLACEHOLDER',
+        key === SUMMARY_STEP ? SUMMARY_STEP : stepsById.get(key).id,
+        `${label} uses {{${field}}}, which is not collected on every path into it`
+      ));
+  };
+
+  steps.forEach(step => {
+    const texts = [step.question, ...(step.options || []).map(o => o.text)];
+    checkPlaceholders(nodeKey(step.id), texts, `Step ${step.id}`);
+
+    // Expressions may read any field collected before the step; `next` rules also see this step's answer
+    const available = collectedBefore.get(nodeKey(step.id));
+    if (!available) return;
+    getExpressions(step).forEach(({ source, scope }) => {
+      safeIdentifiers(source)
+        .filter(name => name !== 'value' && !available.has(name) && !(scope === 'next' && name === step.field))
+        .forEach(name => error(
+          'UNCOLLECTED_EXPRESSION_FIELD',
+          step.id,
+          `Step ${step.id} expression "${source}" reads "${name}", which is not collected on every path into it`
+        ));
+    });
+  });
+
+  const summary = flow.summary_template || {};
+  checkPlaceholders(SUMMARY_STEP, [summary.title, summary.closing_message], 'Summary');
+
+  // Summary fields must be collected on at least one path
+  const collectableFields = new Set(
+    steps.filter(step => reachable.has(nodeKey(step.id))).map(step => step.field)
+  );
+  (summary.fields || []).forEach(({ key }) => {
+    if (!collectableFields.has(key)) {
+      error('UNCOLLECTED_SUMMARY_FIELD', SUMMARY_STEP, `Summary field "${key}" is never collected by a reachable step`);
+    }
+  });
+
+  // Choices that neither branch, fire a trigger, feed a template nor appear in the summary go nowhere
+  const usedFields = new Set([
+    ...(summary.fields || []).map(field => field.key),
+    ...[summary.title, summary.closing_message].flatMap(extractPlaceholders),
+    ...steps.flatMap(step => [step.question, ...(step.options || []).map(o => o.text)].flatMap(extractPlaceholders)),
+    ...steps.flatMap(step => getExpressions(step).flatMap(({ source }) => safeIdentifiers(source)))
+  ]);
+  steps
+    .filter(step => step.type === 'single_choice' && step.field && !usedFields.has(step.field))
+    .filter(step => !(step.next && typeof step.next === 'object') && !step.trigger_email && !step.trigger_meeting)
+    .forEach(step => error('UNUSED_ANSWER', step.id, `Answer "${step.field}" of step ${step.id} never affects routing, templates, triggers or the summary`));
+
+  // Clients on the legacy 1.x endpoint cannot evaluate expressions
+  const version = flow.metadata?.version;
+  if (semver.valid(version) && semver.major(version) < 2 && steps.some(step => getExpressions(step).length > 0)) {
+    warn('EXPRESSIONS_IN_V1', null, `Flow ${version} uses guard expressions; publish it as 2.0.0 or later so legacy clients are not served it`);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * ✅ Load, validate and log a flow file; resolves to the validation report.
+ * Published versions are never edited, so once `supersededBy` (a newer published version in the same
+ * major line) replaces one, its errors are reported as warnings - it is only kept for pinned sessions.
+ */
+const checkFlowFile = async (flowPath, { supersededBy = null } = {}) => {
+  const flow = await loadFlow(flowPath);
+  let report = validateFlow(flow);
+  if (supersededBy && !report.valid) {
+    report = {
+      valid: true,
+      errors: [],
+      warnings: [
+        ...report.warnings,
+        ...report.errors.map(issue => ({ ...issue, message: `${issue.message} (superseded by ${supersededBy})` }))
+      ]
+    };
+  }
+  const relative = path.relative(flowRegistry.FLOWS_DIR, flowPath);
+  const name = relative.startsWith('..') ? path.basename(flowPath) : relative;
+
+  report.warnings.forEach(issue => console.warn(`⚠️ [${name}] ${issue.code}: ${issue.message}`));
+  report.errors.forEach(issue => console.error(`❌ [${name}] ${issue.code}: ${issue.message}`));
+
+  if (report.valid) {
+    console.log(`✅ Flow ${name} passed validation (${report.warnings.length} warning(s))`);
+  }
+
+  return report;
+};
+
+// Validate every flow version in the registry; valid only if all of them are
+const checkAllFlows = async () => {
+  const entries = await flowRegistry.scanFlows();
+  const reports = [];
+
+  for (const entry of entries) {
+    const supersededBy = entry.status === 'published'
+      ? semver.maxSatisfying(
+        entries.filter(other => other.id === entry.id && other.status === 'published').map(other => other.version),
+        `>${entry.version} <${semver.major(entry.version) + 1}.0.0-0`
+      )
+      : null;
+    reports.push({ id: entry.id, version: entry.version, ...(await checkFlowFile(entry.path, { supersededBy })) });
+  }
+
+  return { valid: reports.every(report => report.valid), reports };
+};
+
+// Run as `npm run validate-flow [path/to/flow.json]`
+if (require.main === module) {
+  const run = process.argv[2] ? checkFlowFile(path.resolve(process.argv[2])) : checkAllFlows();
+  run
+    .then(report => process.exit(report.valid ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Failed to validate flow:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  validateFlow,
+  checkFlowFile,
+  checkAllFlows,
+  extractPlaceholders
+};
@@ -0,0 +1,107 @@
+// utils/i18n.js - Locale selection and string lookup for flows, validation and emails
+const path = require('path');
+
+const SUPPORTED_LOCALES = ['en', 'ta', 'hi', 'de'];
+const DEFAULT_LOCALE = 'en';
+
+// Flow keys whose values may be locale maps such as { "en": "...", "ta": "..." }
+const LOCALIZED_KEYS = ['question', 'text', 'validation_message', 'title', 'label', 'closing_message', 'description'];
+
+const catalogs = {};
+const getCatalog = (locale) => {
+  if (!catalogs[locale]) {
+    catalogs[locale] = require(path.join(__dirname, '..', 'locales', `${locale}.json`));
+  }
+  return catalogs[locale];
+};
+
+const normalizeLocale = (value) => {
+  if (typeof value !== 'string') return null;
+  const primary = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+};
+
+// Parse an Accept-Language header into supported locales ordered by q-value
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { locale: normalizeLocale(tag), q: q ? parseFloat(q.slice(2)) || 0 : 1, index };
+    })
+    .filter(entry => entry.locale && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.locale);
+};
+
+// ✅ `lang` (query or body) wins over Accept-Language; English is the fallback
+const resolveLocale = (req) => {
+  const explicit = normalizeLocale(req.query?.lang) || normalizeLocale(req.body?.lang);
+  if (explicit) return explicit;
+  return parseAcceptLanguage(req.get ? req.get('Accept-Language') : undefined)[0] || DEFAULT_LOCALE;
+};
+
+const isLocaleMap = (value) => {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => /^[a-z]{2}$/.test(key));
+};
+
+// Pick a string from a locale map, falling back to English and then to any translation
+const localize = (value, locale = DEFAULT_LOCALE) => {
+  if (!isLocaleMap(value)) return value;
+  return value[locale] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0];
+};
+
+// ✅ Deep copy of a flow with every locale map collapsed to a plain string
+const localizeFlow = (node, locale = DEFAULT_LOCALE) => {
+  if (Array.isArray(node)) {
+    return node.map(item => (isLocaleMap(item) ? localize(item, locale) : localizeFlow(item, locale)));
+  }
+  if (!node || typeof node !== 'object') return node;
+
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [
+    key,
+    LOCALIZED_KEYS.includes(key) && isLocaleMap(value) ? localize(value, locale) : localizeFlow(value, locale)
+  ]));
+};
+
+const interpolate = (text, params = {}) => {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    params[key] === undefined || params[key] === null ? '' : String(params[key])
+  ));
+};
+
+// ✅ Translate a dotted catalog key, e.g. t('validation.email.invalid', 'ta')
+const t = (key, locale = DEFAULT_LOCALE, params = {}) => {
+  const lookup = (catalog) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+  const activeLocale = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const text = lookup(getCatalog(activeLocale)) ?? lookup(getCatalog(DEFAULT_LOCALE));
+  return typeof text === 'string' ? interpolate(text, params) : key;
+};
+
+const DATE_LOCALES = { en: 'en-IN', ta: 'ta-IN', hi: 'hi-IN', de: 'de-DE' };
+
+// ✅ Format an instant as an Asia/Kolkata date and time in the reader's language
+const formatDateTime = (date, locale = DEFAULT_LOCALE) => {
+  const activeLocale = normalizeLocale(locale) || DEFAULT_LOCALE;
+  return new Date(date).toLocaleString(DATE_LOCALES[activeLocale], {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'full',
+    timeStyle: 'short'
+  });
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALIZED_KEYS,
+  normalizeLocale,
+  parseAcceptLanguage,
+  resolveLocale,
+  isLocaleMap,
+  localize,
+  localizeFlow,
+  formatDateTime,
+  t
+};
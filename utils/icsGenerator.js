@@ -0,0 +1,183 @@
+// utils/icsGenerator.js - iCalendar (RFC 5545) invites for meetings and consultations
+const { TIMEZONE, UTC_OFFSET_MINUTES } = require('./availability');
+const { getMailConfig } = require('./mail/config');
+
+const METHODS = ['REQUEST', 'CANCEL'];
+const PRODID = '-//Payana Overseas//Consultation Booking//EN';
+const UID_DOMAIN = 'payanaoverseas.com';
+const DEFAULT_REMINDER_MINUTES = 30;
+
+// Control characters other than line breaks, which TEXT values keep as \n
+const CONTROL_CHARS = /[\x00-\x09\x0b\x0c\x0e-\x1f\x7f]/g;
+const ADDRESS_PATTERN = /^[^\s@<>()[\]\\,;:"\x00-\x1f\x7f]+@[^\s@<>()[\]\\,;:"\x00-\x1f\x7f]+\.[^\s@<>()[\]\\,;:"\x00-\x1f\x7f]+$/;
+
+// Escape TEXT values (backslash, semicolon, comma and newlines); other control characters are dropped
+const escapeText = (value) => String(value ?? '')
+  .replace(CONTROL_CHARS, '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+// Parameter values (CN) cannot be escaped, so line breaks, control characters and ";:, are removed
+const paramValue = (value) => String(value).replace(/[\x00-\x1f\x7f";:,]/g, '');
+
+// A single plain address - anything that could end the mailto: line is refused before the invite is built
+const isCalendarAddress = (email) => typeof email === 'string' && email.length <= 254 && ADDRESS_PATTERN.test(email);
+
+// Fold lines longer than 75 octets, continuing with a single leading space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// Asia/Kolkata wall-clock time for a UTC instant
+const formatLocal = (date) => {
+  const d = new Date(new Date(date).getTime() + UTC_OFFSET_MINUTES * 60 * 1000);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+};
+
+const formatOffset = () => {
+  const sign = UTC_OFFSET_MINUTES >= 0 ? '+' : '-';
+  const minutes = Math.abs(UTC_OFFSET_MINUTES);
+  return `${sign}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+const person = (property, { name, email }, params = []) => {
+  const cn = name ? [`CN=${paramValue(name)}`] : [];
+  return `${property};${[...cn, ...params].join(';')}:mailto:${email}`;
+};
+
+const getOrganizer = () => {
+  const { fromName, fromAddress } = getMailConfig();
+  return {
+    name: fromName,
+    email: process.env.MEETING_ORGANIZER_EMAIL || fromAddress
+  };
+};
+
+const buildUid = (id) => `${id}@${UID_DOMAIN}`;
+
+/**
+ * Build an iCalendar document with a single VEVENT.
+ *   uid, sequence       stable event id and revision; bump `sequence` for every update or cancellation
+ *   method              REQUEST (new or updated invite) or CANCEL
+ *   start, end          UTC instants (Date or ISO string), written in Asia/Kolkata time
+ *   summary, description, location, url
+ *   organizer           { name, email } (defaults to MEETING_ORGANIZER_EMAIL / the mail sender)
+ *   attendees           [{ name, email }]
+ *   reminderMinutes     display alarm before the start (default 30, 0 to omit)
+ */
+const generateIcs = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer = getOrganizer(),
+  attendees: attendeeList = [],
+  reminderMinutes = DEFAULT_REMINDER_MINUTES
+}) => {
+  const attendees = attendeeList
+    .filter(a => a && a.email)
+    .map(a => ({ ...a, email: typeof a.email === 'string' ? a.email.trim() : a.email }));
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unsupported iCalendar method "${method}"`);
+  }
+  if (!uid || !start || !end) {
+    throw new Error('An invite needs a uid, start and end');
+  }
+  const invalid = [organizer, ...attendees].find(({ email }) => !isCalendarAddress(email));
+  if (invalid) {
+    throw new Error(`Invalid calendar address ${JSON.stringify(invalid.email)}`);
+  }
+
+  const offset = formatOffset();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    'TZNAME:IST',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocal(start)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${String(url).replace(/[\x00-\x20\x7f]/g, '')}`);
+
+  lines.push(person('ORGANIZER', organizer));
+  attendees.forEach(attendee => {
+    lines.push(person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=TRUE']));
+  });
+
+  lines.push(`STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`);
+
+  if (method === 'REQUEST' && reminderMinutes > 0) {
+    lines.push(
+      'BEGIN:VALARM',
+      `TRIGGER:-PT${reminderMinutes}M`,
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(`Reminder: ${summary}`)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ✅ Nodemailer `icalEvent` option for an invite, so mail clients show accept/decline controls
+const toMailEvent = (invite) => ({
+  method: invite.method || 'REQUEST',
+  filename: invite.method === 'CANCEL' ? 'cancellation.ics' : 'invite.ics',
+  content: generateIcs(invite)
+});
+
+module.exports = {
+  METHODS,
+  buildUid,
+  isCalendarAddress,
+  getOrganizer,
+  generateIcs,
+  toMailEvent
+};
@@ -0,0 +1,28 @@
+// utils/mail/attachments.js - Load stored files for queued emails at send time
+const { getFileStorage } = require('../fileStorage');
+
+// ✅ Replace { storageKey } attachments with their content; files deleted since queueing are skipped
+const resolveAttachments = async (mail) => {
+  if (!(mail.attachments || []).some(attachment => attachment.storageKey)) return mail;
+
+  const storage = getFileStorage();
+  const attachments = [];
+  for (const attachment of mail.attachments) {
+    if (!attachment.storageKey) {
+      attachments.push(attachment);
+      continue;
+    }
+
+    const { storageKey, ...rest } = attachment;
+    const file = await storage.read(storageKey);
+    if (!file) {
+      console.warn('⚠️ Attachment no longer in file storage, sending without it:', storageKey);
+      continue;
+    }
+    attachments.push({ ...rest, content: file.content });
+  }
+
+  return { ...mail, attachments };
+};
+
+module.exports = { resolveAttachments };
@@ -0,0 +1,55 @@
+// utils/mail/config.js - Single place for sender, recipients and contact details used by every email
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_ADMIN_EMAIL = 'admin@payanaoverseas.com';
+const DEFAULT_SUPPORT_PHONE = '+91 9003619777';
+const DEFAULT_MEMORY_LIMIT = 100;
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+/**
+ * Mail settings from the environment:
+ *   MAIL_FROM_NAME / MAIL_FROM    sender (defaults to "Payana Overseas" <SMTP_USER>)
+ *   ADMIN_EMAIL                   comma-separated admin recipients
+ *   MAIL_REPLY_TO                 where candidate replies go (defaults to the first admin recipient)
+ *   SUPPORT_EMAIL / SUPPORT_PHONE contact details printed in templates
+ *   CONSULTATION_FEEDBACK_URL     link in the completion email
+ *   MAIL_TRANSPORT                smtp | file | memory (defaults to smtp in production, memory elsewhere)
+ *   MAIL_FILE_DIR                 where the file transport writes .eml files
+ *   MAIL_MEMORY_LIMIT             how many messages the memory transport keeps
+ */
+const getMailConfig = () => {
+  const fromName = process.env.MAIL_FROM_NAME || 'Payana Overseas';
+  const fromAddress = process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@payanaoverseas.com';
+  const adminRecipients = splitList(process.env.ADMIN_EMAIL);
+  const admins = adminRecipients.length > 0 ? adminRecipients : [DEFAULT_ADMIN_EMAIL];
+
+  return {
+    fromName,
+    fromAddress,
+    from: `"${fromName}" <${fromAddress}>`,
+    adminRecipients: admins,
+    replyTo: process.env.MAIL_REPLY_TO || admins[0],
+    supportEmail: process.env.SUPPORT_EMAIL || admins[0],
+    supportPhone: process.env.SUPPORT_PHONE || DEFAULT_SUPPORT_PHONE,
+    feedbackUrl: process.env.CONSULTATION_FEEDBACK_URL || 'https://payanaoverseas.com/feedback',
+    transport: (process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'memory')).toLowerCase(),
+    smtp: {
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: process.env.SMTP_PORT || 587,
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null
+    },
+    fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'payana-mail'),
+    memoryLimit: Math.max(1, parseInt(process.env.MAIL_MEMORY_LIMIT, 10) || DEFAULT_MEMORY_LIMIT)
+  };
+};
+
+module.exports = {
+  DEFAULT_ADMIN_EMAIL,
+  getMailConfig
+};
@@ -0,0 +1,40 @@
+// utils/mail/htmlToText.js - Plain-text alternative generated from rendered email HTML
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&([a-z0-9#]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+
+/**
+ * Convert email HTML into readable text:
+ *   headings and paragraphs become separate lines, list items get a "- " bullet,
+ *   table cells on one row are joined with a space, links keep their URL in brackets.
+ */
+const htmlToText = (html) => {
+  const text = String(html || '')
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const plain = label.replace(/<[^>]+>/g, '').trim();
+      const target = href.replace(/^(mailto|tel):/i, '');
+      const same = plain.replace(/\s+/g, '') === target.replace(/\s+/g, '');
+      return plain && !same ? `${plain} [${target}]` : plain || target;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(h[1-6])>/gi, '\n\n')
+    .replace(/<(h[1-6])[^>]*>/gi, '\n\n')
+    .replace(/<\/(p|div|tr|table|ul|ol)>/gi, '\n')
+    .replace(/<\/td>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+};
+
+module.exports = { htmlToText };
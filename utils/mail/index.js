@@ -0,0 +1,427 @@
+// utils/mail/index.js - Mail service: renders file templates and queues every email through the outbox
+const fs = require('fs');
+const path = require('path');
+const { t, formatDateTime, normalizeLocale, DEFAULT_LOCALE } = require('../i18n');
+const { buildUid, toMailEvent } = require('../icsGenerator');
+const { parse, render } = require('./templateEngine');
+const { htmlToText } = require('./htmlToText');
+const { getMailConfig } = require('./config');
+const { enqueueEmail } = require('./outbox');
+const { testConnection } = require('./transport');
+const { isStoredResume } = require('../resumeFiles');
+const samples = require('./samples');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', '..', 'templates', 'email');
+const TEMPLATE_NAME_PATTERN = /^(?:(layouts|partials)\/)?[a-z0-9-]+$/;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+// Where the completion email sends candidates to rate their consultation
+const getFeedbackUrl = (consultationData) => {
+  const base = getMailConfig().feedbackUrl;
+  return `${base}${base.includes('?') ? '&' : '?'}booking=${encodeURIComponent(consultationData.id)}`;
+};
+
+const MEETING_KEY_SUFFIX = { scheduled: '', updated: 'Updated', cancelled: 'Cancelled' };
+
+// Resume profile (see utils/resumeParser) flattened for the admin booking email
+const summarizeResumeProfile = (resume) => {
+  const profile = resume && resume.profile;
+  if (!profile) return null;
+  if (profile.status !== 'parsed') return { parsed: false, status: profile.status };
+
+  return {
+    parsed: true,
+    skills: profile.skills.join(', '),
+    experienceYears: profile.experienceYears,
+    education: profile.education,
+    checks: Object.entries(profile.checks).map(([field, result]) => ({ field, result, mismatch: result === 'mismatch' })),
+    mismatches: profile.mismatches.map(({ field, submitted, found }) => ({ field, submitted, found: found.join('; ') }))
+  };
+};
+
+// Template name -> (data, locale) => render data, from what its sender receives (samples use the same shape)
+const TEMPLATE_DATA = {
+  'consultation-admin': (consultation) => ({
+    ...consultation,
+    careerGoals: consultation.careerGoals ? consultation.careerGoals.trim() : '',
+    resumeProfile: summarizeResumeProfile(consultation.resume)
+  }),
+  'consultation-user': (consultation) => consultation,
+  'consultation-confirmed': ({ consultation, rescheduled = false }) => ({ ...consultation, rescheduled }),
+  'consultation-cancelled': ({ consultation, reason }) => ({ ...consultation, reason }),
+  'consultation-completed': (consultation) => ({ ...consultation, feedbackUrl: getFeedbackUrl(consultation) }),
+  'feedback-alert': ({ feedback, conversation }) => ({
+    ...feedback,
+    name: conversation?.responses?.name,
+    email: conversation?.responses?.email
+  }),
+  'german-program': (application) => ({
+    ...application,
+    submittedAt: application.submittedAt || new Date().toISOString()
+  }),
+  'meeting-invite': ({ meeting, kind = 'scheduled' }, locale) => ({
+    ...meeting,
+    kind,
+    suffix: MEETING_KEY_SUFFIX[kind] ?? '',
+    cancelled: kind === 'cancelled',
+    when: formatDateTime(meeting.slotStart, locale)
+  })
+};
+
+// Front-matter is "key: value" lines between two "---" lines at the top of the file
+const splitFrontMatter = (source) => {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (!match) return { meta: {}, body: source };
+
+  const meta = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return { meta, body: source.slice(match[0].length) };
+};
+
+const templateCache = new Map();
+
+// ✅ Parsed template file; cached in production so edits show up immediately in development
+const loadTemplate = (name) => {
+  const cache = process.env.NODE_ENV === 'production';
+  if (cache && templateCache.has(name)) return templateCache.get(name);
+
+  const file = path.join(TEMPLATE_DIR, `${name}.html`);
+  if (!TEMPLATE_NAME_PATTERN.test(name) || !fs.existsSync(file)) {
+    throw notFound(`Unknown email template "${name}"`);
+  }
+
+  const { meta, body } = splitFrontMatter(fs.readFileSync(file, 'utf8'));
+  const template = {
+    name,
+    meta: Object.fromEntries(Object.entries(meta).map(([key, value]) => [key, parse(value)])),
+    body: parse(body)
+  };
+
+  if (cache) templateCache.set(name, template);
+  return template;
+};
+
+const buildHelpers = (locale) => ({
+  // {{t "email.meetingInvite.heading" suffix name=name}} - positional parts are joined into the key
+  t: (...args) => {
+    const { hash } = args.pop();
+    return t(args.join(''), locale, hash);
+  },
+  eq: (a, b) => a === b,
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  formatDateTime: (value) => (value ? formatDateTime(value, locale) : ''),
+  kilobytes: (bytes) => (Number(bytes || 0) / 1024).toFixed(1),
+  stars: (rating) => '★'.repeat(rating) + '☆'.repeat(5 - rating)
+});
+
+// Values every template can use as {{mail.*}}
+const getTemplateGlobals = () => {
+  const config = getMailConfig();
+  return {
+    supportEmail: config.supportEmail,
+    supportPhone: config.supportPhone,
+    supportPhoneHref: config.supportPhone.replace(/[^\d+]/g, '')
+  };
+};
+
+class MailService {
+
+  // ✅ Render a named template into { subject, html, text }
+  render(name, data = {}, locale = DEFAULT_LOCALE) {
+    const activeLocale = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const template = loadTemplate(name);
+    const options = {
+      helpers: buildHelpers(activeLocale),
+      partials: (partial) => loadTemplate(`partials/${partial}`).body
+    };
+    const context = { ...data, locale: activeLocale, mail: getTemplateGlobals() };
+
+    // Front-matter values are plain text; the layout escapes them where they land in HTML
+    const page = Object.fromEntries(Object.entries(template.meta).map(([key, tree]) => [
+      key,
+      render(tree, context, { ...options, escape: false }).trim()
+    ]));
+
+    let html = render(template.body, { ...context, page }, options);
+    if (page.layout) {
+      html = render(loadTemplate(`layouts/${page.layout}`).body, { ...context, page, body: html }, options);
+    }
+
+    return {
+      subject: page.subject || '',
+      html: html.trim(),
+      text: htmlToText(html)
+    };
+  }
+
+  // Templates available for sending and previewing
+  listTemplates() {
+    return fs.readdirSync(TEMPLATE_DIR)
+      .filter(file => file.endsWith('.html'))
+      .map(file => {
+        const name = file.replace(/\.html$/, '');
+        const { meta } = splitFrontMatter(fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8'));
+        return { name, layout: meta.layout || null, hasSample: !!samples[name] };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // ✅ Render a template with its sample data (admin preview)
+  preview(name, locale) {
+    loadTemplate(name);
+    if (!samples[name]) throw notFound(`No sample data for email template "${name}"`);
+    const build = TEMPLATE_DATA[name] || ((data) => data);
+    return this.render(name, build(samples[name], locale), locale);
+  }
+
+  // ✅ Render and queue a template; category defaults to the template name
+  async sendTemplate(name, data, { locale, to, cc, replyTo, attachments, icalEvent, category, reference } = {}) {
+    const build = TEMPLATE_DATA[name] || ((value) => value);
+    const { subject, html, text } = this.render(name, build(data, locale), locale);
+    const config = getMailConfig();
+
+    return enqueueEmail({
+      from: config.from,
+      to,
+      cc,
+      replyTo: replyTo || config.replyTo,
+      subject,
+      html,
+      text,
+      attachments,
+      icalEvent
+    }, { category: category || name, reference });
+  }
+
+  // Admin recipients as one address list
+  getAdminRecipients() {
+    return getMailConfig().adminRecipients.join(', ');
+  }
+
+  // ✅ Booking notification to the admin team (with the resume attached) and confirmation to the candidate
+  async sendConsultationEmails(consultationData) {
+    try {
+      console.log('📧 Starting email send process...');
+
+      // ✅ The resume is referenced by storage key and loaded only when the outbox sends the email
+      const attachments = [];
+
+      if (isStoredResume(consultationData.resume)) {
+        attachments.push({
+          filename: consultationData.resume.originalName || `resume${consultationData.resume.extension || '.pdf'}`,
+          contentType: consultationData.resume.mimetype || 'application/pdf',
+          storageKey: consultationData.resume.key
+        });
+        console.log('📎 Resume attachment prepared:', consultationData.resume.originalName);
+      }
+
+      // ✅ Queue both emails; the booking no longer waits on SMTP
+      const [adminResult, userResult] = await Promise.all([
+        this.sendTemplate('consultation-admin', consultationData, {
+          to: this.getAdminRecipients(),
+          replyTo: consultationData.email,
+          attachments,
+          reference: consultationData.id
+        }),
+        this.sendTemplate('consultation-user', consultationData, {
+          locale: consultationData.locale,
+          to: consultationData.email,
+          reference: consultationData.id
+        })
+      ]);
+
+      return {
+        success: true,
+        queued: true,
+        adminOutboxId: adminResult.outboxId,
+        userOutboxId: userResult.outboxId,
+        message: 'Consultation emails queued for delivery',
+        attachments: attachments.length
+      };
+
+    } catch (error) {
+      console.error('❌ Error sending consultation emails:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to send consultation emails'
+      };
+    }
+  }
+
+  // Calendar invite for a scheduled consultation appointment
+  buildConsultationInvite(consultationData, method) {
+    const { appointment } = consultationData;
+    const summary = t('email.consultationConfirmed.summary', consultationData.locale, {
+      service: consultationData.interestedService
+    });
+
+    return toMailEvent({
+      uid: appointment.uid,
+      sequence: appointment.sequence,
+      method,
+      start: appointment.start,
+      end: appointment.end,
+      summary,
+      description: [summary, `Booking ID: ${consultationData.id}`, appointment.meetingLink].filter(Boolean).join('\n'),
+      location: appointment.location,
+      url: appointment.meetingLink,
+      attendees: [{ name: consultationData.fullName, email: consultationData.email }]
+    });
+  }
+
+  // ✅ Confirmation (or reschedule) email with a METHOD:REQUEST invite when an appointment is set
+  async sendConsultationConfirmationEmail(consultationData, { rescheduled = false } = {}) {
+    try {
+      console.log('📧 Sending consultation confirmation email for:', consultationData.id);
+
+      return await this.sendTemplate('consultation-confirmed', { consultation: consultationData, rescheduled }, {
+        locale: consultationData.locale,
+        to: consultationData.email,
+        icalEvent: consultationData.appointment ? this.buildConsultationInvite(consultationData, 'REQUEST') : undefined,
+        category: rescheduled ? 'consultation-rescheduled' : 'consultation-confirmed',
+        reference: consultationData.id
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending confirmation email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ✅ Cancellation email; retracts the calendar invite with METHOD:CANCEL when one was sent
+  async sendConsultationCancellationEmail(consultationData, { reason } = {}) {
+    try {
+      console.log('📧 Sending consultation cancellation email for:', consultationData.id);
+
+      return await this.sendTemplate('consultation-cancelled', { consultation: consultationData, reason }, {
+        locale: consultationData.locale,
+        to: consultationData.email,
+        icalEvent: consultationData.appointment ? this.buildConsultationInvite(consultationData, 'CANCEL') : undefined,
+        reference: consultationData.id
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending cancellation email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ✅ Completion email with next steps and a feedback link
+  async sendConsultationCompletedEmail(consultationData) {
+    try {
+      console.log('📧 Sending consultation completed email for:', consultationData.id);
+
+      return await this.sendTemplate('consultation-completed', consultationData, {
+        locale: consultationData.locale,
+        to: consultationData.email,
+        reference: consultationData.id
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending completed email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ✅ Email for a status change: 'confirmed', 'rescheduled', 'cancelled' or 'completed'
+  // `message` is shown to the candidate; the consultation's internal notes never are
+  async sendStatusChangeEmail(consultationData, type, { reason, message } = {}) {
+    const { notes, ...candidateData } = { ...consultationData, message: message || null };
+    switch (type) {
+      case 'confirmed':
+      case 'rescheduled':
+        return this.sendConsultationConfirmationEmail(candidateData, { rescheduled: type === 'rescheduled' });
+      case 'cancelled':
+        return this.sendConsultationCancellationEmail(candidateData, { reason });
+      case 'completed':
+        return this.sendConsultationCompletedEmail(candidateData);
+      default:
+        return { success: false, error: `No email for status change "${type}"` };
+    }
+  }
+
+  // ✅ German Program application to the admin team, copied to the candidate (in the candidate's locale)
+  async sendGermanProgramEmail(emailData, { attachments = [] } = {}) {
+    try {
+      return await this.sendTemplate('german-program', emailData, {
+        locale: emailData.locale,
+        to: this.getAdminRecipients(),
+        cc: emailData.email,
+        replyTo: emailData.email,
+        attachments,
+        reference: emailData.conversationId || null
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending German Program email:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to send email'
+      };
+    }
+  }
+
+  // ✅ Send the candidate a meeting invite (or update / cancellation) with an .ics calendar event
+  async sendMeetingInviteEmail(meeting, kind = 'scheduled') {
+    try {
+      const summary = t('email.meetingInvite.summary', meeting.locale);
+
+      return await this.sendTemplate('meeting-invite', { meeting, kind }, {
+        locale: meeting.locale,
+        to: meeting.email,
+        icalEvent: toMailEvent({
+          uid: buildUid(meeting.id),
+          sequence: meeting.sequence || 0,
+          method: kind === 'cancelled' ? 'CANCEL' : 'REQUEST',
+          start: meeting.slotStart,
+          end: meeting.slotEnd,
+          summary,
+          description: meeting.meetingLink ? `${summary}\n${meeting.meetingLink}` : summary,
+          location: meeting.meetingLink,
+          url: meeting.meetingLink,
+          attendees: [{ name: meeting.name, email: meeting.email }]
+        }),
+        category: `meeting-${kind}`,
+        reference: meeting.id
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending meeting invite:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to send meeting invite'
+      };
+    }
+  }
+
+  // ✅ Alert the admin team about a low chatbot rating
+  async sendFeedbackAlertEmail(feedback, conversation) {
+    try {
+      return await this.sendTemplate('feedback-alert', { feedback, conversation }, {
+        to: this.getAdminRecipients(),
+        reference: feedback.id
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending feedback alert email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async testConnection() {
+    return testConnection();
+  }
+}
+
+module.exports = new MailService();
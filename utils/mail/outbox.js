@@ -0,0 +1,129 @@
+// utils/mail/outbox.js - Durable email delivery: persist first, send in the background with retries
+const outboxRepository = require('../../repositories/outboxRepository');
+const { sendMail } = require('./transport');
+const { resolveAttachments } = require('./attachments');
+
+const BATCH_SIZE = 10;
+
+const getOutboxConfig = () => ({
+  maxAttempts: Math.max(1, parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5),
+  retryBaseSeconds: Math.max(1, parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 30),
+  retryMaxSeconds: Math.max(1, parseInt(process.env.EMAIL_RETRY_MAX_SECONDS, 10) || 60 * 60),
+  pollSeconds: Math.max(1, parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS, 10) || 15)
+});
+
+// Exponential backoff: base, 2x base, 4x base ... capped at retryMaxSeconds
+const getRetryDelayMs = (attempts, config = getOutboxConfig()) => (
+  Math.min(config.retryBaseSeconds * 2 ** Math.max(0, attempts - 1), config.retryMaxSeconds) * 1000
+);
+
+let running = null;
+
+// ✅ Send everything that is due; overlapping calls share the run in progress
+const processOutbox = () => {
+  if (running) return running;
+
+  running = (async () => {
+    const config = getOutboxConfig();
+    const summary = { sent: 0, failed: 0, dead: 0 };
+
+    let batch = await outboxRepository.claimDue(BATCH_SIZE);
+    while (batch.length > 0) {
+      for (const message of batch) {
+        try {
+          const mail = await resolveAttachments(message.mail);
+          const messageId = await sendMail(mail, { label: `${message.category} email`, id: message.id });
+          await outboxRepository.markSent(message.id, messageId);
+          summary.sent++;
+          console.log(`✅ Outbox ${message.id} sent (attempt ${message.attempts}):`, messageId);
+        } catch (error) {
+          // Backoff restarts after an admin resend
+          const attempt = message.attempts - (message.resendBaseAttempts || 0);
+          const updated = await outboxRepository.markFailed(message.id, error.message, getRetryDelayMs(attempt, config));
+          if (updated && updated.status === 'dead') {
+            summary.dead++;
+            console.error(`💀 Outbox ${message.id} dead-lettered after ${message.attempts} attempt(s):`, error.message);
+          } else {
+            summary.failed++;
+            console.warn(`⚠️ Outbox ${message.id} failed (attempt ${message.attempts}), retrying at ${updated && updated.nextAttemptAt}:`, error.message);
+          }
+        }
+      }
+      batch = await outboxRepository.claimDue(BATCH_SIZE);
+    }
+
+    return summary;
+  })();
+
+  running
+    .catch(error => console.error('❌ Email outbox run failed:', error))
+    .finally(() => { running = null; });
+
+  return running;
+};
+
+// Kick off a run without making the caller wait for SMTP
+const scheduleProcessing = () => {
+  setImmediate(() => processOutbox().catch(() => {}));
+};
+
+/**
+ * Persist a message and return immediately; delivery happens in the background.
+ *   mail      nodemailer message options (must be JSON-serialisable: attachments by path, not Buffer)
+ *   category  label shown in the admin outbox, e.g. 'consultation-admin'
+ *   reference id of the record the email is about (consultation, meeting, conversation ...)
+ */
+const enqueueEmail = async (mail, { category, reference } = {}) => {
+  const message = await outboxRepository.enqueue(mail, {
+    category,
+    reference,
+    maxAttempts: getOutboxConfig().maxAttempts
+  });
+
+  console.log(`📮 Queued ${message.category} email ${message.id} to:`, mail.to);
+  scheduleProcessing();
+
+  return {
+    success: true,
+    queued: true,
+    outboxId: message.id,
+    message: 'Email queued for delivery'
+  };
+};
+
+// Admin resend: a dead, failed or sent message goes back in the queue with a fresh set of attempts
+const resendEmail = async (id, requestedBy) => {
+  const message = await outboxRepository.requeue(id, {
+    maxAttempts: getOutboxConfig().maxAttempts,
+    requestedBy
+  });
+  if (message) scheduleProcessing();
+  return message;
+};
+
+let timer = null;
+
+// ✅ Poll for retries that have come due; the timer never keeps the process alive on its own
+const startOutboxWorker = () => {
+  if (timer) return;
+  const { pollSeconds } = getOutboxConfig();
+  timer = setInterval(() => processOutbox().catch(() => {}), pollSeconds * 1000);
+  timer.unref();
+  scheduleProcessing();
+  console.log(`📮 Email outbox worker polling every ${pollSeconds}s`);
+};
+
+const stopOutboxWorker = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  getOutboxConfig,
+  getRetryDelayMs,
+  enqueueEmail,
+  resendEmail,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker
+};
@@ -0,0 +1,128 @@
+// utils/mail/samples.js - Sample data for email template previews (same shape the senders pass in)
+const SAMPLE_CONSULTATION = {
+  id: 'CONS-1760000000000-SAMPLE123',
+  fullName: 'Priya Raman',
+  email: 'priya.raman@example.com',
+  phone: '9876543210',
+  age: 27,
+  education: 'B.E. Mechanical Engineering',
+  experience: '3 years',
+  currentStatus: 'employed',
+  interestedService: 'Career Guidance',
+  careerGoals: 'Move into a product design role abroad within two years.',
+  preferredMode: 'online',
+  preferredTime: 'morning',
+  additionalInfo: 'Available after 6 PM on weekdays.',
+  resume: {
+    originalName: 'priya-raman-resume.pdf',
+    size: 184320,
+    mimetype: 'application/pdf',
+    profile: {
+      status: 'parsed',
+      textLength: 2840,
+      emails: ['priya.r@example.org'],
+      phones: ['9876543210'],
+      education: [
+        { degree: 'BE', text: 'B.E. Mechanical Engineering, Anna University 2016 - 2020', year: 2020 }
+      ],
+      experienceYears: 3,
+      experienceSource: 'stated',
+      skills: ['mechanical', 'german'],
+      checks: { email: 'mismatch', phone: 'match', education: 'match' },
+      mismatches: [
+        { field: 'email', submitted: 'priya.raman@example.com', found: ['priya.r@example.org'] }
+      ],
+      parsedAt: '2026-10-12T05:30:01.000Z'
+    }
+  },
+  status: 'confirmed',
+  locale: 'en',
+  notes: [
+    {
+      id: 'NOTE-1760000000000-SAMPLE01',
+      text: 'Called the candidate, prefers an online session.',
+      author: { id: 'USR-1760000000000-SAMPLE01', name: 'Anitha', role: 'counsellor' },
+      createdAt: '2026-10-12T06:00:00.000Z'
+    }
+  ],
+  assignedCounsellor: {
+    id: 'USR-1760000000000-SAMPLE01',
+    name: 'Anitha',
+    assignedAt: '2026-10-12T05:30:00.000Z',
+    assignedBy: null,
+    method: 'least-loaded'
+  },
+  duplicate: {
+    of: [{ id: 'CONS-1759990000000-SAMPLE122', submittedAt: '2026-10-11T09:15:00.000Z', status: 'pending', matchedOn: ['email'] }],
+    windowHours: 72,
+    detectedAt: '2026-10-12T05:30:00.000Z'
+  },
+  submittedAt: '2026-10-12T05:30:00.000Z',
+  appointment: {
+    uid: 'CONS-1760000000000-SAMPLE123@payanaoverseas.com',
+    sequence: 0,
+    start: '2026-10-20T04:30:00.000Z',
+    end: '2026-10-20T05:00:00.000Z',
+    location: 'Payana Overseas office, Chennai',
+    meetingLink: 'https://meet.example.com/payana-sample'
+  }
+};
+
+// Status emails carry a message for the candidate instead of the internal notes (see sendStatusChangeEmail)
+const SAMPLE_STATUS_CONSULTATION = {
+  ...SAMPLE_CONSULTATION,
+  notes: undefined,
+  message: 'Please keep your degree certificates handy for the call.'
+};
+
+module.exports = {
+  'consultation-admin': SAMPLE_CONSULTATION,
+  'consultation-user': SAMPLE_CONSULTATION,
+  'consultation-confirmed': { consultation: SAMPLE_STATUS_CONSULTATION, rescheduled: false },
+  'consultation-cancelled': {
+    consultation: SAMPLE_STATUS_CONSULTATION,
+    reason: 'The counsellor is unavailable on this date.'
+  },
+  'consultation-completed': SAMPLE_STATUS_CONSULTATION,
+  'feedback-alert': {
+    feedback: {
+      id: 'FB-1760000000000-SAMPLE123',
+      rating: 2,
+      feedback: 'The questions about my passport were confusing.',
+      flowId: 'german-program',
+      flowVersion: '1.0.0',
+      conversationId: 'CONV-1760000000000-SAMPLE123',
+      createdAt: '2026-10-12T06:00:00.000Z'
+    },
+    conversation: {
+      responses: { name: 'Arjun Kumar', email: 'arjun.kumar@example.com' }
+    }
+  },
+  'german-program': {
+    name: 'Arjun Kumar',
+    age: 24,
+    email: 'arjun.kumar@example.com',
+    purpose: 'Work',
+    passport: 'Yes',
+    resume_upload: 'arjun-kumar-cv.pdf',
+    qualification: 'Diploma in Nursing',
+    experience: '2 years',
+    germanLanguage: 'A2',
+    continueProgram: 'Yes',
+    locale: 'en',
+    submittedAt: '2026-10-12T06:00:00.000Z'
+  },
+  'meeting-invite': {
+    kind: 'scheduled',
+    meeting: {
+      id: 'MEET-1760000000000-SAMPLE123',
+      name: 'Arjun Kumar',
+      email: 'arjun.kumar@example.com',
+      slotStart: '2026-10-21T08:30:00.000Z',
+      slotEnd: '2026-10-21T09:00:00.000Z',
+      meetingLink: 'https://meet.example.com/payana-sample',
+      locale: 'en',
+      sequence: 0
+    }
+  }
+};
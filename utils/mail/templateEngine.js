@@ -0,0 +1,182 @@
+// utils/mail/templateEngine.js - Minimal mustache-style templates for email files
+//
+//   {{path}}                  HTML-escaped value (dotted paths; lookups fall back to enclosing scopes)
+//   {{{path}}}                raw value
+//   {{helper arg key=value}}  helper call, e.g. {{t "email.common.company"}} or {{formatDateTime start}}
+//   {{#if expr}}..{{else}}..{{/if}}, {{#unless expr}}..{{/unless}}
+//   {{#each path}}..{{/each}} with {{this}} and {{@index}}
+//   {{> partial}}             partial rendered with the current scope
+//   {{! comment }}
+const TAG_PATTERN = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+const templateError = (message) => {
+  const error = new Error(`Template error: ${message}`);
+  error.code = 'TEMPLATE_ERROR';
+  return error;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Split an expression into words, keeping quoted strings together
+const tokenize = (expression) => (
+  expression.match(/[\w.@-]+="[^"]*"|[\w.@-]+='[^']*'|"[^"]*"|'[^']*'|\S+/g) || []
+);
+
+const parseExpression = (expression) => {
+  const [head, ...rest] = tokenize(expression.trim());
+  const args = [];
+  const hash = {};
+  rest.forEach(token => {
+    const match = token.match(/^([\w-]+)=(.+)$/);
+    if (match) hash[match[1]] = match[2];
+    else args.push(token);
+  });
+  return { head, args, hash };
+};
+
+// ✅ Parse template source into a tree of text, value, block and partial nodes
+const parse = (source) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.children.push({ type: 'value', raw: true, expression: parseExpression(match[1]) });
+      continue;
+    }
+
+    const tag = match[2].trim();
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('>')) {
+      current.children.push({ type: 'partial', name: tag.slice(1).trim() });
+    } else if (tag.startsWith('#')) {
+      const [name, ...rest] = tokenize(tag.slice(1).trim());
+      if (!BLOCKS.includes(name)) throw templateError(`unknown block "${name}"`);
+      const node = { type: 'block', name, expression: parseExpression(rest.join(' ')), children: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (current.type !== 'block' || current.name === 'each') throw templateError('{{else}} outside {{#if}}/{{#unless}}');
+      // Children after {{else}} form the inverse branch
+      current.splitAt = current.children.length;
+    } else if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      if (current.type !== 'block' || current.name !== name) throw templateError(`unexpected {{/${name}}}`);
+      stack.pop();
+    } else {
+      current.children.push({ type: 'value', raw: false, expression: parseExpression(tag) });
+    }
+  }
+
+  const current = stack[stack.length - 1];
+  if (lastIndex < source.length) current.children.push({ type: 'text', value: source.slice(lastIndex) });
+  if (stack.length > 1) throw templateError(`unclosed {{#${current.name}}}`);
+
+  return root;
+};
+
+// Resolve a dotted path against the scope chain (innermost first)
+const lookup = (scopes, path) => {
+  if (path === 'this') return scopes[scopes.length - 1];
+  if (path.startsWith('this.')) return lookup([scopes[scopes.length - 1]], path.slice(5));
+  if (path.startsWith('@root.')) return lookup([scopes[0]], path.slice(6));
+
+  const [first, ...rest] = path.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === 'object' && first in scope) {
+      return rest.reduce((node, part) => (node === null || node === undefined ? undefined : node[part]), scope[first]);
+    }
+  }
+  return undefined;
+};
+
+const literal = (token, scopes) => {
+  if (/^".*"$|^'.*'$/.test(token)) return token.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+  if (token === 'true' || token === 'false') return token === 'true';
+  if (token === 'null') return null;
+  return lookup(scopes, token);
+};
+
+const evaluate = ({ head, args, hash }, scopes, helpers) => {
+  if (head === undefined) return undefined;
+  if (Object.prototype.hasOwnProperty.call(helpers, head)) {
+    const values = args.map(arg => literal(arg, scopes));
+    const options = Object.fromEntries(Object.entries(hash).map(([key, value]) => [key, literal(value, scopes)]));
+    return helpers[head](...values, { hash: options, root: scopes[0], scope: scopes[scopes.length - 1] });
+  }
+  return literal(head, scopes);
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+/**
+ * Render a parsed template.
+ *   helpers      map of name -> fn(...args, { hash, root, scope })
+ *   partials     fn(name) -> parsed partial tree
+ *   escape       false renders {{value}} without HTML escaping (subjects and other plain text)
+ */
+const renderTree = (tree, scopes, options) => {
+  const { helpers = {}, partials, escape = true } = options;
+  const output = (value, raw) => {
+    if (value === undefined || value === null) return '';
+    return raw || !escape ? String(value) : escapeHtml(value);
+  };
+
+  const renderNodes = (nodes, nodeScopes) => nodes.map(node => renderNode(node, nodeScopes)).join('');
+
+  const renderNode = (node, nodeScopes) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'value':
+        return output(evaluate(node.expression, nodeScopes, helpers), node.raw);
+      case 'partial': {
+        if (!partials) throw templateError(`no partials available for "${node.name}"`);
+        return renderTree(partials(node.name), nodeScopes, options);
+      }
+      case 'block': {
+        const value = evaluate(node.expression, nodeScopes, helpers);
+        const split = node.splitAt ?? node.children.length;
+        const main = node.children.slice(0, split);
+        const inverse = node.children.slice(split);
+
+        if (node.name === 'each') {
+          const items = Array.isArray(value) ? value : [];
+          return items.map((item, index) => renderNodes(main, [...nodeScopes, { '@index': index }, item])).join('');
+        }
+        const pass = node.name === 'if' ? isTruthy(value) : !isTruthy(value);
+        return renderNodes(pass ? main : inverse, nodeScopes);
+      }
+      default:
+        return renderNodes(node.children, nodeScopes);
+    }
+  };
+
+  return renderNodes(tree.children, scopes);
+};
+
+const render = (tree, context, options = {}) => renderTree(tree, [context], options);
+
+module.exports = {
+  escapeHtml,
+  parse,
+  render
+};
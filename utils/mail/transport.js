@@ -0,0 +1,74 @@
+// utils/mail/transport.js - Transport selection (MAIL_TRANSPORT) shared by the outbox and connection checks
+const { getMailConfig } = require('./config');
+const SmtpTransport = require('./transports/smtpTransport');
+const FileTransport = require('./transports/fileTransport');
+const MemoryTransport = require('./transports/memoryTransport');
+
+// MAIL_TRANSPORT value -> factory; a transport has send(mail), verify() and close()
+const TRANSPORTS = {
+  smtp: (config) => new SmtpTransport(config.smtp),
+  file: (config) => new FileTransport({ directory: config.fileDir }),
+  memory: (config) => new MemoryTransport({ limit: config.memoryLimit })
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const config = getMailConfig();
+    if (!TRANSPORTS[config.transport]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}" (expected one of ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    transport = TRANSPORTS[config.transport](config);
+    console.log(`📮 Mail transport initialised: ${transport.name}`);
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with a MemoryTransport the mail tests read back
+const setTransport = (customTransport) => {
+  if (transport && transport !== customTransport) transport.close();
+  transport = customTransport;
+};
+
+// ✅ Deliver one message and resolve to its message id
+const sendMail = async (mail, { label = 'Email', id } = {}) => {
+  const active = getTransport();
+  const { messageId } = await active.send(mail);
+  console.log(`📧 ${label} delivered via ${active.name}:`, {
+    id,
+    to: mail.to,
+    cc: mail.cc,
+    subject: mail.subject,
+    attachments: (mail.attachments || []).length,
+    invite: mail.icalEvent ? mail.icalEvent.method : 'none'
+  });
+  return messageId;
+};
+
+const testConnection = async () => {
+  try {
+    const active = getTransport();
+    await active.verify();
+    console.log(`✅ Email connection test successful (${active.name})`);
+    return { success: true, transport: active.name, message: 'Email connection successful' };
+  } catch (error) {
+    console.error('❌ Email connection test failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Drop the cached transport (used when mail settings change at runtime)
+const resetTransport = () => {
+  if (transport) transport.close();
+  transport = null;
+};
+
+module.exports = {
+  TRANSPORTS,
+  getTransport,
+  setTransport,
+  sendMail,
+  testConnection,
+  resetTransport
+};
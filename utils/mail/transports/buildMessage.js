@@ -0,0 +1,12 @@
+// utils/mail/transports/buildMessage.js - Compile message options into a raw RFC 822 message without sending it
+const nodemailer = require('nodemailer');
+
+const compiler = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+// ✅ Resolves to { messageId, envelope, raw } exactly as SMTP would have received it
+const buildMessage = async (mail) => {
+  const info = await compiler.sendMail(mail);
+  return { messageId: info.messageId, envelope: info.envelope, raw: info.message };
+};
+
+module.exports = { buildMessage };
@@ -0,0 +1,33 @@
+// utils/mail/transports/fileTransport.js - Writes each message to an .eml file (open it in any mail client)
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const { buildMessage } = require('./buildMessage');
+
+class FileTransport {
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  async send(mail) {
+    const { messageId, raw } = await buildMessage(mail);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.directory, `${stamp}-${messageId.replace(/[^\w.-]/g, '')}.eml`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, raw);
+    console.log('📁 Email written to', file);
+
+    return { messageId, file };
+  }
+
+  async verify() {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.access(this.directory, constants.W_OK);
+  }
+
+  close() {}
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,73 @@
+// utils/mail/transports/memoryTransport.js - Keeps sent messages in memory so development and tests can inspect them
+const { buildMessage } = require('./buildMessage');
+
+const toAddressList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => (typeof entry === 'string' ? entry.trim() : entry.address))
+    .filter(Boolean);
+};
+
+class MemoryTransport {
+  constructor({ limit = 100 } = {}) {
+    this.name = 'memory';
+    this.limit = limit;
+    this.messages = [];
+    this.sequence = 0;
+  }
+
+  async send(mail) {
+    const { messageId, envelope, raw } = await buildMessage(mail);
+    this.sequence++;
+
+    const message = {
+      id: `CAPTURE-${this.sequence}`,
+      messageId,
+      capturedAt: new Date().toISOString(),
+      envelope,
+      from: mail.from,
+      to: toAddressList(mail.to),
+      cc: toAddressList(mail.cc),
+      replyTo: mail.replyTo || null,
+      subject: mail.subject,
+      html: mail.html || null,
+      text: mail.text || null,
+      attachments: (mail.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType || null,
+        size: attachment.content ? Buffer.byteLength(attachment.content) : null
+      })),
+      invite: mail.icalEvent ? { method: mail.icalEvent.method, content: mail.icalEvent.content } : null,
+      raw: raw.toString('utf8'),
+      size: raw.length
+    };
+
+    this.messages.push(message);
+    // Oldest messages are dropped once the mailbox is full
+    if (this.messages.length > this.limit) this.messages.splice(0, this.messages.length - this.limit);
+
+    console.log(`📥 Email captured (memory transport) ${message.id}:`, message.subject, '->', message.to.join(', '));
+    return { messageId };
+  }
+
+  // Newest first
+  list() {
+    return [...this.messages].reverse();
+  }
+
+  get(id) {
+    return this.messages.find(message => message.id === id) || null;
+  }
+
+  clear() {
+    const removed = this.messages.length;
+    this.messages = [];
+    return removed;
+  }
+
+  async verify() {}
+
+  close() {}
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,52 @@
+// utils/mail/transports/smtpTransport.js - Delivers through an SMTP server with nodemailer
+//
+// A mail transport implements:
+//   name                 identifier shown in logs and the health check
+//   send(mail)           -> { messageId } for nodemailer-style message options
+//   verify()             throws when the transport cannot deliver
+//   close()              releases connections
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor({ host, port, user, pass }) {
+    this.name = 'smtp';
+    this.options = { host, port, user, pass };
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, user, pass } = this.options;
+      if (!user || !pass) {
+        throw new Error('Missing SMTP credentials in environment variables');
+      }
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure: false,
+        auth: { user, pass },
+        tls: {
+          rejectUnauthorized: false
+        },
+        connectionTimeout: 30 * 1000
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(mail) {
+    const info = await this.getTransporter().sendMail(mail);
+    return { messageId: info.messageId };
+  }
+
+  async verify() {
+    await this.getTransporter().verify();
+  }
+
+  close() {
+    if (this.transporter) this.transporter.close();
+    this.transporter = null;
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,229 @@
+// utils/meetingService.js - Meeting scheduling shared by the HTTP endpoint and chatbot sessions
+const { getAvailabilityConfig, getSlotsForDate, isValidDate, TIMEZONE } = require('./availability');
+const { getCalendarProvider } = require('./calendar');
+const meetingRepository = require('../repositories/meetingRepository');
+const emailService = require('./mail');
+
+// Chatbot flow answers for the appointment time step map onto slot start times
+const TIME_ALIASES = {
+  morning: '11:00',
+  evening: '16:00'
+};
+
+const failure = (status, message, extra = {}) => ({ success: false, status, message, ...extra });
+
+class MeetingService {
+
+  resolveTime(time) {
+    const value = String(time || '').trim();
+    return TIME_ALIASES[value.toLowerCase()] || value.padStart(5, '0');
+  }
+
+  // ✅ Free slots for a date: working slots minus past, booked and externally busy ones
+  async getFreeSlots(date) {
+    const config = getAvailabilityConfig();
+    const { holiday, slots } = getSlotsForDate(date, config);
+    const result = { date, timezone: TIMEZONE, slotMinutes: config.slotMinutes, holiday, slots: [] };
+    if (slots.length === 0) return result;
+
+    const dayStart = slots[0].start;
+    const dayEnd = slots[slots.length - 1].end;
+    const [booked, busy] = await Promise.all([
+      meetingRepository.findActiveBetween(dayStart, dayEnd),
+      getCalendarProvider().getBusyTimes(dayStart, dayEnd)
+    ]);
+    const now = new Date().toISOString();
+
+    result.slots = slots.filter(slot => {
+      if (slot.start <= now) return false;
+      if (booked.filter(m => m.slotStart === slot.start).length >= config.capacity) return false;
+      return !busy.some(b => b.start < slot.end && b.end > slot.start);
+    });
+    return result;
+  }
+
+  // Find the working slot for a date and time that is in the future and not blocked externally
+  async findBookableSlot(date, rawTime) {
+    const time = this.resolveTime(rawTime);
+
+    if (!isValidDate(date)) {
+      return { error: failure(400, 'Meeting date must be a valid YYYY-MM-DD date') };
+    }
+
+    const config = getAvailabilityConfig();
+    const { holiday, slots } = getSlotsForDate(date, config);
+    const slot = slots.find(s => s.time === time);
+
+    if (!slot) {
+      return {
+        error: failure(400, holiday ? 'No meetings are held on this date' : 'Requested time is outside counsellor working hours', {
+          date,
+          time
+        })
+      };
+    }
+    if (slot.start <= new Date().toISOString()) {
+      return { error: failure(400, 'Requested slot is in the past', { date, time }) };
+    }
+
+    const busy = await getCalendarProvider().getBusyTimes(slot.start, slot.end);
+    if (busy.length > 0) {
+      return { error: failure(409, 'Requested slot is no longer available', { date, time }) };
+    }
+
+    return { slot, time, config };
+  }
+
+  // Email the candidate and keep a record of every invite revision queued
+  async sendInvite(meeting, kind) {
+    const result = await emailService.sendMeetingInviteEmail(meeting, kind);
+    return meetingRepository.update(meeting.id, existing => ({
+      ...existing,
+      invites: [...(existing.invites || []), {
+        kind,
+        sequence: meeting.sequence || 0,
+        success: result.success,
+        outboxId: result.outboxId || null,
+        error: result.error || null,
+        queuedAt: new Date().toISOString()
+      }]
+    }));
+  }
+
+  // Schedule a meeting in a free slot and return its details
+  async scheduleMeeting(meetingData) {
+    const { date } = meetingData;
+    const { error, slot, time, config } = await this.findBookableSlot(date, meetingData.time);
+    if (error) return error;
+
+    const provider = getCalendarProvider();
+
+    // ✅ Reserve first so two candidates cannot take the same slot, then create the calendar event
+    const meeting = await meetingRepository.reserveSlot({
+      id: `MTG-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+      status: 'reserved',
+      date,
+      time,
+      slotStart: slot.start,
+      slotEnd: slot.end,
+      timezone: TIMEZONE,
+      name: meetingData.name,
+      email: meetingData.email,
+      conversationId: meetingData.conversationId || null,
+      locale: meetingData.locale || 'en',
+      sequence: 0,
+      provider: provider.name,
+      createdAt: new Date().toISOString()
+    }, config.capacity);
+
+    if (!meeting) {
+      return failure(409, 'Requested slot is already booked', { date, time });
+    }
+
+    let event;
+    try {
+      event = await provider.createEvent({
+        start: slot.start,
+        end: slot.end,
+        summary: `Payana Overseas consultation - ${meetingData.name}`,
+        description: `Consultation call with ${meetingData.name} (${meetingData.email})`,
+        attendees: [meetingData.email].filter(Boolean)
+      });
+    } catch (providerError) {
+      console.error('❌ Calendar provider failed, releasing slot:', providerError);
+      await meetingRepository.delete(meeting.id);
+      return failure(502, 'Failed to create calendar event', { error: providerError.message });
+    }
+
+    const scheduled = await meetingRepository.update(meeting.id, {
+      status: 'scheduled',
+      eventId: event.eventId,
+      meetingLink: event.meetingLink
+    });
+
+    console.log('📅 Meeting scheduled:', scheduled.id, scheduled.slotStart);
+    await this.sendInvite(scheduled, 'scheduled');
+
+    return {
+      success: true,
+      message: 'Meeting scheduled successfully',
+      data: {
+        name: scheduled.name,
+        email: scheduled.email,
+        date,
+        time,
+        conversationId: scheduled.conversationId,
+        meetingId: scheduled.id,
+        slotStart: scheduled.slotStart,
+        slotEnd: scheduled.slotEnd,
+        timezone: TIMEZONE,
+        meetingLink: scheduled.meetingLink,
+        timestamp: scheduled.createdAt
+      }
+    };
+  }
+
+  // ✅ Move a meeting to another free slot and send an updated invite (same UID, next SEQUENCE)
+  async rescheduleMeeting(id, { date, time, updatedBy }) {
+    const existing = await meetingRepository.findById(id);
+    if (!existing) return failure(404, 'Meeting not found');
+    if (!meetingRepository.isActive(existing)) return failure(409, 'Cancelled meetings cannot be rescheduled');
+
+    const { error, slot, time: resolvedTime, config } = await this.findBookableSlot(date, time);
+    if (error) return error;
+    if (slot.start === existing.slotStart) return failure(400, 'Meeting is already in this slot');
+
+    const meeting = await meetingRepository.moveToSlot(id, {
+      date,
+      time: resolvedTime,
+      slotStart: slot.start,
+      slotEnd: slot.end,
+      updatedBy: updatedBy || null
+    }, config.capacity);
+
+    if (!meeting) {
+      return failure(409, 'Requested slot is already booked', { date, time: resolvedTime });
+    }
+
+    if (meeting.eventId) {
+      try {
+        await getCalendarProvider().updateEvent(meeting.eventId, { start: slot.start, end: slot.end });
+      } catch (providerError) {
+        console.warn('⚠️ Failed to update calendar event:', providerError.message);
+      }
+    }
+
+    console.log('📅 Meeting rescheduled:', id, meeting.slotStart);
+    const updated = await this.sendInvite(meeting, 'updated');
+    return { success: true, message: 'Meeting rescheduled successfully', data: updated };
+  }
+
+  // ✅ Cancel a meeting, free its slot and remove the calendar event
+  async cancelMeeting(id, { reason, cancelledBy } = {}) {
+    const existing = await meetingRepository.findById(id);
+    if (!existing) return failure(404, 'Meeting not found');
+    if (!meetingRepository.isActive(existing)) return failure(409, 'Meeting is already cancelled');
+
+    if (existing.eventId) {
+      try {
+        await getCalendarProvider().cancelEvent(existing.eventId);
+      } catch (error) {
+        console.warn('⚠️ Failed to cancel calendar event:', error.message);
+      }
+    }
+
+    const meeting = await meetingRepository.update(id, {
+      status: 'cancelled',
+      sequence: (existing.sequence || 0) + 1,
+      cancelledAt: new Date().toISOString(),
+      cancelledBy: cancelledBy || null,
+      cancellationReason: reason || null
+    });
+
+    console.log('📅 Meeting cancelled:', id);
+    const cancelled = await this.sendInvite(meeting, 'cancelled');
+    return { success: true, message: 'Meeting cancelled successfully', data: cancelled };
+  }
+}
+
+module.exports = new MeetingService();
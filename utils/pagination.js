@@ -0,0 +1,36 @@
+// utils/pagination.js - Validated ?page / ?limit for list endpoints
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// ✅ { page, limit } as integers; limit defaults to `defaultLimit` and is capped at `maxLimit`
+const parsePagination = (query = {}, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+  const limit = query.limit === undefined || query.limit === '' ? defaultLimit : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw badRequest('page must be a positive integer');
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw badRequest('limit must be a positive integer');
+  }
+  return { page, limit: Math.min(limit, maxLimit) };
+};
+
+// One page of `items` with the pagination block the list endpoints return
+const paginate = (items, { page, limit }) => ({
+  items: items.slice((page - 1) * limit, page * limit),
+  pagination: {
+    page,
+    limit,
+    total: items.length,
+    pages: Math.ceil(items.length / limit)
+  }
+});
+
+module.exports = {
+  parsePagination,
+  paginate
+};
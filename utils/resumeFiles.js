@@ -0,0 +1,54 @@
+// utils/resumeFiles.js - Storing, linking and removing uploaded resumes through the file storage driver
+const { getFileStorage, getExtension, buildFileKey } = require('./fileStorage');
+const { createDownloadUrl } = require('./fileStorage/signedUrls');
+
+const RESUME_FOLDER = 'resumes';
+
+// ✅ Persist an uploaded resume (multer memory file) and return the record kept on the consultation
+const storeResume = async (file) => {
+  const storage = getFileStorage();
+  const key = buildFileKey(RESUME_FOLDER, file.originalname);
+  const { size } = await storage.save(key, file.buffer, { contentType: file.mimetype });
+
+  return {
+    originalName: file.originalname,
+    key,
+    storage: storage.name,
+    extension: getExtension(file.originalname),
+    size,
+    mimetype: file.mimetype,
+    detectedType: file.detectedType || null,
+    scan: file.scan || null,
+    storedAt: new Date().toISOString()
+  };
+};
+
+// Resumes uploaded before file storage existed only have a temp-disk path and cannot be served
+const isStoredResume = (resume) => !!(resume && resume.key);
+
+// ✅ Best effort: a missing file is not an error
+const removeResume = async (resume) => {
+  if (!isStoredResume(resume)) return { removed: false };
+  try {
+    const result = await getFileStorage().remove(resume.key);
+    if (result.removed) console.log('🗑️ Resume file deleted:', resume.key);
+    return result;
+  } catch (error) {
+    console.warn('⚠️ Failed to delete resume file:', resume.key, error.message);
+    return { removed: false, error: error.message };
+  }
+};
+
+// Expiring signed link for an admin download
+const getResumeDownloadUrl = (resume, options) => {
+  if (!isStoredResume(resume)) return null;
+  return createDownloadUrl({ key: resume.key, name: resume.originalName || `resume${resume.extension || ''}` }, options);
+};
+
+module.exports = {
+  RESUME_FOLDER,
+  storeResume,
+  isStoredResume,
+  removeResume,
+  getResumeDownloadUrl
+};
@@ -0,0 +1,31 @@
+// utils/resumeParser/docxText.js - Plain text from the main document part of a DOCX file
+const { readEntry } = require('../zip');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+// ✅ Runs (<w:t>) in document order; paragraphs, breaks and tabs become whitespace
+const extractDocxText = (buffer) => {
+  const xml = readEntry(buffer, 'word/document.xml');
+  if (!xml) return '';
+
+  const parts = [];
+  const pattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>|<\/w:p>/g;
+  for (const [token, text, element] of xml.toString('utf8').matchAll(pattern)) {
+    if (text !== undefined) parts.push(decodeXml(text));
+    else if (element === 'tab') parts.push('\t');
+    else if (element || token === '</w:p>') parts.push('\n');
+  }
+  return parts.join('');
+};
+
+module.exports = {
+  extractDocxText
+};
@@ -0,0 +1,54 @@
+// utils/resumeParser/index.js - Resume text extraction and the structured profile kept on the booking
+const { extractPdfText } = require('./pdfText');
+const { extractDocxText } = require('./docxText');
+const { parseProfile, crossCheck } = require('./profile');
+
+const MAX_TEXT_LENGTH = 200 * 1000;
+
+// Detected file type (see utils/fileInspection) -> buffer => text. Word 97-2003 (.doc) is not supported
+const EXTRACTORS = {
+  pdf: extractPdfText,
+  docx: extractDocxText,
+  txt: (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '')
+};
+
+// ✅ Plain text of a resume, or null when its type has no extractor
+const extractText = (buffer, type) => {
+  const extractor = EXTRACTORS[type];
+  if (!extractor) return null;
+  // Trailing blanks are trimmed per line; a /[ \t]+\n/ pattern rescans long runs of spaces and takes quadratic time
+  const lines = extractor(buffer).replace(/\r\n?/g, '\n').split('\n').map(line => line.trimEnd());
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_TEXT_LENGTH);
+};
+
+/**
+ * Profile stored as resume.profile on the booking. Never throws - a resume that cannot be read
+ * still books the consultation, with the reason in `status`:
+ *   parsed | unsupported (no extractor for the type) | no-text (e.g. a scanned PDF) | failed
+ */
+const buildResumeProfile = (file, form = {}) => {
+  const parsedAt = new Date().toISOString();
+  try {
+    const text = extractText(file.buffer, file.detectedType);
+    if (text === null) return { status: 'unsupported', parsedAt };
+    if (!text) return { status: 'no-text', textLength: 0, parsedAt };
+
+    const profile = parseProfile(text);
+    return {
+      status: 'parsed',
+      textLength: text.length,
+      ...profile,
+      ...crossCheck(profile, form, text),
+      parsedAt
+    };
+  } catch (error) {
+    console.warn('⚠️ Resume parsing failed:', file.originalname, error.message);
+    return { status: 'failed', error: error.message, parsedAt };
+  }
+};
+
+module.exports = {
+  EXTRACTORS,
+  extractText,
+  buildResumeProfile
+};
@@ -0,0 +1,303 @@
+// utils/resumeParser/pdfText.js - Best-effort plain text from PDF content streams
+//
+// Handles Flate-compressed and uncompressed streams, object streams, and fonts with a ToUnicode CMap
+// (Identity-H fonts from browsers and office suites). Fonts without one are read as single-byte text.
+// Scanned (image-only) PDFs have no text to recover.
+const zlib = require('zlib');
+
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+const MAX_CMAP_RANGE = 0x10000;
+
+const inflate = (data, budget) => {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: budget });
+  } catch (error) {
+    return null;
+  }
+};
+
+// ✅ Every "N G obj ... endobj" in the file, with object streams unpacked: Map<number, { dict, stream }>
+const readObjects = (buffer) => {
+  const source = buffer.toString('latin1');
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let budget = MAX_INFLATED_BYTES;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const bodyStart = match.index + match[0].length;
+    const end = source.indexOf('endobj', bodyStart);
+    if (end === -1) break;
+
+    const body = source.slice(bodyStart, end);
+    const streamAt = body.search(/stream\r?\n/);
+    let dict = body;
+    let stream = null;
+
+    if (streamAt !== -1) {
+      dict = body.slice(0, streamAt);
+      const dataStart = bodyStart + streamAt + body.slice(streamAt).match(/stream\r?\n/)[0].length;
+      const dataEnd = source.lastIndexOf('endstream', end);
+      let raw = buffer.subarray(dataStart, Math.max(dataStart, dataEnd));
+      if (/\/FlateDecode/.test(dict)) {
+        raw = inflate(raw, budget);
+        if (raw) budget -= raw.length;
+      } else if (/\/Filter/.test(dict)) {
+        raw = null; // DCT images, LZW etc. never hold text we can read
+      }
+      stream = raw;
+    }
+
+    objects.set(Number(match[1]), { dict, stream });
+    pattern.lastIndex = end;
+  }
+
+  // Object streams pack several dictionaries: a header of "number offset" pairs, then the objects from /First
+  for (const { dict, stream } of [...objects.values()]) {
+    if (!stream || !/\/Type\s*\/ObjStm/.test(dict)) continue;
+    const first = Number((dict.match(/\/First\s+(\d+)/) || [])[1]);
+    if (!Number.isFinite(first)) continue;
+
+    const content = stream.toString('latin1');
+    const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      const from = first + header[i + 1];
+      const to = i + 3 < header.length ? first + header[i + 3] : content.length;
+      if (!objects.has(header[i])) objects.set(header[i], { dict: content.slice(from, to), stream: null });
+    }
+  }
+  return objects;
+};
+
+const utf16be = (hex) => {
+  const bytes = Buffer.from(hex, 'hex');
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes.readUInt16BE(i));
+  return text;
+};
+
+// ✅ ToUnicode CMap -> { bytes: code length, map: Map<code, text> }
+const parseCMap = (source) => {
+  const codespace = source.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  const cmap = { bytes: codespace ? Math.max(1, codespace[1].length / 2) : 2, map: new Map() };
+
+  for (const [, block] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, text] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      cmap.map.set(parseInt(code, 16), utf16be(text));
+    }
+  }
+
+  for (const [, block] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const from = parseInt(low, 16);
+      const to = Math.min(parseInt(high, 16), from + MAX_CMAP_RANGE);
+      if (target.startsWith('[')) {
+        [...target.matchAll(/<([0-9a-f]*)>/gi)].forEach(([, text], index) => {
+          if (from + index <= to) cmap.map.set(from + index, utf16be(text));
+        });
+      } else {
+        // The last UTF-16 unit is incremented through the range
+        const base = utf16be(target.slice(1, -1));
+        const head = base.slice(0, -1);
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = from; code <= to; code++) {
+          cmap.map.set(code, head + String.fromCharCode(last + code - from));
+        }
+      }
+    }
+  }
+  return cmap;
+};
+
+// Font resource name (/F1) -> CMap, from every /Font resource dictionary in the file
+const buildFontMaps = (objects) => {
+  const reference = (value) => (value ? objects.get(Number(value)) : null);
+  const fonts = new Map();
+
+  const addFonts = (entries) => {
+    for (const [, name, number] of entries.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      if (fonts.has(name)) continue;
+      const font = reference(number);
+      const toUnicode = font && reference((font.dict.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R/) || [])[1]);
+      fonts.set(name, toUnicode && toUnicode.stream ? parseCMap(toUnicode.stream.toString('latin1')) : null);
+    }
+  };
+
+  for (const { dict } of objects.values()) {
+    for (const [, inline, indirect] of dict.matchAll(/\/Font\s*(?:<<([^>]*)>>|(\d+)\s+\d+\s+R)/g)) {
+      if (inline) addFonts(inline);
+      else if (reference(indirect)) addFonts(reference(indirect).dict);
+    }
+  }
+  return fonts;
+};
+
+const decodeString = (bytes, cmap) => {
+  if (!cmap) return bytes.toString('latin1');
+  let text = '';
+  for (let i = 0; i + cmap.bytes <= bytes.length; i += cmap.bytes) {
+    const code = bytes.readUIntBE(i, cmap.bytes);
+    text += cmap.map.has(code) ? cmap.map.get(code) : '';
+  }
+  return text;
+};
+
+const LITERAL_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// Content stream tokens: { type: 'string'|'number'|'name'|'array-start'|'array-end'|'operator', value }
+function* tokenize(source) {
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) { i++; continue; }
+    if (char === '%') { while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++; continue; }
+
+    if (char === '(') {
+      let depth = 1;
+      let text = '';
+      i++;
+      while (i < source.length && depth > 0) {
+        const c = source[i];
+        if (c === '\\') {
+          const next = source[i + 1];
+          if (/[0-7]/.test(next)) {
+            const octal = source.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+            text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            i += 1 + octal.length;
+            continue;
+          }
+          if (next === '\r' || next === '\n') {
+            i += next === '\r' && source[i + 2] === '\n' ? 3 : 2;
+            continue;
+          }
+          text += LITERAL_ESCAPES[next] ?? next ?? '';
+          i += 2;
+          continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')') depth--;
+        if (depth > 0) text += c;
+        i++;
+      }
+      yield { type: 'string', value: Buffer.from(text, 'latin1') };
+      continue;
+    }
+
+    if (char === '<' && source[i + 1] !== '<') {
+      const end = source.indexOf('>', i);
+      const hex = source.slice(i + 1, end === -1 ? source.length : end).replace(/[^0-9a-f]/gi, '');
+      i = end === -1 ? source.length : end + 1;
+      yield { type: 'string', value: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex') };
+      continue;
+    }
+
+    if (char === '<' || char === '>') { i += 2; continue; } // dictionaries (marked content) are skipped
+    if (char === '[') { i++; yield { type: 'array-start' }; continue; }
+    if (char === ']') { i++; yield { type: 'array-end' }; continue; }
+    if (char === '{' || char === '}') { i++; continue; }
+
+    const match = source.slice(i, i + 256).match(/^\/?[^\s/<>[\]()%{}]+|^\//);
+    if (!match) { i++; continue; }
+    const word = match[0];
+    i += word.length;
+    if (word.startsWith('/')) {
+      yield { type: 'name', value: word.slice(1) };
+    } else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      yield { type: 'number', value: Number(word) };
+    } else {
+      yield { type: 'operator', value: word };
+      // Inline image data is binary up to "EI"
+      if (word === 'ID') {
+        const end = source.indexOf('EI', i);
+        i = end === -1 ? source.length : end + 2;
+      }
+    }
+  }
+}
+
+// ✅ Text shown by one content stream, with line breaks where the text position moves to a new line
+const contentText = (source, fonts, state) => {
+  const operands = [];
+  let array = null;
+
+  const show = (bytes) => {
+    const text = decodeString(bytes, fonts.get(state.font) || null);
+    if (!text) return;
+    if (state.output && state.y !== state.lastY) state.output += '\n';
+    else if (state.output && state.moved) state.output += ' ';
+    state.output += text;
+    state.lastY = state.y;
+    state.moved = false;
+  };
+
+  for (const token of tokenize(source)) {
+    if (token.type === 'array-start') { array = []; continue; }
+    if (token.type === 'array-end') { operands.push(array || []); array = null; continue; }
+    if (token.type !== 'operator') {
+      (array || operands).push(token.value);
+      continue;
+    }
+
+    const args = operands.splice(0);
+    switch (token.value) {
+      case 'BT':
+        state.y = 0;
+        state.moved = true;
+        break;
+      case 'Tf':
+        state.font = args[0];
+        break;
+      case 'Td':
+      case 'TD':
+        if (args[1]) state.y = Math.round((state.y + args[1]) * 10) / 10;
+        state.moved = true;
+        break;
+      case 'Tm':
+        state.y = Math.round((args[5] || 0) * 10) / 10;
+        state.moved = true;
+        break;
+      case 'T*':
+        state.y -= 1;
+        break;
+      case '\'':
+      case '"':
+        state.y -= 1;
+        if (Buffer.isBuffer(args[args.length - 1])) show(args[args.length - 1]);
+        break;
+      case 'Tj':
+        if (Buffer.isBuffer(args[0])) show(args[0]);
+        break;
+      case 'TJ':
+        (Array.isArray(args[0]) ? args[0] : []).forEach(part => {
+          // Large negative adjustments are word gaps
+          if (typeof part === 'number' && part < -200) state.moved = true;
+          else if (Buffer.isBuffer(part)) show(part);
+        });
+        break;
+      default:
+        break;
+    }
+  }
+};
+
+// ✅ Plain text of a PDF (empty when it has no extractable text)
+const extractPdfText = (buffer) => {
+  const objects = readObjects(buffer);
+  const fonts = buildFontMaps(objects);
+  const state = { output: '', font: null, y: 0, lastY: null, moved: false };
+
+  for (const { stream } of objects.values()) {
+    if (!stream) continue;
+    const source = stream.toString('latin1');
+    if (!/\bBT\b/.test(source) || !/\bET\b/.test(source)) continue;
+    contentText(source, fonts, state);
+    state.lastY = null;
+  }
+
+  return state.output.replace(/[\u0000-\u0008\u000b-\u001f]/g, '');
+};
+
+module.exports = {
+  extractPdfText
+};
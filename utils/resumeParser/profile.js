@@ -0,0 +1,192 @@
+// utils/resumeParser/profile.js - Structured candidate profile from resume text, cross-checked with the booking form
+const MAX_EDUCATION_ENTRIES = 10;
+const MAX_LINE_LENGTH = 200;
+// Profile fields come from the start of the resume; anything past this is not scanned
+const MAX_PROFILE_TEXT_LENGTH = 50 * 1000;
+
+// Emails are read outwards from each "@" over at most this many characters (RFC 5321 limits)
+const MAX_EMAIL_LOCAL_LENGTH = 64;
+const MAX_EMAIL_DOMAIN_LENGTH = 255;
+const EMAIL_LOCAL_CHAR = /[a-z0-9._%+-]/i;
+const EMAIL_DOMAIN_CHAR = /[a-z0-9.-]/i;
+// A phone-like run on one line: optional "+", then 10-22 digits, spaces, dots, dashes or brackets
+const PHONE_PATTERN = /\+?[\d(][\d\s().-]{8,20}\d/g;
+
+// Degree and certificate names; short ones that are also English words ("BE", "MA") only match in capitals.
+// The canonical form drops dots and spaces
+const DEGREE_PATTERNS = [
+  /\b(ph\.?\s?d|m\.?\s?tech|b\.?\s?tech|m\.?\s?sc|b\.?\s?sc|mba|bba|mca|bca|m\.?\s?com|b\.?\s?com|b\.?\s?pharm|m\.?\s?pharm|mbbs|gnm|anm|iti|diploma|bachelor(?:'?s)?|master(?:'?s)?|hsc|sslc|higher secondary|12th|10th)(?![a-z])/gi,
+  /\b(B\.?\s?E|M\.?\s?E|B\.\s?A|M\.\s?A)\b\.?/g
+];
+const DEGREE_ALIASES = { BACHELORS: 'BACHELOR', "BACHELOR'S": 'BACHELOR', MASTERS: 'MASTER', "MASTER'S": 'MASTER', 'HIGHER SECONDARY': 'HSC', '12TH': 'HSC', '10TH': 'SSLC' };
+
+const YEAR_PATTERN = /\b(19[5-9]\d|20\d{2})\b/g;
+const STATED_EXPERIENCE_PATTERNS = [
+  /(\d{1,2}(?:\.\d)?) ?\+? ?(?:years?|yrs?)\.? ?(?:of )?(?:\w{1,30} ){0,3}?(?:experience|exp)\b/gi,
+  /experience ?(?:of|:|-)? ?(\d{1,2}(?:\.\d)?) ?\+? ?(?:years?|yrs?)/gi
+];
+const DATE_RANGE_PATTERN = /\b(19[5-9]\d|20\d{2})\s*(?:-|–|—|to)\s*((?:19[5-9]\d|20\d{2})\b|present|current|now|till date|date)/gi;
+
+// Skill -> keywords that indicate it (case-insensitive unless the pattern says otherwise)
+const SKILL_KEYWORDS = {
+  nursing: /\b(nursing|nurse|gnm|anm|patient care|icu|ward duty|staff nurse)\b/i,
+  caregiving: /\b(caregiver|care giver|caregiving|elderly care|geriatric|home care)\b/i,
+  welding: /\b(welding|welder|tig|mig|arc weld\w*|fabricat\w+)\b/i,
+  electrical: /\b(electrician|electrical|wiring|switchgear|plc)\b/i,
+  plumbing: /\b(plumb\w+|pipe fitt\w+|pipefitter)\b/i,
+  mechanical: /\b(mechanical|machinist|cnc|lathe|maintenance technician|auto mechanic)\b/i,
+  construction: /\b(construction|mason\w*|carpent\w+|scaffold\w*|civil engineer\w*)\b/i,
+  driving: /\b(driver|driving licen[cs]e|heavy vehicle|forklift)\b/i,
+  hospitality: /\b(hospitality|hotel|chef|cook|housekeeping|front office|restaurant)\b/i,
+  it: /\b(IT|information technology|software|developer|programming|javascript|python|java|sql|networking|system admin\w*)\b/,
+  accounting: /\b(accounting|accountant|tally|bookkeeping|gst|taxation)\b/i,
+  german: /\b(german|deutsch|goethe|telc)\b/i
+};
+
+const unique = (values) => [...new Set(values)];
+
+const lastTenDigits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+const canonicalDegree = (text) => {
+  const compact = text.toUpperCase().replace(/\./g, '').replace(/\s+(?=[A-Z]{1,4}$)/, '').trim();
+  return DEGREE_ALIASES[compact] || compact.replace(/\s+/g, ' ');
+};
+
+const findDegrees = (text) => unique(DEGREE_PATTERNS
+  .flatMap(pattern => [...String(text || '').matchAll(pattern)])
+  .sort((a, b) => a.index - b.index)
+  .map(([match]) => canonicalDegree(match)));
+
+// The address around the "@" at `at`, or null; the domain must end in a dot and two or more letters
+const emailAt = (text, at) => {
+  let start = at;
+  while (start > 0 && at - start < MAX_EMAIL_LOCAL_LENGTH && EMAIL_LOCAL_CHAR.test(text[start - 1])) start -= 1;
+  let end = at + 1;
+  while (end < text.length && end - at - 1 < MAX_EMAIL_DOMAIN_LENGTH && EMAIL_DOMAIN_CHAR.test(text[end])) end += 1;
+  if (start === at) return null;
+
+  // The last dot followed by two or more letters closes the domain
+  const domain = text.slice(at + 1, end);
+  for (let dot = domain.lastIndexOf('.'); dot > 0; dot = domain.lastIndexOf('.', dot - 1)) {
+    const tld = domain.slice(dot + 1).match(/^[a-z]+/i);
+    if (tld && tld[0].length >= 2) return `${text.slice(start, at)}@${domain.slice(0, dot + 1 + tld[0].length)}`;
+  }
+  return null;
+};
+
+const findEmails = (text) => {
+  const emails = [];
+  for (let at = text.indexOf('@'); at !== -1; at = text.indexOf('@', at + 1)) {
+    const email = emailAt(text, at);
+    if (email) emails.push(email.toLowerCase());
+  }
+  return unique(emails);
+};
+
+// Phone-like runs of 10-13 digits within a line, compared on their last ten digits
+const findPhones = (lines) => unique(lines
+  .flatMap(line => line.match(PHONE_PATTERN) || [])
+  .map(match => match.replace(/\D/g, ''))
+  .filter(digits => digits.length >= 10 && digits.length <= 13)
+  .map(digits => digits.slice(-10)));
+
+const findEducation = (lines) => lines
+  .map(line => ({ line, degrees: findDegrees(line) }))
+  .filter(({ degrees }) => degrees.length > 0)
+  .slice(0, MAX_EDUCATION_ENTRIES)
+  .map(({ line, degrees }) => {
+    const years = line.match(YEAR_PATTERN) || [];
+    return {
+      degree: degrees[0],
+      text: line.slice(0, MAX_LINE_LENGTH),
+      year: years.length ? Number(years[years.length - 1]) : null
+    };
+  });
+
+// ✅ Years of experience: a stated figure wins, otherwise the sum of date ranges outside the education lines
+const findExperience = (text, lines) => {
+  const stated = STATED_EXPERIENCE_PATTERNS.flatMap(pattern => [...text.matchAll(pattern)].map(match => Number(match[1])));
+  const plausible = stated.filter(years => years > 0 && years <= 50);
+  if (plausible.length) return { years: Math.max(...plausible), source: 'stated' };
+
+  const currentYear = new Date().getFullYear();
+  let total = 0;
+  lines.filter(line => findDegrees(line).length === 0).forEach(line => {
+    for (const [, from, to] of line.matchAll(DATE_RANGE_PATTERN)) {
+      const end = /^\d+$/.test(to) ? Number(to) : currentYear;
+      if (end >= Number(from)) total += end - Number(from);
+    }
+  });
+  return total > 0 ? { years: Math.min(total, 50), source: 'date-ranges' } : { years: null, source: null };
+};
+
+const findSkills = (text) => Object.entries(SKILL_KEYWORDS)
+  .filter(([, pattern]) => pattern.test(text))
+  .map(([skill]) => skill);
+
+/**
+ * Profile fields found in resume text:
+ *   { emails, phones, education: [{ degree, text, year }], experienceYears, experienceSource, skills }
+ */
+const parseProfile = (text) => {
+  // Whitespace runs are collapsed so no pattern sees more than one space in a row
+  const lines = text.slice(0, MAX_PROFILE_TEXT_LENGTH).split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const scanned = lines.join('\n');
+  const experience = findExperience(scanned, lines);
+
+  return {
+    emails: findEmails(scanned),
+    phones: findPhones(lines),
+    education: findEducation(lines),
+    experienceYears: experience.years,
+    experienceSource: experience.source,
+    skills: findSkills(scanned)
+  };
+};
+
+// Significant words of a free-text education answer ("BE Mechanical Engineering, Anna University")
+const educationWords = (value) => unique(String(value || '').toLowerCase().match(/[a-z]{4,}/g) || []);
+
+/**
+ * Compare the profile with the submitted form. Each check is "match", "mismatch" or "not-found"
+ * (nothing comparable in the resume); mismatches list what was submitted next to what the resume says.
+ */
+const crossCheck = (profile, form, text) => {
+  const checks = {};
+  const mismatches = [];
+  const record = (field, result, submitted, found) => {
+    checks[field] = result;
+    if (result === 'mismatch') mismatches.push({ field, submitted, found });
+  };
+
+  const email = String(form.email || '').trim().toLowerCase();
+  if (!profile.emails.length) record('email', 'not-found');
+  else record('email', profile.emails.includes(email) ? 'match' : 'mismatch', form.email, profile.emails);
+
+  const phone = lastTenDigits(form.phone);
+  if (!profile.phones.length) record('phone', 'not-found');
+  else record('phone', profile.phones.includes(phone) ? 'match' : 'mismatch', form.phone, profile.phones);
+
+  // Degrees are compared when both sides name one, otherwise the answer's words are looked up in the resume
+  const submittedDegrees = findDegrees(form.education);
+  const resumeDegrees = profile.education.map(entry => entry.degree);
+  const foundEducation = profile.education.map(entry => entry.text);
+  if (submittedDegrees.length && resumeDegrees.length) {
+    const overlap = submittedDegrees.some(degree => resumeDegrees.includes(degree));
+    record('education', overlap ? 'match' : 'mismatch', form.education, foundEducation);
+  } else {
+    const words = educationWords(form.education);
+    const haystack = text.toLowerCase();
+    const present = words.filter(word => haystack.includes(word)).length;
+    if (!words.length || (!present && !resumeDegrees.length)) record('education', 'not-found');
+    else record('education', present * 2 >= words.length ? 'match' : 'mismatch', form.education, foundEducation);
+  }
+
+  return { checks, mismatches };
+};
+
+module.exports = {
+  SKILL_KEYWORDS,
+  parseProfile,
+  crossCheck
+};
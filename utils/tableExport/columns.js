@@ -0,0 +1,75 @@
+// utils/tableExport/columns.js - Export columns for consultations and conversations
+//
+// A column is { key, header, value: record => value, userInput }. userInput marks text typed by candidates,
+// which the exporter guards against spreadsheet formula injection.
+
+const numberOrBlank = (value) => {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? '' : number;
+};
+
+const CONSULTATION_COLUMNS = [
+  { key: 'id', header: 'Booking ID', value: c => c.id },
+  { key: 'submittedAt', header: 'Submitted At', value: c => c.submittedAt },
+  { key: 'status', header: 'Status', value: c => c.status },
+  { key: 'fullName', header: 'Full Name', value: c => c.fullName, userInput: true },
+  { key: 'email', header: 'Email', value: c => c.email, userInput: true },
+  { key: 'phone', header: 'Phone', value: c => c.phone, userInput: true },
+  { key: 'age', header: 'Age', value: c => numberOrBlank(c.age) },
+  { key: 'education', header: 'Education', value: c => c.education, userInput: true },
+  { key: 'experience', header: 'Experience', value: c => c.experience, userInput: true },
+  { key: 'currentStatus', header: 'Current Status', value: c => c.currentStatus },
+  { key: 'interestedService', header: 'Interested Service', value: c => c.interestedService, userInput: true },
+  { key: 'careerGoals', header: 'Career Goals', value: c => c.careerGoals, userInput: true },
+  { key: 'preferredMode', header: 'Preferred Mode', value: c => c.preferredMode },
+  { key: 'preferredTime', header: 'Preferred Time', value: c => c.preferredTime },
+  { key: 'additionalInfo', header: 'Additional Info', value: c => c.additionalInfo, userInput: true },
+  { key: 'locale', header: 'Language', value: c => c.locale },
+  { key: 'tags', header: 'Tags', value: c => c.tags || [] },
+  { key: 'counsellor', header: 'Counsellor', value: c => c.assignedCounsellor?.name },
+  { key: 'duplicateOf', header: 'Possible Duplicate Of', value: c => (c.duplicate ? c.duplicate.of.map(d => d.id) : []) },
+  { key: 'appointmentStart', header: 'Appointment Start', value: c => c.appointment?.start },
+  { key: 'resumeName', header: 'Resume Name', value: c => c.resume?.originalName, userInput: true },
+  { key: 'resumeSize', header: 'Resume Size (bytes)', value: c => numberOrBlank(c.resume?.size) },
+  { key: 'resumeType', header: 'Resume Type', value: c => c.resume?.mimetype },
+  { key: 'conversationId', header: 'Conversation ID', value: c => c.conversationId, userInput: true }
+];
+
+const CONVERSATION_COLUMNS = [
+  { key: 'id', header: 'Conversation ID', value: c => c.id },
+  { key: 'flowId', header: 'Flow', value: c => c.flowId, userInput: true },
+  { key: 'flowVersion', header: 'Flow Version', value: c => c.flowVersion, userInput: true },
+  { key: 'status', header: 'Status', value: c => c.status },
+  { key: 'source', header: 'Source', value: c => c.source },
+  { key: 'locale', header: 'Language', value: c => c.locale },
+  { key: 'startedAt', header: 'Started At', value: c => c.startedAt },
+  { key: 'completedAt', header: 'Completed At', value: c => c.completedAt },
+  { key: 'createdAt', header: 'Created At', value: c => c.createdAt },
+  { key: 'consultations', header: 'Linked Bookings', value: c => (c.links?.consultations || []).map(link => link.id) }
+];
+
+// ✅ Conversation columns plus one "responses.<question>" column per answer key found in the export
+const conversationColumns = (conversations) => {
+  const keys = [];
+  conversations.forEach(conversation => {
+    Object.keys(conversation.responses || {}).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+
+  return [
+    ...CONVERSATION_COLUMNS,
+    ...keys.map(key => ({
+      key: `responses.${key}`,
+      header: key,
+      value: c => (c.responses || {})[key],
+      userInput: true
+    }))
+  ];
+};
+
+module.exports = {
+  CONSULTATION_COLUMNS,
+  CONVERSATION_COLUMNS,
+  conversationColumns
+};
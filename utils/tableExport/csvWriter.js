@@ -0,0 +1,31 @@
+// utils/tableExport/csvWriter.js - RFC 4180 CSV rows written to a stream as they are produced
+const { once } = require('events');
+
+const BOM = '\uFEFF';
+
+const quote = (value) => (/[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Cells are { value, text } from the table exporter; `text` is the formula-safe string form
+const createCsvWriter = (output) => {
+  let started = false;
+
+  const write = async (chunk) => {
+    if (!output.write(chunk)) await Promise.race([once(output, 'drain'), once(output, 'close')]);
+  };
+
+  return {
+    writeRow: (cells) => {
+      // The byte order mark lets Excel open UTF-8 (Tamil, Hindi, German names) correctly
+      const prefix = started ? '' : BOM;
+      started = true;
+      return write(`${prefix}${cells.map(cell => quote(cell.text)).join(',')}\r\n`);
+    },
+    end: async () => {
+      if (!started) await write(BOM);
+    }
+  };
+};
+
+module.exports = {
+  createCsvWriter
+};
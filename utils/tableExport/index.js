@@ -0,0 +1,84 @@
+// utils/tableExport/index.js - CSV / XLSX downloads of list endpoints with selectable columns
+const { createCsvWriter } = require('./csvWriter');
+const { createXlsxWriter } = require('./xlsxWriter');
+const { CONSULTATION_COLUMNS, CONVERSATION_COLUMNS, conversationColumns } = require('./columns');
+
+const TABLE_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', create: (output) => createCsvWriter(output) },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    create: (output, options) => createXlsxWriter(output, options)
+  }
+};
+
+// Spreadsheet apps evaluate cells starting with these as formulas (OWASP "CSV injection")
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// ✅ Columns picked by ?columns=a,b,c (in that order), or all of them
+const selectColumns = (available, requested) => {
+  if (!requested) return available;
+
+  const keys = String(requested).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !available.some(column => column.key === key));
+  if (unknown.length) {
+    const error = badRequest(`Unknown column(s): ${unknown.join(', ')}`);
+    error.validColumns = available.map(column => column.key);
+    throw error;
+  }
+  return keys.map(key => available.find(column => column.key === key));
+};
+
+// `value` keeps numbers for XLSX, `text` is the CSV form with formulas neutralised
+const guardCell = (value, userInput) => {
+  const formulaLike = !!userInput && typeof value === 'string' && FORMULA_PREFIX.test(value);
+  return { value, text: formulaLike ? `'${value}` : String(value), formulaLike };
+};
+
+// Cell for one record
+const toCell = (column, record) => {
+  let value = column.value(record);
+  if (Array.isArray(value)) value = value.join('; ');
+  else if (value && typeof value === 'object') value = JSON.stringify(value);
+  if (value === undefined || value === null) value = '';
+  return guardCell(value, column.userInput);
+};
+
+/**
+ * Stream `rows` to the response as a CSV or XLSX attachment: a header row, then one row per record.
+ * Stops early if the client disconnects.
+ */
+const sendTable = async (res, { format, filename, sheetName, columns, rows }) => {
+  const { contentType, create } = TABLE_FORMATS[format];
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  const writer = create(res, { sheetName });
+  // Headers can come from answer keys sent by candidates, so they get the same guard
+  await writer.writeRow(columns.map(column => guardCell(String(column.header), true)));
+  for (const record of rows) {
+    if (res.destroyed) return;
+    await writer.writeRow(columns.map(column => toCell(column, record)));
+  }
+  await writer.end();
+  res.end();
+};
+
+module.exports = {
+  TABLE_FORMATS,
+  CONSULTATION_COLUMNS,
+  CONVERSATION_COLUMNS,
+  conversationColumns,
+  selectColumns,
+  sendTable
+};
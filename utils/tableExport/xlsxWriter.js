@@ -0,0 +1,105 @@
+// utils/tableExport/xlsxWriter.js - Single-sheet XLSX workbook streamed row by row
+const { ZipWriter } = require('../zip');
+
+const MAX_CELL_LENGTH = 32767;
+const STYLE_HEADER = 1;
+const STYLE_QUOTE_PREFIX = 2;
+
+const STATIC_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  // Styles: 0 default, 1 bold header, 2 "quote prefix" (text that Excel must never turn into a formula)
+  'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>'
+    + '</styleSheet>'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+const workbookXml = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+  + `<sheets><sheet name="${escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+  + '</workbook>';
+
+/**
+ * Numbers become numeric cells, everything else inline strings. The header row is bold, and user-entered
+ * text that starts like a formula gets the quote-prefix style instead of a visible apostrophe.
+ */
+const cellXml = (cell, reference, header) => {
+  if (typeof cell.value === 'number' && Number.isFinite(cell.value)) {
+    return `<c r="${reference}"><v>${cell.value}</v></c>`;
+  }
+  const text = String(cell.value ?? '').slice(0, MAX_CELL_LENGTH);
+  if (!text) return '';
+  const style = header ? STYLE_HEADER : cell.formulaLike ? STYLE_QUOTE_PREFIX : 0;
+  return `<c r="${reference}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const createXlsxWriter = (output, { sheetName = 'Sheet1' } = {}) => {
+  const zip = new ZipWriter(output);
+  let sheet = null;
+  let rowNumber = 0;
+
+  const start = async () => {
+    for (const [name, content] of Object.entries(STATIC_PARTS)) await zip.addFile(name, content);
+    await zip.addFile('xl/workbook.xml', workbookXml(sheetName));
+    sheet = zip.addStream('xl/worksheets/sheet1.xml');
+    await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + '<sheetData>');
+  };
+
+  return {
+    writeRow: async (cells) => {
+      if (!sheet) await start();
+      rowNumber++;
+      const xml = cells.map((cell, index) => cellXml(cell, `${columnName(index)}${rowNumber}`, rowNumber === 1)).join('');
+      await sheet.write(`<row r="${rowNumber}">${xml}</row>`);
+    },
+    end: async () => {
+      if (!sheet) await start();
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await zip.finish();
+    }
+  };
+};
+
+module.exports = {
+  createXlsxWriter
+};
@@ -0,0 +1,226 @@
+// utils/zip.js - Minimal ZIP archive reader and streaming writer (stored/deflated entries, no ZIP64 or encryption)
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8_NAMES = 0x0800;
+const MAX_EOCD_SEARCH = 22 + 0xffff;
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+const zipError = (message) => new Error(`Invalid ZIP archive: ${message}`);
+
+// End of central directory record: the last 22+ bytes of the archive (a comment may follow it)
+const findEndOfCentralDirectory = (buffer) => {
+  const stop = Math.max(0, buffer.length - MAX_EOCD_SEARCH);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw zipError('end of central directory not found');
+};
+
+// ✅ Entries listed in the central directory: { name, method, compressedSize, size, localOffset }
+const listEntries = (buffer) => {
+  if (buffer.length < 22) throw zipError('file too short');
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw zipError('corrupt central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// ✅ Contents of one entry by name, or null when the archive has no such entry
+const readEntry = (buffer, name, { maxBytes = MAX_ENTRY_BYTES } = {}) => {
+  const entry = listEntries(buffer).find(item => item.name === name);
+  if (!entry) return null;
+
+  const local = entry.localOffset;
+  if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) {
+    throw zipError(`bad local header for ${name}`);
+  }
+  // The local header has its own name/extra lengths, which can differ from the central directory
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return Buffer.from(data);
+  if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+  throw zipError(`unsupported compression method ${entry.method} for ${name}`);
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return ~crc >>> 0;
+};
+
+// MS-DOS date and time fields used by ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Resolves once `output` accepts more data (or has gone away)
+const writeTo = (output, chunk) => new Promise(resolve => {
+  if (output.write(chunk)) return resolve();
+  const done = () => {
+    output.off('drain', done);
+    output.off('close', done);
+    resolve();
+  };
+  output.on('drain', done);
+  output.on('close', done);
+});
+
+/**
+ * Writes a ZIP archive to a writable stream (e.g. an HTTP response) as entries are added:
+ *   await zip.addFile(name, content)          small entries compressed in one go
+ *   const entry = zip.addStream(name)         large entries: await entry.write(chunk) ... await entry.end()
+ *   await zip.finish()                        central directory; does not end the stream
+ * Streamed entries carry their CRC and sizes in a trailing data descriptor.
+ */
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.modified = dosDateTime(new Date());
+  }
+
+  async writeRaw(chunk) {
+    this.offset += chunk.length;
+    await writeTo(this.output, chunk);
+  }
+
+  localHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_SIGNATURE, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(name.length, 26);
+    return Buffer.concat([header, name]);
+  }
+
+  async addFile(name, content) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name,
+      flags: FLAG_UTF8_NAMES,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      localOffset: this.offset
+    };
+    this.entries.push(entry);
+    await this.writeRaw(this.localHeader(entry));
+    await this.writeRaw(compressed);
+  }
+
+  addStream(name) {
+    const entry = { name, flags: FLAG_UTF8_NAMES | FLAG_DATA_DESCRIPTOR, crc: 0, compressedSize: 0, size: 0, localOffset: this.offset };
+    const deflate = zlib.createDeflateRaw();
+    this.entries.push(entry);
+
+    // Compressed output goes straight to the archive; the deflater pauses while the output is full
+    let pending = this.writeRaw(this.localHeader(entry));
+    deflate.on('data', chunk => {
+      entry.compressedSize += chunk.length;
+      deflate.pause();
+      pending = pending.then(() => this.writeRaw(chunk)).then(() => deflate.resume());
+    });
+    const finished = new Promise((resolve, reject) => {
+      deflate.on('end', resolve);
+      deflate.on('error', reject);
+    });
+
+    return {
+      write: (chunk) => {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        return deflate.write(data) ? Promise.resolve() : new Promise(resolve => deflate.once('drain', resolve));
+      },
+      end: async () => {
+        deflate.end();
+        await finished;
+        await pending;
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.writeRaw(descriptor);
+      }
+    };
+  }
+
+  async finish() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      const name = Buffer.from(entry.name, 'utf8');
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(entry.flags, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(this.modified.time, 12);
+      header.writeUInt16LE(this.modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(name.length, 28);
+      header.writeUInt32LE(entry.localOffset, 42);
+      await this.writeRaw(Buffer.concat([header, name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(EOCD_SIGNATURE, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.writeRaw(end);
+  }
+}
+
+module.exports = {
+  listEntries,
+  readEntry,
+  crc32,
+  ZipWriter
+};